@@ -5,7 +5,15 @@
  *
  * Architecture:
  *  - Single video element, screens overlay via opacity
- *  - State machine drives all UI transitions
+ *  - State machine drives all UI transitions; hardware events map to
+ *    actions through a pure table (machine.js)
+ *  - Lenses (lenses.js) plug in prompt and schema per mode; replies are
+ *    parsed by pure functions (parse.js) that also load under Node
+ *  - dbg()/dbgJson() feed a redacted, levelled session log (diagnostics.js)
+ *  - UI strings come from per-language catalogs (i18n.js); the same
+ *    language setting picks the language the model answers in
+ *  - Settings are declared in one schema (settings.js) that builds the
+ *    settings rows and versions, migrates and exports what is saved
  *  - Hardware-accelerated CSS only (transform, opacity)
  *  - All LLM inference on Rabbit's servers (no external API cost)
  */
@@ -16,31 +24,100 @@
 // STATE
 // ═══════════════════════════════════════════
 
-const STATES = {
-  CAMERA:          'camera',
-  ANALYZING:       'analyzing',
-  RESULT:          'result',
-  SETTINGS:        'settings',
-  HD_CAMERA:       'hd-camera',
-  HD_ANALYZING:    'hd-analyzing',
-  HD_RESULT:       'hd-result',
-};
-
 let state        = STATES.CAMERA;
-let resultPage   = 1;          // 1 = description, 2 = fun fact
+let resultPage   = 1;          // 1 = description, 2 = fun fact, 3 = other possibilities (if any), then follow-up answers
+let altIndex     = 0;          // selected row on the other-possibilities page
 let creditClicks = 0;          // easter egg counter (need 3)
 let errorTimer   = null;
-let llmTimer     = null;
+let llmTimer     = null;       // per-attempt response watchdog
+let retryTimer   = null;       // pending backoff before the next attempt
+let inflight     = [];         // sends still owed a reply, oldest first
 let activeRequest = null;
-let debugCounter = 0;
+let speechActive = false;      // true while the speech layer is talking
+let scanHistory  = [];         // past identifications, newest first
+let historyIndex = 0;          // selected entry on the history screen
+let resultOrigin = 'scan';     // 'scan' | 'history' — where result screens return to
+let lastThumb    = '';         // thumbnail of the most recent capture
+let viewLens     = null;       // lens whose camera/analyzing/result UI is showing
+let multiView    = null;       // { objects, index, image } for the multi-object result
+let resultContext = null;      // { requestId, entryId, lens, value, image, frame, thread } for the result on screen
+let followUp     = null;       // { id, turn, ctx, timer } while a follow-up awaits its answer
+let listening    = null;       // { backend, transcript, purpose, ... } while PTT is held to speak
+let outbox       = [];         // queued captures whose sends failed, oldest first
+let outboxIndex  = 0;          // selected row on the outbox screen
+let outboxSend   = null;       // { item, timer } while a queued capture is out
+let outboxTimer  = null;       // next automatic outbox flush
+let lastCapture  = null;       // { frame, lens } kept until a reply is usable, for retry
+let zoomIndex    = 0;          // index into ZOOM_LEVELS
+let imageFormat  = null;       // 'image/webp' or 'image/jpeg', probed on first encode
+let probeCanvas  = null;       // small offscreen canvas for the frame check
+let rejectedAt   = 0;          // when the frame check last refused a capture
+let diagLevel    = 'all';      // lowest level shown on the diagnostics screen
+let diagTaps     = [];         // recent taps on the settings title (hidden gesture)
+let autoTimer    = null;       // next auto-mode frame sample
+let sceneCanvas  = null;       // tiny canvas auto mode samples the target into
+let sharing      = false;      // a share card is being drawn or sent
+let cameraStream = null;       // live getUserMedia stream on #video
+let cameraSeq    = 0;          // bumped per start, so a superseded start drops its stream
+let cameraList   = [];         // [{ id, label }] choices for settings.camera
+let cameraStatus = 'paused';   // 'starting' | 'live' | 'reconnecting' | 'paused' | 'failed'
+let cameraCause  = null;       // why it failed: 'denied' | 'missing' | 'lost' | 'failed'
+let cameraRetries = 0;         // reconnects since the stream was last live
+let cameraTimer  = null;       // pending reconnect, or the next frozen-frame check
+let muteTimer    = null;       // a muted track is given up on when this fires
+let compareHold  = null;       // { frame, pixels, thumb, need } — capture A, waiting for B
+let presets      = [];         // user prompt presets, registered in LENSES as preset:<id>
+let presetEditing = null;      // id of the preset loaded in the settings editor
+let focusIndex   = -1;         // button the wheel has focused on screen, -1 for none
+const sceneWatcher = new SceneWatcher();
+const diagLog    = new DiagnosticsLog(LOG_MAX_ENTRIES);
+const diagFromUrl = detectDiagnosticsFlag();
 
 const RESPONSE_TIMEOUT_MS = 20000;
-const DEBUG_MAX_LINES = 120;
-
-const settings = {
-  voice:  false,
-  hotdog: false,
-};
+const RETRY_BACKOFF_MS = 1500;      // doubles per attempt
+const RETRY_BACKOFF_MAX_MS = 8000;
+const INFLIGHT_TTL_MS = RESPONSE_TIMEOUT_MS * 3;   // forget sends the bridge never answered
+const HISTORY_MAX = 25;        // oldest entries are dropped first
+const FOLLOWUP_MAX_TURNS = 6;  // question/answer pairs kept per scan
+const OUTBOX_MAX = 5;          // queued captures kept; each holds a full image
+const OUTBOX_MAX_BYTES = 512 * 1024;   // stored size of the whole queue, as encodeStored writes it
+const OUTBOX_MAX_ATTEMPTS = 4; // automatic resends before an item is marked failed
+const OUTBOX_RETRY_MS = 45000; // automatic resend interval while items are pending
+const OUTBOX_FLUSH_DELAY_MS = 2500; // after the bridge answers again
+const LISTEN_RESULT_MS = 6000; // wait for the R1 transcript after PTT release
+const ALT_PAGE = 3;            // other possibilities, between the fact and any answers
+const CAMERA_WATCH_MS = 3000;  // the picture must move within this while live
+const CAMERA_MUTE_MS = 2000;   // a track muted this long counts as lost
+const CAMERA_RETRY_MS = 1000;  // reconnect backoff, doubles per attempt
+const CAMERA_RETRY_MAX = 4;    // reconnects before the no-camera screen
+const COMPARE_GAP = 8;         // px of black between A and B on the paired image
+const THUMB_MAX_DIM = 64;
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];   // digital zoom steps on the scroll wheel
+const CAMERA_FACINGS = ['environment', 'user'];   // rear, front — offered even before devices are listed
+const DIAG_TAPS = 5;           // taps on the settings title that toggle diagnostics…
+const DIAG_TAP_WINDOW_MS = 3000;   // …within this window
+const DIAG_SCROLL_PX = 60;
+const TEXT_SCROLL_PX = 80;     // one wheel step on a long transcript, ~4 lines
+const DIAG_VIEW_LEVELS = ['all', 'info', 'warn', 'error'];
+const AUTO_SAMPLE_MS = 250;    // auto mode looks at the target this often
+const SHARE_CARDS_MAX = 5;     // saved cards kept; each holds a full JPEG
+const SHARE_PHOTO_MIN_PX = 160;   // smaller frames (history thumbnails) are left off the card
+const SHARE_PHOTO_WAIT_MS = 1500; // give up on the frame and draw the card without it
+
+// Image encoding — downscale (settings.imageSize), then step quality down until under budget
+const IMAGE_BYTE_BUDGET   = 96 * 1024;             // decoded bytes, not base64 length
+const IMAGE_QUALITY_STEPS = [0.85, 0.75, 0.65, 0.55, 0.45, 0.35];
+
+// Frame check on a small greyscale probe, run before anything is sent
+const PROBE_DIM           = 96;
+const FRAME_MIN_LUMA      = 16;    // mean 0–255
+const FRAME_MAX_LUMA      = 245;
+const FRAME_MIN_CONTRAST  = 6;     // luma std-dev; below this the frame is near-blank
+const FRAME_MIN_SHARPNESS = 12;    // Laplacian variance; below this it is badly blurred
+const FRAME_OVERRIDE_MS   = 4000;  // a second PTT within this window sends anyway
+
+// Every field, its type and default live in SETTINGS_SCHEMA (settings.js)
+const settings = defaultSettings({ language: matchLanguage(navigator.language) });
 
 function detectPluginIdFromUrl() {
   try {
@@ -53,36 +130,76 @@ function detectPluginIdFromUrl() {
 
 const detectedPluginId = detectPluginIdFromUrl();
 
+// ── Bridge channels ─────────────────────────
+// Hosts have delivered replies through any of these. Every one is
+// listened to until a reply to a pending send arrives; the client then
+// locks onto that channel and ignores the rest. The same message seen
+// twice within BRIDGE_DEDUPE_MS (same request id and content) is
+// delivered once.
+
+const BRIDGE_CHANNELS = [
+  { id: 'onPluginMessage',        hook: 'onPluginMessage' },
+  { id: 'onPluginResponse',       hook: 'onPluginResponse' },
+  { id: 'onR1Message',            hook: 'onR1Message' },
+  { id: 'onR1PluginMessage',      hook: 'onR1PluginMessage' },
+  { id: 'window.message',         target: 'window',   event: 'message' },
+  { id: 'window.pluginMessage',   target: 'window',   event: 'pluginMessage' },
+  { id: 'window.r1Message',       target: 'window',   event: 'r1Message' },
+  { id: 'document.pluginMessage', target: 'document', event: 'pluginMessage' },
+];
+const BRIDGE_DEDUPE_MS = 1500;
+
+/** Message carried by a DOM event channel; null when there is none. */
+function bridgeEventPayload(e) {
+  if (e.type !== 'message') return e.detail || e.data || null;
+  if (!e.data) return null;
+  if (typeof e.data !== 'string') return e.data;
+  try {
+    return JSON.parse(e.data);
+  } catch (ex) {
+    return { data: e.data };
+  }
+}
+
+/** FNV-1a over the message, ignoring the parsedData the client adds. */
+function hashBridgeMessage(data) {
+  let text;
+  try {
+    text = JSON.stringify(data, (k, v) => (k === 'parsedData' ? undefined : v));
+  } catch (e) {
+    text = String(data);
+  }
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
 class R1CreateMessagingClient {
   constructor() {
     this.messageHandlers = new Set();
     this.isInitialized = false;
+    this.channel = null;        // channel id once locked
+    this.pending = new Map();   // requestId → sentAt for sends still owed a reply
+    this.recent = [];           // { key, at } of delivered messages, for dedupe
+    this.stats = {};            // per channel: received / delivered / duplicate / ignored
     this.initializeMessageHandler();
   }
 
   initializeMessageHandler() {
     if (this.isInitialized) return;
 
-    // Mirrors r1-create's core behavior.
-    window.onPluginMessage = (data) => {
-      let parsedData;
-      if (data && Object.prototype.hasOwnProperty.call(data, 'data')) {
-        try {
-          parsedData = JSON.parse(data.data);
-        } catch (e) {
-          parsedData = data.data;
-        }
+    BRIDGE_CHANNELS.forEach((ch) => {
+      this.stats[ch.id] = { received: 0, delivered: 0, duplicate: 0, ignored: 0 };
+      if (ch.hook) {
+        window[ch.hook] = data => this.receive(ch.id, data);
+      } else {
+        const target = ch.target === 'document' ? document : window;
+        target.addEventListener(ch.event, e => this.receive(ch.id, bridgeEventPayload(e)));
       }
-
-      const enhancedData = Object.assign({}, data || {}, { parsedData: parsedData });
-      this.messageHandlers.forEach((handler) => {
-        try {
-          handler(enhancedData);
-        } catch (err) {
-          console.error('Error in message handler:', err);
-        }
-      });
-    };
+    });
 
     this.isInitialized = true;
   }
@@ -91,12 +208,89 @@ class R1CreateMessagingClient {
     this.messageHandlers.add(handler);
   }
 
+  receive(channelId, message) {
+    const stats = this.stats[channelId];
+    stats.received++;
+    if (message == null || message === '') return;
+    // A bare string would spread into an object of characters below
+    const data = typeof message === 'string' ? { data: message } : message;
+
+    const now = Date.now();
+    this.pending.forEach((sentAt, id) => {
+      if (now - sentAt > INFLIGHT_TTL_MS) this.pending.delete(id);
+    });
+    // Voice events answer no send: they pass any lock and never take one
+    const voice = isVoiceMessage(data);
+    const requestId = voice ? null : extractRequestId(data);
+    const answersPending = !voice && (requestId ? this.pending.has(requestId) : this.pending.size > 0);
+
+    if (this.channel && channelId !== this.channel && !voice) {
+      // Another channel only takes over by answering a pending send by id
+      if (!requestId || !this.pending.has(requestId)) {
+        stats.ignored++;
+        dbg('bridge/ignored channel=' + channelId + ' locked=' + this.channel);
+        return;
+      }
+      this.lock(channelId, 'relock');
+    }
+
+    const key = (requestId || '') + ':' + hashBridgeMessage(data);
+    this.recent = this.recent.filter(r => now - r.at < BRIDGE_DEDUPE_MS);
+    if (this.recent.some(r => r.key === key)) {
+      stats.duplicate++;
+      dbg('bridge/duplicate channel=' + channelId + ' requestId=' + (requestId || 'none'));
+      return;
+    }
+    this.recent.push({ key: key, at: now });
+
+    if (!this.channel && answersPending) this.lock(channelId, requestId ? 'request-id' : 'pending');
+    if (requestId) this.pending.delete(requestId);
+    else if (answersPending) this.pending.delete(this.pending.keys().next().value);
+    stats.delivered++;
+
+    // Mirrors r1-create's core behavior.
+    let parsedData;
+    if (Object.prototype.hasOwnProperty.call(data, 'data')) {
+      try {
+        parsedData = JSON.parse(data.data);
+      } catch (e) {
+        parsedData = data.data;
+      }
+    }
+
+    const enhancedData = Object.assign({}, data, { parsedData: parsedData });
+    this.messageHandlers.forEach((handler) => {
+      try {
+        handler(enhancedData);
+      } catch (err) {
+        console.error('Error in message handler:', err);
+      }
+    });
+  }
+
+  lock(channelId, reason) {
+    const previous = this.channel;
+    this.channel = channelId;
+    dbgJson(previous ? 'bridge/relocked' : 'bridge/locked', { channel: channelId, previous: previous, reason: reason },
+      previous ? 'warn' : 'info');
+  }
+
+  /** Channel state for diagnostics. */
+  report() {
+    const active = {};
+    Object.keys(this.stats).forEach((id) => {
+      if (this.stats[id].received) active[id] = this.stats[id];
+    });
+    return { channel: this.channel, pending: this.pending.size, channels: active };
+  }
+
   sendMessage(message, options) {
     if (typeof PluginMessageHandler === 'undefined') {
       throw new Error('PluginMessageHandler not available');
     }
     const payload = Object.assign({ message: message }, options || {});
     PluginMessageHandler.postMessage(JSON.stringify(payload));
+    if (payload.requestId) this.pending.set(payload.requestId, Date.now());
   }
 
   askLLM(message, options) {
@@ -107,16 +301,145 @@ class R1CreateMessagingClient {
 let r1MessagingClient = null;
 
 // ═══════════════════════════════════════════
-// PROMPTS
+// LLM BACKENDS
+// Every LLM call goes through one adapter:
+//   send({ id, prompt, image, mock, speak }) → Promise
+// rejecting when the request can't be sent.
+// `speak` asks the R1 to read its reply aloud.
+// Replies come back through handleLLMResponse
+// exactly as bridge messages do. Picked with
+// ?backend=r1|mock|http; default is the R1
+// bridge when present, else the mock.
 // ═══════════════════════════════════════════
 
-const PROMPT_STANDARD = `Identify the primary object centered in this image. The surrounding context is useful for identification but focus your answer on the center subject.
-Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
-{"name":"","category":"","description":"One to two sentences about what it is.","fun_fact":"One genuinely interesting fact about it."}`;
+const MOCK_MODES = ['ok', 'malformed', 'invalid', 'text', 'slow', 'silent', 'error', 'flaky', 'stale'];
+const MOCK_DELAY_MS = 1800;
+
+function detectBackendFromUrl() {
+  const config = {
+    id:        '',
+    mock:      'ok',
+    mockDelay: MOCK_DELAY_MS,
+    endpoint:  'http://localhost:8080/v1/chat/completions',
+    model:     'local',
+  };
+  try {
+    const params = new URL(window.location.href).searchParams;
+    config.id = params.get('backend') || '';
+    if (MOCK_MODES.indexOf(params.get('mock')) !== -1) config.mock = params.get('mock');
+    const delay = parseInt(params.get('mockDelay'), 10);
+    if (delay >= 0) config.mockDelay = delay;
+    config.endpoint = params.get('endpoint') || config.endpoint;
+    config.model = params.get('model') || config.model;
+  } catch (e) {
+    // keep defaults
+  }
+  return config;
+}
+
+const backendConfig = detectBackendFromUrl();
+let mockSendCount = 0;
+
+/** Canned reply text for a mock mode, derived from the caller's happy-path mock. */
+function mockReply(mode, mock) {
+  let sample = {};
+  try { sample = JSON.parse(mock); } catch (e) { /* non-JSON mock */ }
+  const name = sample.name || sample.result || sample.answer ||
+    (sample.objects && sample.objects[0] && sample.objects[0].name) || 'something';
+  switch (mode) {
+    case 'malformed':
+      // Chatter, code fence, unquoted keys and a trailing comma — all repairable
+      return 'Sure! Here you go:\n```json\n' + mock.replace(/"(\w+)":/g, '$1:').replace(/}\s*$/, ',}') + '\n```';
+    case 'invalid':
+      return '{"category":"Unknown"}';
+    case 'text':
+      return 'This looks like ' + name + '.';
+    default:
+      return mock;
+  }
+}
+
+const BACKENDS = {
+  r1: {
+    id: 'r1',
+    async send(req) {
+      // Ensure r1-create compatible bridge is bound before each send.
+      ensureR1MessagingClient();
+
+      // Official SDK flags:
+      // - useLLM: request LLM inference (added by askLLM)
+      // - wantsR1Response: the R1 reads the reply aloud — the voice toggle
+      //   on the device, which has no speechSynthesis (see SPEECH)
+      // - wantsJournalEntry: keep this out of Rabbithole journal entries
+      r1MessagingClient.askLLM(req.prompt, {
+        wantsR1Response:   !!req.speak,
+        wantsJournalEntry: false,
+        requestId:         req.id,
+        pluginId:          detectedPluginId || undefined,
+        imageBase64:       req.image || undefined,
+      });
+    },
+  },
+
+  // Desktop stand-in; ?mock= picks the edge case, ?mockDelay= the latency
+  mock: {
+    id: 'mock',
+    async send(req) {
+      const mode = backendConfig.mock;
+      const delay = backendConfig.mockDelay;
+      mockSendCount++;
+      dbg('mock/send mode=' + mode + ' id=' + req.id + ' n=' + mockSendCount);
+      if (mode === 'error' || (mode === 'flaky' && mockSendCount % 2 === 1)) {
+        throw new Error('mock send error');
+      }
+      if (mode === 'silent') return;
+      if (mode === 'stale') {
+        // An answer to some earlier request lands first
+        setTimeout(() => handleLLMResponse({ data: req.mock, requestId: 'req_stale_' + mockSendCount }), delay / 2);
+      }
+      setTimeout(() => {
+        handleLLMResponse({ data: mockReply(mode, req.mock), requestId: req.id });
+      }, mode === 'slow' ? RESPONSE_TIMEOUT_MS + delay : delay);
+    },
+  },
+
+  // OpenAI-compatible chat completions, e.g. a local model server
+  http: {
+    id: 'http',
+    async send(req) {
+      // A compare request carries A and B as separate images
+      const images = req.images || (req.image ? [req.image] : []);
+      const content = images.length
+        ? [{ type: 'text', text: req.prompt }].concat(images.map(url => ({ type: 'image_url', image_url: { url: url } })))
+        : req.prompt;
+      const res = await fetch(backendConfig.endpoint, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ model: backendConfig.model, messages: [{ role: 'user', content: content }] }),
+      });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const body = await res.json();
+      const reply = body && body.choices && body.choices[0] && body.choices[0].message
+        ? body.choices[0].message.content
+        : body;
+      handleLLMResponse({ data: typeof reply === 'string' ? reply : JSON.stringify(reply), requestId: req.id });
+    },
+  },
+};
+
+function llmBackend() {
+  if (BACKENDS[backendConfig.id]) return BACKENDS[backendConfig.id];
+  return typeof PluginMessageHandler !== 'undefined' ? BACKENDS.r1 : BACKENDS.mock;
+}
+
+function isLensListed(lens) {
+  return !lens.unlockedBy || !!settings[lens.unlockedBy];
+}
 
-const PROMPT_HOTDOG = `Is there a hot dog in this image? A hot dog is specifically a cooked sausage served in a sliced bun.
-Respond with ONLY raw JSON — no markdown, no code fences:
-{"result":"HOT DOG" or "NOT HOT DOG","reason":"One short, blunt sentence in the deadpan style of Jian-Yang from Silicon Valley."}`;
+function currentLens() {
+  const lens = getLens(settings.lens);
+  return isLensListed(lens) ? lens : LENSES.standard;
+}
 
 // ═══════════════════════════════════════════
 // DOM REFS
@@ -128,25 +451,45 @@ const screens = {
   camera:        $('s-camera'),
   analyzing:     $('s-analyzing'),
   result:        $('s-result'),
+  retry:         $('s-retry'),
   settings:      $('s-settings'),
+  history:       $('s-history'),
+  outbox:        $('s-outbox'),
+  diagnostics:   $('s-diagnostics'),
+  noCamera:      $('s-no-camera'),
+  compare:       $('s-compare'),
   hdResult:      $('s-hotdog-result'),
   hdAnalyzing:   $('s-hotdog-analyzing'),
 };
 
 const video       = $('video');
 const canvas      = $('canvas');
-const hdOverlay   = $('hd-cam-overlay');
+const camOverlays = [$('hd-cam-overlay')];   // lens-specific camera overlays
 
 // ═══════════════════════════════════════════
 // INIT
 // ═══════════════════════════════════════════
 
 document.addEventListener('DOMContentLoaded', async () => {
+  renderSettingsRows();
+  await loadPresets();     // first, so a saved preset lens is still known
   await loadSettings();
+  await loadHistory();
+  await loadOutbox();
   bindUIEvents();
   bindHardwareEvents();
-  startCamera();
+  setState(STATES.CAMERA);   // apply the saved lens's camera overlay; opens the camera
+  document.addEventListener('visibilitychange', () => {
+    dbg('app/' + (document.hidden ? 'hidden' : 'visible'));
+    syncCamera();
+  });
+  if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshCameraList);   // plugged / unplugged
+  }
   addErrorToast();
+  updateOutboxBadge();
+  scheduleOutboxFlush(OUTBOX_FLUSH_DELAY_MS);
+  updateDiagnosticsUI();
   dbgSnapshot('dom-ready');
 
   // R1 WebView may block autoplay — retry video.play() on first user interaction
@@ -165,79 +508,200 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // ═══════════════════════════════════════════
-// CAMERA
+// REQUEST LIFECYCLE
+// One active request at a time. Each attempt is
+// watched by llmTimer; timeouts and send errors
+// resend with backoff up to settings.retries.
+// Replies are matched to the request that asked
+// for them, so a late answer to a cancelled or
+// abandoned scan can never replace a newer one.
 // ═══════════════════════════════════════════
 
-function dbg(msg) {
-  const ts = new Date().toISOString().slice(11, 23); // HH:MM:SS.mmm
-  const line = '[' + ts + ' #' + (++debugCounter) + ' ' + state + '] ' + msg;
-  console.log('[sleuth] ' + line);
-  // Temporary on-screen debug — remove before release
-  var d = document.getElementById('dbg');
-  if (!d) { d = document.createElement('div'); d.id = 'dbg'; d.style.cssText = 'position:fixed;bottom:0;left:0;right:0;background:#000;color:#0f0;font:9px monospace;padding:4px;z-index:9999;max-height:80px;overflow-y:auto;'; document.body.appendChild(d); }
-  const lines = d.textContent ? d.textContent.split('\n').filter(Boolean) : [];
-  lines.push(line);
-  if (lines.length > DEBUG_MAX_LINES) lines.splice(0, lines.length - DEBUG_MAX_LINES);
-  d.textContent = lines.join('\n') + '\n';
-  d.scrollTop = d.scrollHeight;
-}
-
-function dbgJson(prefix, data) {
-  try {
-    dbg(prefix + ' ' + JSON.stringify(data));
-  } catch (e) {
-    dbg(prefix + ' [unserializable]');
-  }
-}
-
-function dbgSnapshot(reason) {
-  dbgJson('snapshot/' + reason, {
-    state: state,
-    resultPage: resultPage,
-    voice: settings.voice,
-    hotdog: settings.hotdog,
-    waitingForLLM: !!llmTimer,
-    activeRequestId: activeRequest ? activeRequest.id : null,
-    videoReady: !!(video && video.videoWidth),
-    videoSize: video ? (video.videoWidth + 'x' + video.videoHeight) : 'n/a',
-  });
-}
-
-function beginRequest(prompt, imageBase64) {
-  const mode = state === STATES.HD_ANALYZING ? 'hotdog' : 'standard';
+function beginRequest(lens, frame, subject) {
+  const prompt = lens.prompt;
   activeRequest = {
     id: 'req_' + Date.now().toString(36) + '_' + Math.floor(Math.random() * 1000),
-    mode: mode,
+    mode: lens.id,
+    lens: lens,
+    frame: frame,
+    subject: subject || null,   // an alternative the user picked for this frame
+    attempt: 0,
+    maxAttempts: 1 + settings.retries,
     startedAt: Date.now(),
     promptLen: prompt ? prompt.length : 0,
-    imageLen: imageBase64 ? imageBase64.length : 0,
-    voiceToggle: !!settings.voice,
-    wantsR1Response: false,
+    imageLen: frame.image.length,
+    imageCount: frameImages(frame).length,
+    frameMeta: frameMeta(frame),
+    voiceToggle: voiceWanted(lens),
+    wantsR1Response: voiceWanted(lens) && speechBackend() === 'r1',
+    speech: voiceWanted(lens) ? speechBackend() : 'off',
   };
   dbgJson('request/start', {
     id: activeRequest.id,
     mode: activeRequest.mode,
+    subject: activeRequest.subject,
+    maxAttempts: activeRequest.maxAttempts,
     promptLen: activeRequest.promptLen,
     imageLen: activeRequest.imageLen,
+    imageCount: activeRequest.imageCount,
+    frame: activeRequest.frameMeta,
     voiceToggle: activeRequest.voiceToggle,
     wantsR1Response: activeRequest.wantsR1Response,
+    speech: activeRequest.speech,
   });
   return activeRequest.id;
 }
 
+/** Request-log summary of a frame; a paired frame also lists its two captures. */
+function frameMeta(frame) {
+  const meta = {
+    size: frame.width + 'x' + frame.height,
+    source: frame.srcWidth + 'x' + frame.srcHeight,
+    format: frame.format,
+    quality: frame.quality,
+    bytes: frame.bytes,
+    crop: frame.cropMode,
+    zoom: frame.zoom,
+  };
+  if (frame.parts) meta.parts = frame.parts.map(frameMeta);
+  return meta;
+}
+
+/**
+ * Images a frame can go out as. A paired frame's `image` is A and B
+ * side by side for single-image backends; `parts` keeps each capture.
+ */
+function frameImages(frame) {
+  return frame.parts ? frame.parts.map(p => p.image) : [frame.image];
+}
+
 function endRequest(status, details) {
   const req = activeRequest;
   const durationMs = req ? (Date.now() - req.startedAt) : null;
+  clearTimeout(llmTimer);
+  clearTimeout(retryTimer);
+  llmTimer = null;
+  retryTimer = null;
   dbgJson('request/' + status, {
     id: req ? req.id : null,
     mode: req ? req.mode : null,
+    attempts: req ? req.attempt : null,
     durationMs: durationMs,
     details: details || {},
-  });
+  }, status === 'success' || status === 'cancelled' ? 'info' : 'warn');
+  if (req) dropInflight(req.id);
   activeRequest = null;
 }
 
+/**
+ * Lens prompt in the chosen language plus per-request extras: the
+ * crop hint when the full frame is sent, the alternative the user
+ * picked, what a compared pair is for, and the id the model should
+ * echo so replies can be matched even without an envelope id.
+ */
+function buildPrompt(lens, requestId, frame, subject) {
+  let prompt = lensPrompt(lens, languageInfo(settings.language).name);
+  if (frame && frame.hint) {
+    const h = frame.hint;
+    prompt += '\nThe user framed the subject inside the box x=' + h.x + ' y=' + h.y + ' w=' + h.w + ' h=' + h.h +
+      ' (fractions of the image width and height, measured from the top-left corner).';
+  }
+  if (subject) {
+    prompt += '\nThe user says the subject is "' + subject.replace(/"/g, "'") + '". Describe that; set "confidence"' +
+      ' to how well the image matches it and leave "alternatives" empty.';
+  }
+  if (frame && frame.need) {
+    prompt += '\nThe user needs it for: "' + frame.need.replace(/"/g, "'") + '". Choose "best" for that need.';
+  }
+  return prompt + '\nAlso include "rid":"' + requestId + '" in the JSON.';
+}
+
+/** A resend replaces the earlier entry for the same id. */
+function trackInflight(requestId) {
+  dropInflight(requestId);
+  inflight.push({ requestId: requestId, sentAt: Date.now() });
+}
+
+/**
+ * A send that is no longer owed a reply (cancelled, aborted, given up
+ * on) must leave the queue, or an id-less reply to the next one would
+ * be handed to it and dropped as stale.
+ */
+function dropInflight(requestId) {
+  inflight = inflight.filter(f => f.requestId !== requestId);
+}
+
+/**
+ * Work out which request a bridge message answers: an id on the
+ * envelope or echoed in the JSON ("rid"), otherwise the oldest send
+ * still owed a reply. Returns null when nothing is outstanding.
+ */
+function attributeResponse(data) {
+  const now = Date.now();
+  inflight = inflight.filter(f => now - f.sentAt < INFLIGHT_TTL_MS);
+
+  const rid = extractRequestId(data);
+  if (rid) {
+    const idx = inflight.findIndex(f => f.requestId === rid);
+    if (idx !== -1) inflight.splice(idx, 1);
+    return rid;
+  }
+
+  const next = inflight.shift();
+  return next ? next.requestId : null;
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_BACKOFF_MAX_MS, RETRY_BACKOFF_MS * Math.pow(2, attempt - 1));
+}
+
+/** A send failed or timed out — resend after backoff, or give up. */
+function scheduleRetry(reason) {
+  const req = activeRequest;
+  if (!req) return;
+  clearTimeout(llmTimer);
+  llmTimer = null;
+
+  if (req.attempt >= req.maxAttempts) {
+    dbgSnapshot(reason);
+    endRequest(reason, { attempts: req.attempt });
+    enqueueCapture(req, reason);
+    showRetry({ errors: [reason] });
+    return;
+  }
+
+  const delay = retryDelay(req.attempt);
+  dbgJson('request/retry-scheduled', { id: req.id, reason: reason, attempt: req.attempt, delayMs: delay });
+  showError(t(reason === 'timeout' ? 'toast.noResponse' : 'toast.sendFailed',
+    { attempt: req.attempt + 1, max: req.maxAttempts }));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (activeRequest === req && state === STATES.ANALYZING) sendAttempt();
+  }, delay);
+}
+
+/** User backed out of the analyzing screen; any late reply is dropped as stale. */
+function cancelRequest(reason) {
+  if (!activeRequest) return;
+  endRequest('cancelled', { reason: reason });
+  lastCapture = null;
+  showError(t('toast.cancelled'));
+  returnToCamera();
+}
+
+// ═══════════════════════════════════════════
+// CAMERA
+// ═══════════════════════════════════════════
+
+/**
+ * Open the camera picked in settings on the persistent #video, stopping
+ * whatever stream it had. Also reopens it after a pause or a lost stream.
+ */
 async function startCamera() {
+  const seq = ++cameraSeq;
+  stopCamera();
+  if (cameraStatus !== 'reconnecting') setCameraStatus('starting');
+
   async function attachStream(stream) {
     dbg('stream obtained, tracks: ' + stream.getVideoTracks().length);
     video.srcObject = stream;
@@ -275,495 +739,2498 @@ async function startCamera() {
     await played;
   }
 
-  var constraints = [
-    { video: { facingMode: 'environment', width: { ideal: 640 }, height: { ideal: 480 } }, audio: false },
-    { video: { facingMode: 'environment' }, audio: false },
-    { video: true, audio: false },
-  ];
+  var constraints = cameraConstraints();
+  var lastError = null;
 
   for (var i = 0; i < constraints.length; i++) {
     try {
       dbg('trying constraints #' + i);
       var stream = await navigator.mediaDevices.getUserMedia(constraints[i]);
+      if (seq !== cameraSeq) {
+        // Another camera was picked, or the app paused, while this one opened
+        stream.getTracks().forEach(function(track) { track.stop(); });
+        return;
+      }
+      cameraStream = stream;
+      watchTracks(stream, seq);
       await attachStream(stream);
+      if (seq !== cameraSeq) return;
       dbg('camera ready, videoWidth=' + video.videoWidth);
+      cameraLive(seq);
+      refreshCameraList();
       return;
     } catch (err) {
+      lastError = err;
       dbg('constraints #' + i + ' failed: ' + err.message);
     }
   }
 
-  showError('Camera not available');
+  if (seq !== cameraSeq) return;
   dbg('all constraints failed');
+  if (cameraStatus === 'reconnecting') {
+    cameraLost('reopen-failed');
+  } else {
+    cameraFailed(cameraErrorCause(lastError));
+  }
 }
 
-function captureFrame() {
-  if (!video.videoWidth) return null;
-  canvas.width  = video.videoWidth;
-  canvas.height = video.videoHeight;
-  const ctx = canvas.getContext('2d', { willReadFrequently: false, alpha: false, desynchronized: true });
-  ctx.drawImage(video, 0, 0);
-  return canvas.toDataURL('image/jpeg', 0.8);
+/** Release the running stream's tracks; #video and its overlay stay as they are. */
+function stopCamera() {
+  clearTimeout(cameraTimer);
+  clearTimeout(muteTimer);
+  cameraTimer = null;
+  muteTimer = null;
+  if (!cameraStream) return;
+  const tracks = cameraStream.getTracks();
+  tracks.forEach(track => track.stop());
+  cameraStream = null;
+  video.srcObject = null;
+  dbg('camera/stopped tracks=' + tracks.length);
 }
 
-// ═══════════════════════════════════════════
-// LLM BRIDGE
-// ═══════════════════════════════════════════
+// ── Camera lifecycle ────────────────────────
+// The stream only runs while something can show it: hidden apps and
+// the settings screens release it, and it reopens on the way back.
+// A track that ends, stays muted or stops producing frames is
+// reopened with backoff; when that runs out, or the camera is refused,
+// the no-camera screen replaces the viewfinder until PTT retries.
 
-function sendToLLM(imageBase64, prompt) {
-  dbg('sendToLLM called, PMH=' + (typeof PluginMessageHandler));
-  dbg('imageBase64 len=' + (imageBase64 ? imageBase64.length : 0));
-  beginRequest(prompt, imageBase64);
-
-  if (typeof PluginMessageHandler === 'undefined') {
-    // Dev mode — simulate a response after a short delay
-    dbg('dev mode — sending mock response');
-    setTimeout(() => {
-      const mock = state === STATES.HD_ANALYZING
-        ? '{"result":"NOT HOT DOG","reason":"This is a keyboard. Not a hot dog."}'
-        : '{"name":"Mechanical Keyboard","category":"Technology","description":"A mechanical keyboard uses individual switches beneath each key for tactile feedback. Popular among programmers and gamers.","fun_fact":"The first computer keyboard was derived from the typewriter, which itself was invented in 1868."}';
-      handleLLMResponse({ data: mock });
-    }, 1800);
-    return;
+function cameraWanted() {
+  return !document.hidden && state !== STATES.SETTINGS && state !== STATES.DIAGNOSTICS;
+}
+
+function setCameraStatus(status) {
+  if (status === cameraStatus) return;
+  dbg('camera/status ' + cameraStatus + ' -> ' + status);
+  cameraStatus = status;
+}
+
+/** Pause or resume the stream to match visibility and state (called from setState). */
+function syncCamera() {
+  if (!cameraWanted()) {
+    pauseCamera();
+  } else if (cameraStatus === 'paused') {
+    cameraRetries = 0;
+    startCamera();
+  } else if (cameraStatus === 'failed' && (state === STATES.CAMERA || state === STATES.COMPARE)) {
+    setState(STATES.NO_CAMERA);
   }
+}
 
-  // Ensure r1-create compatible bridge is bound before each send.
-  ensureR1MessagingClient();
+function pauseCamera() {
+  if (cameraStatus === 'paused') return;
+  cameraSeq++;   // a start still opening drops its stream
+  stopCamera();
+  setCameraStatus('paused');
+}
 
-  // Official SDK flags:
-  // - useLLM: request LLM inference
-  // - wantsJournalEntry: keep this out of Rabbithole journal entries
-  var payload = {
-    message:           prompt,
-    useLLM:            true,
-    wantsR1Response:   false,
-    wantsJournalEntry: false,
-  };
-  if (imageBase64) payload.imageBase64 = imageBase64;
-  if (detectedPluginId) payload.pluginId = detectedPluginId;
-  dbgJson('request/payload-meta', {
-    id: activeRequest ? activeRequest.id : null,
-    promptLen: prompt.length,
-    imageLen: imageBase64 ? imageBase64.length : 0,
-    pluginId: payload.pluginId || '(none)',
-    useLLM: payload.useLLM,
-    wantsR1Response: payload.wantsR1Response,
-    voiceToggle: settings.voice,
-    wantsJournalEntry: payload.wantsJournalEntry,
-  });
-  try {
-    r1MessagingClient.askLLM(prompt, {
-      wantsR1Response: payload.wantsR1Response,
-      wantsJournalEntry: payload.wantsJournalEntry,
-      pluginId: payload.pluginId,
-      imageBase64: payload.imageBase64,
+/** Listen for the browser ending or muting the stream's tracks. */
+function watchTracks(stream, seq) {
+  stream.getVideoTracks().forEach((track) => {
+    if (!track.addEventListener) return;
+    track.addEventListener('ended', () => {
+      if (seq === cameraSeq) cameraLost('ended');
     });
-    dbg('postMessage sent OK — waiting for onPluginMessage...');
-  } catch (e) {
-    dbg('postMessage error: ' + e.message);
-    endRequest('post-error', { error: e.message });
-    showError('Request failed — try again');
-    setState(state === STATES.HD_ANALYZING ? STATES.HD_CAMERA : STATES.CAMERA);
-    return;
-  }
+    track.addEventListener('mute', () => {
+      if (seq !== cameraSeq) return;
+      dbg('camera/muted', 'warn');
+      clearTimeout(muteTimer);
+      muteTimer = setTimeout(() => cameraLost('muted'), CAMERA_MUTE_MS);
+    });
+    track.addEventListener('unmute', () => {
+      clearTimeout(muteTimer);
+      muteTimer = null;
+    });
+  });
+}
 
-  clearTimeout(llmTimer);
-  llmTimer = setTimeout(function() {
-    if (state === STATES.ANALYZING || state === STATES.HD_ANALYZING) {
-      dbg('WATCHDOG: no response after ' + RESPONSE_TIMEOUT_MS + 'ms');
-      dbg('onPluginMessage is: ' + typeof window.onPluginMessage);
-      dbg('onPluginMessage === _onPluginMsg: ' + (window.onPluginMessage === _onPluginMsg));
-      dbgSnapshot('timeout');
-      showError('Still waiting for response…');
-    }
-  }, RESPONSE_TIMEOUT_MS);
+function cameraLive(seq) {
+  cameraRetries = 0;
+  cameraCause = null;
+  setCameraStatus('live');
+  watchFrames(seq, video.currentTime);
+  if (state === STATES.NO_CAMERA) setState(STATES.CAMERA);
 }
 
-// Register callback — try both assignment styles the R1 might expect
-function _onPluginMsg(data) {
-  try {
-    dbg('onPluginMessage fired, type=' + typeof data + ', activeRequest=' + (activeRequest ? activeRequest.id : 'none'));
-    if (typeof data === 'string') {
-      dbg('data is string, len=' + data.length + ': ' + data.substring(0, 150));
-    } else {
-      dbg('data keys=' + (data ? Object.keys(data).join(',') : 'null'));
-      dbg('data.data=' + (data && data.data ? String(data.data).substring(0, 150) : 'empty'));
-      dbg('data.message=' + (data && data.message ? String(data.message).substring(0, 150) : 'empty'));
-      if (data && data.parsedData) dbgJson('data.parsedData', data.parsedData);
-      else dbg('data.parsedData=empty');
+/** A playing video whose time stands still between checks is frozen. */
+function watchFrames(seq, lastTime) {
+  cameraTimer = setTimeout(() => {
+    if (seq !== cameraSeq || cameraStatus !== 'live') return;
+    const time = video.currentTime;
+    if (typeof time === 'number' && time === lastTime && !video.paused) {
+      cameraLost('frozen');
+      return;
     }
-    handleLLMResponse(data);
-  } catch (e) {
-    dbg('onPluginMessage ERROR: ' + e.message);
-  }
+    watchFrames(seq, time);
+  }, CAMERA_WATCH_MS);
 }
 
-function ensureR1MessagingClient() {
-  if (!r1MessagingClient) {
-    r1MessagingClient = new R1CreateMessagingClient();
-    r1MessagingClient.onMessage(_onPluginMsg);
-    // Alias hooks used by some wrappers/hosts.
-    window.onPluginResponse = window.onPluginMessage;
-    window.onR1Message = window.onPluginMessage;
-    window.onR1PluginMessage = window.onPluginMessage;
+/** Reopen a stream that went away, backing off; give up after CAMERA_RETRY_MAX tries. */
+function cameraLost(reason) {
+  if (!cameraWanted()) return;   // reopened on resume instead
+  cameraSeq++;
+  stopCamera();
+  if (cameraRetries >= CAMERA_RETRY_MAX) {
+    dbgJson('camera/lost', { reason: reason, gaveUp: true });
+    cameraFailed('lost');
+    return;
   }
+  const delay = CAMERA_RETRY_MS * Math.pow(2, cameraRetries++);
+  dbgJson('camera/lost', { reason: reason, attempt: cameraRetries, delay: delay });
+  setCameraStatus('reconnecting');
+  cameraTimer = setTimeout(startCamera, delay);
 }
 
-ensureR1MessagingClient();
+function cameraFailed(cause) {
+  cameraCause = cause;
+  setCameraStatus('failed');
+  dbg('camera/failed ' + cause, 'error');
+  if (state === STATES.CAMERA || state === STATES.COMPARE) setState(STATES.NO_CAMERA);
+  else if (state === STATES.NO_CAMERA) renderNoCamera();
+}
 
-// Shotgun approach — try every possible way the R1 might return data
-// 1. Standard postMessage (Flutter WebView commonly uses this)
-window.addEventListener('message', function(e) {
-  dbg('window.message event: ' + typeof e.data + ' ' + String(e.data).substring(0, 150));
-  if (e.data && typeof e.data === 'string') {
-    try { var parsed = JSON.parse(e.data); _onPluginMsg(parsed); } catch(ex) { _onPluginMsg({ data: e.data }); }
-  } else if (e.data) {
-    _onPluginMsg(e.data);
-  }
-});
-// 2. Custom event
-window.addEventListener('pluginMessage', function(e) {
-  dbg('pluginMessage EVENT fired');
-  _onPluginMsg(e.detail || e.data || e);
-});
-window.addEventListener('r1Message', function(e) {
-  dbg('r1Message EVENT fired');
-  _onPluginMsg(e.detail || e.data || e);
-});
-document.addEventListener('pluginMessage', function(e) {
-  dbg('document.pluginMessage EVENT fired');
-  _onPluginMsg(e.detail || e.data || e);
-});
-// 3. Probe the bridge object for clues
-try {
-  var pmhKeys = [];
-  for (var k in PluginMessageHandler) { pmhKeys.push(k); }
-  dbg('PMH keys: ' + (pmhKeys.length ? pmhKeys.join(',') : 'none'));
-  dbg('PMH type: ' + typeof PluginMessageHandler);
-  dbg('PMH proto: ' + Object.getPrototypeOf(PluginMessageHandler));
-} catch(e) { dbg('PMH probe: ' + e.message); }
-// 4. Monitor if onPluginMessage gets overwritten
-var _origDesc = Object.getOwnPropertyDescriptor(window, 'onPluginMessage');
-dbg('onPluginMessage defined: ' + (typeof window.onPluginMessage) + ', configurable: ' + (_origDesc ? _origDesc.configurable : 'N/A'));
-
-function cleanJSONText(raw) {
-  return String(raw || '')
-    .replace(/^```json\s*/i, '')
-    .replace(/^```\s*/i, '')
-    .replace(/```\s*$/i, '')
-    .trim();
-}
-
-function tryParseJSON(raw) {
-  if (typeof raw !== 'string') return null;
-  const cleaned = cleanJSONText(raw);
-  if (!cleaned) return null;
+function cameraErrorCause(err) {
+  const name = err && err.name;
+  if (name === 'NotAllowedError' || name === 'SecurityError') return 'denied';
+  if (name === 'NotFoundError' || name === 'OverconstrainedError') return 'missing';
+  return 'failed';
+}
 
-  try {
-    return JSON.parse(cleaned);
-  } catch (e) {
-    // Fall through to extract-first-object parsing
-  }
+function renderNoCamera() {
+  $('nocam-detail').textContent = t(cameraStatus === 'failed' ? 'nocam.' + cameraCause : 'nocam.starting');
+}
 
-  const start = cleaned.indexOf('{');
-  const end = cleaned.lastIndexOf('}');
-  if (start !== -1 && end > start) {
-    try {
-      return JSON.parse(cleaned.slice(start, end + 1));
-    } catch (e) {
-      return null;
-    }
-  }
-  return null;
+/** PTT on the no-camera screen: try the camera again from scratch. */
+function retryCamera() {
+  dbg('camera/retry');
+  cameraRetries = 0;
+  startCamera();
+  renderNoCamera();
 }
 
-function isResultPayload(value) {
-  return !!value && typeof value === 'object' && (
-    typeof value.name === 'string' ||
-    typeof value.category === 'string' ||
-    typeof value.description === 'string' ||
-    typeof value.fun_fact === 'string' ||
-    typeof value.reason === 'string' ||
-    typeof value.result === 'string'
+// ── Camera selection ────────────────────────
+// settings.camera is a facing mode or a deviceId. A saved device that
+// has gone away falls back to the rear camera, then to any camera.
+
+function cameraConstraints() {
+  const size = { width: { ideal: Math.round(settings.resolution * 4 / 3) }, height: { ideal: settings.resolution } };
+  const isFacing = CAMERA_FACINGS.indexOf(settings.camera) !== -1;
+  const facing = isFacing ? settings.camera : 'environment';
+  const list = [];
+  if (!isFacing) list.push({ video: Object.assign({ deviceId: { exact: settings.camera } }, size), audio: false });
+  list.push(
+    { video: Object.assign({ facingMode: facing }, size), audio: false },
+    { video: { facingMode: facing }, audio: false },
+    { video: true, audio: false }
   );
+  return list;
 }
 
-function extractPlainText(value, depth) {
-  if (depth > 5 || value == null) return '';
-  if (Array.isArray(value)) {
-    for (const item of value) {
-      const nested = extractPlainText(item, depth + 1);
-      if (nested) return nested;
-    }
-    return '';
-  }
-  if (typeof value === 'string') return value.trim();
-  if (typeof value !== 'object') return '';
-
-  const keys = ['data', 'message', 'response', 'output', 'content', 'text', 'output_text', 'assistant', 'answer', 'reply', 'transcript'];
-  for (const key of keys) {
-    if (typeof value[key] === 'string' && value[key].trim()) return value[key].trim();
-  }
-  for (const key of keys) {
-    if (value[key] != null && typeof value[key] === 'object') {
-      const nested = extractPlainText(value[key], depth + 1);
-      if (nested) return nested;
-    }
-  }
-
-  // Generic object walk fallback for unknown schemas.
-  for (const key of Object.keys(value)) {
-    const nested = extractPlainText(value[key], depth + 1);
-    if (nested) return nested;
+/** Rear, front and every camera the browser lists (labels appear once access is granted). */
+async function refreshCameraList() {
+  let devices = [];
+  try {
+    if (navigator.mediaDevices.enumerateDevices) devices = await navigator.mediaDevices.enumerateDevices();
+  } catch (e) {
+    dbg('camera/enumerate error: ' + e.message, 'warn');
   }
-  return '';
+  const inputs = devices.filter(d => d.kind === 'videoinput' && d.deviceId);
+  cameraList = CAMERA_FACINGS.map(f => ({ id: f, label: '' }))
+    .concat(inputs.map(d => ({ id: d.deviceId, label: d.label || '' })));
+  dbgJson('camera/devices', { count: inputs.length, selected: settings.camera });
+  updateSettingUI('camera');
 }
 
-function extractResultPayload(value, depth) {
-  if (depth > 5 || value == null) return null;
-
-  if (typeof value === 'string') {
-    const parsedString = tryParseJSON(value);
-    return parsedString ? extractResultPayload(parsedString, depth + 1) : null;
-  }
-
-  if (Array.isArray(value)) {
-    for (const item of value) {
-      const nested = extractResultPayload(item, depth + 1);
-      if (nested) return nested;
-    }
-    return null;
-  }
+function cameraLabel(id) {
+  if (id === 'environment') return t('camera.rear');
+  if (id === 'user') return t('camera.front');
+  const i = cameraList.findIndex(c => c.id === id);
+  if (i === -1) return t('camera.saved');
+  return cameraList[i].label || t('camera.device', { n: i - CAMERA_FACINGS.length + 1 });
+}
 
-  if (typeof value !== 'object') return null;
-  if (isResultPayload(value)) return value;
+/** The camera choice after the current one; it opens when settings close. */
+function nextCamera() {
+  if (!cameraList.length) cameraList = CAMERA_FACINGS.map(f => ({ id: f, label: '' }));
+  const i = cameraList.findIndex(c => c.id === settings.camera);
+  return cameraList[(i + 1) % cameraList.length].id;
+}
 
-  const wrapperKeys = ['data', 'parsedData', 'message', 'response', 'payload', 'result', 'output', 'output_text', 'content', 'text', 'llmResponse', 'assistant'];
-  for (const key of wrapperKeys) {
-    if (Object.prototype.hasOwnProperty.call(value, key)) {
-      const nested = extractResultPayload(value[key], depth + 1);
-      if (nested) return nested;
-    }
-  }
+// ── Digital zoom + crop ─────────────────────
+// Zoom is a CSS scale on #video about the target centre, so the
+// overlay stays put while the picture grows under it. Capture maps
+// on-screen rects back to video pixels through the same geometry.
+
+/** On-screen rect the user is framing with: the target rect, or the whole viewport. */
+function framingRect() {
+  const lens = viewLens || currentLens();
+  const target = lens.overlay ? null : document.querySelector('#s-camera .target-rect');
+  const rect = (target || $('app')).getBoundingClientRect();
+  return rect.width && rect.height ? rect : null;
+}
 
-  return null;
+function setZoom(index) {
+  const next = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, index));
+  if (next === zoomIndex && video.style.transform) return;
+  zoomIndex = next;
+  const zoom = ZOOM_LEVELS[zoomIndex];
+
+  // Scale about the framing centre, in #video's own (untransformed) box
+  const app = $('app').getBoundingClientRect();
+  const rect = framingRect();
+  const ox = rect ? rect.left + rect.width / 2 - app.left : app.width / 2;
+  const oy = rect ? rect.top + rect.height / 2 - app.top : app.height / 2;
+  video.style.transformOrigin = ox + 'px ' + oy + 'px';
+  video.style.transform = zoom === 1 ? '' : 'scale(' + zoom + ')';
+
+  updateZoomBadge();
+  dbg('camera/zoom ' + zoom + 'x');
 }
 
-function normalizeStandardPayload(value) {
-  if (!value || typeof value !== 'object') return null;
+/** Zoom level readout, shown over the viewfinder only. */
+function updateZoomBadge() {
+  const zoom = ZOOM_LEVELS[zoomIndex];
+  const badge = $('zoom-badge');
+  badge.textContent = zoom + '×';
+  badge.hidden = zoom === 1 || (state !== STATES.CAMERA && state !== STATES.COMPARE);
+}
 
-  const name = value.name || value.object || value.item || value.title || '';
-  const category = value.category || value.type || '';
-  const description = value.description || value.summary || value.details || value.reason || (typeof value.result === 'string' ? value.result : '');
-  const fact = value.fun_fact || value.fact || value.trivia || '';
+/**
+ * Map a client-space rect onto source pixels of the video frame,
+ * honouring object-fit: cover and the zoom transform (the bounding
+ * box of a scaled element already includes the scale).
+ */
+function screenRectToVideo(rect) {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  const box = video.getBoundingClientRect();
+  if (!rect || !box.width || !box.height) return { x: 0, y: 0, w: vw, h: vh };
+
+  const k = Math.max(box.width / vw, box.height / vh);
+  const offX = box.left + (box.width - vw * k) / 2;
+  const offY = box.top + (box.height - vh * k) / 2;
+  const x0 = Math.max(0, Math.min(vw, (rect.left - offX) / k));
+  const y0 = Math.max(0, Math.min(vh, (rect.top - offY) / k));
+  const x1 = Math.max(0, Math.min(vw, (rect.right - offX) / k));
+  const y1 = Math.max(0, Math.min(vh, (rect.bottom - offY) / k));
+  if (x1 - x0 < 1 || y1 - y0 < 1) return { x: 0, y: 0, w: vw, h: vh };
+  return { x: Math.round(x0), y: Math.round(y0), w: Math.round(x1 - x0), h: Math.round(y1 - y0) };
+}
 
-  if (name || category || description || fact) {
-    return {
-      name: String(name || 'Unknown'),
-      category: String(category || ''),
-      description: String(description || ''),
-      fun_fact: String(fact || ''),
-    };
-  }
+/**
+ * Draw the current frame into the capture canvas, downscaled so the
+ * longest side fits settings.imageSize. With settings.crop the image is
+ * exactly the framing rect; otherwise it is the full frame plus a
+ * normalised `hint` box for the prompt. Pixels stay on the canvas until
+ * encodeFrame(); returns null until the video has dimensions.
+ */
+function captureFrame() {
+  if (!video.videoWidth) return null;
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  const framed = screenRectToVideo(framingRect());
+  const region = settings.crop ? framed : { x: 0, y: 0, w: vw, h: vh };
+  const maxDim = settings.imageSize || Math.max(region.w, region.h);
+  const scale = Math.min(1, maxDim / Math.max(region.w, region.h));
+
+  canvas.width  = Math.max(1, Math.round(region.w * scale));
+  canvas.height = Math.max(1, Math.round(region.h * scale));
+  const ctx = canvas.getContext('2d', { willReadFrequently: false, alpha: false, desynchronized: true });
+  ctx.drawImage(video, region.x, region.y, region.w, region.h, 0, 0, canvas.width, canvas.height);
 
-  return null;
+  const round = v => Math.round(v * 100) / 100;
+  const isFull = framed.w === vw && framed.h === vh;
+  return {
+    image:     null,
+    width:     canvas.width,
+    height:    canvas.height,
+    srcWidth:  region.w,
+    srcHeight: region.h,
+    zoom:      ZOOM_LEVELS[zoomIndex],
+    cropMode:  settings.crop ? 'target' : (isFull ? 'none' : 'hint'),
+    hint:      settings.crop || isFull ? null : {
+      x: round(framed.x / vw), y: round(framed.y / vh),
+      w: round(framed.w / vw), h: round(framed.h / vh),
+    },
+  };
 }
 
-function buildFallbackStandardPayload(rawText) {
-  const text = String(rawText || '').trim();
-  if (!text) return null;
+/**
+ * Cheap exposure / blur check on what captureFrame just drew.
+ * Returns { luma, contrast, sharpness, problem } where problem is
+ * 'dark' | 'bright' | 'blank' | 'blurry' | null.
+ */
+function assessFrame() {
+  if (!probeCanvas) probeCanvas = document.createElement('canvas');
+  const scale = PROBE_DIM / Math.max(canvas.width, canvas.height);
+  const w = probeCanvas.width  = Math.max(3, Math.round(canvas.width * scale));
+  const h = probeCanvas.height = Math.max(3, Math.round(canvas.height * scale));
+  const ctx = probeCanvas.getContext('2d', { willReadFrequently: true, alpha: false });
+  ctx.drawImage(canvas, 0, 0, w, h);
+  const px = ctx.getImageData(0, 0, w, h).data;
+
+  const luma = new Float32Array(w * h);
+  let sum = 0;
+  for (let i = 0, j = 0; j < luma.length; i += 4, j++) {
+    luma[j] = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+    sum += luma[j];
+  }
+  const mean = sum / luma.length;
+  let varSum = 0;
+  for (let j = 0; j < luma.length; j++) varSum += (luma[j] - mean) * (luma[j] - mean);
+  const contrast = Math.sqrt(varSum / luma.length);
+
+  // Variance of the 4-neighbour Laplacian over the interior
+  let lapSum = 0, lapSq = 0, n = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const c = y * w + x;
+      const lap = luma[c - 1] + luma[c + 1] + luma[c - w] + luma[c + w] - 4 * luma[c];
+      lapSum += lap;
+      lapSq += lap * lap;
+      n++;
+    }
+  }
+  const sharpness = n ? lapSq / n - (lapSum / n) * (lapSum / n) : 0;
 
-  const parsed = tryParseJSON(text);
-  const normalized = normalizeStandardPayload(parsed);
-  if (normalized) return normalized;
+  let problem = null;
+  if (mean < FRAME_MIN_LUMA) problem = 'dark';
+  else if (mean > FRAME_MAX_LUMA) problem = 'bright';
+  else if (contrast < FRAME_MIN_CONTRAST) problem = 'blank';
+  else if (sharpness < FRAME_MIN_SHARPNESS) problem = 'blurry';
 
   return {
-    name: 'Unknown',
-    category: '',
-    description: text,
-    fun_fact: '',
+    luma: Math.round(mean),
+    contrast: Math.round(contrast * 10) / 10,
+    sharpness: Math.round(sharpness),
+    problem: problem,
   };
 }
 
-function getAnyTextFallback(data, preferred) {
-  if (preferred && preferred.trim()) return preferred.trim();
-  if (typeof data === 'string' && data.trim()) return data.trim();
-  try {
-    const compact = JSON.stringify(data);
-    if (compact && compact !== '{}' && compact !== '[]') return compact;
-  } catch (e) {
-    // ignore
+/** WebP where the canvas can produce it, JPEG otherwise. Probed once. */
+function pickImageFormat() {
+  if (!imageFormat) {
+    let webp = '';
+    try { webp = canvas.toDataURL('image/webp', 0.5); } catch (e) { /* unsupported */ }
+    imageFormat = webp.indexOf('data:image/webp') === 0 ? 'image/webp' : 'image/jpeg';
+    dbg('encode/format ' + imageFormat);
   }
-  return '';
+  return imageFormat;
 }
 
-function handleLLMResponse(data) {
-  // Process late responses if we still have an active request.
-  const waitingForResponse = (state === STATES.ANALYZING || state === STATES.HD_ANALYZING);
-  if (!waitingForResponse && !activeRequest) {
-    dbg('ignoring plugin message while idle; state=' + state);
-    return;
-  }
-  if (!waitingForResponse && activeRequest) {
-    dbg('late response received for activeRequest=' + activeRequest.id + ' while state=' + state);
-  }
+/** Decoded size of a base64 data URL. */
+function dataURLBytes(dataURL) {
+  const comma = dataURL.indexOf(',');
+  const b64 = dataURL.length - comma - 1;
+  const pad = dataURL.endsWith('==') ? 2 : dataURL.endsWith('=') ? 1 : 0;
+  return Math.floor(b64 * 3 / 4) - pad;
+}
 
-  const parsedData = (data && typeof data === 'object' && Object.prototype.hasOwnProperty.call(data, 'parsedData'))
-    ? data.parsedData
-    : null;
-  let parsed = parsedData != null ? extractResultPayload(parsedData, 0) : extractResultPayload(data, 0);
-  const fallbackText = extractPlainText(parsedData != null ? parsedData : data, 0) || extractPlainText(data, 0);
-  let parseSource = parsed
-    ? (parsedData != null ? 'parsedData-structured' : 'structured')
-    : 'none';
-  const isHotdogFlow = state === STATES.HD_ANALYZING || (activeRequest && activeRequest.mode === 'hotdog');
-
-  if (!parsed && isHotdogFlow) {
-    const upper = fallbackText.toUpperCase();
-    if (upper.includes('HOT DOG')) {
-      parsed = {
-        result: upper.includes('NOT HOT DOG') ? 'NOT HOT DOG' : 'HOT DOG',
-        reason: fallbackText.length <= 200 ? fallbackText : 'Unable to classify.',
-      };
-      parseSource = 'hotdog-text-fallback';
-    }
-  }
-  if (!parsed && !isHotdogFlow) {
-    parsed = buildFallbackStandardPayload(getAnyTextFallback(data, fallbackText));
-    if (parsed) parseSource = 'standard-text-fallback';
+/**
+ * Encode the canvas into `frame`, stepping quality down until the
+ * image fits IMAGE_BYTE_BUDGET (or the lowest step is reached).
+ */
+function encodeFrame(frame) {
+  const format = pickImageFormat();
+  let image = '';
+  let quality = 0;
+  for (let i = 0; i < IMAGE_QUALITY_STEPS.length; i++) {
+    quality = IMAGE_QUALITY_STEPS[i];
+    image = canvas.toDataURL(format, quality);
+    if (dataURLBytes(image) <= IMAGE_BYTE_BUDGET) break;
   }
+  frame.image   = image;
+  frame.format  = format;
+  frame.quality = quality;
+  frame.bytes   = dataURLBytes(image);
+  return frame;
+}
 
-  if (!parsed) {
-    const emergencyText = getAnyTextFallback(data, fallbackText);
-    if (!isHotdogFlow && emergencyText) {
-      parsed = {
-        name: 'Unknown',
-        category: '',
-        description: emergencyText,
-        fun_fact: '',
-      };
-      parseSource = 'emergency-stringify-fallback';
-    } else {
-      dbgJson('response/ignored', {
-        reason: 'no-parseable-payload',
-        fallbackTextLen: fallbackText.length,
-        activeRequestId: activeRequest ? activeRequest.id : null,
-      });
-      return;
-    }
-  }
+/**
+ * Downscale whatever captureFrame last drew into a small JPEG
+ * for the history list. Must run right after captureFrame().
+ */
+function captureThumbnail() {
+  if (!canvas.width || !canvas.height) return '';
+  const scale = THUMB_MAX_DIM / Math.max(canvas.width, canvas.height);
+  const thumb = document.createElement('canvas');
+  thumb.width  = Math.max(1, Math.round(canvas.width * scale));
+  thumb.height = Math.max(1, Math.round(canvas.height * scale));
+  const ctx = thumb.getContext('2d', { alpha: false });
+  ctx.drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL('image/jpeg', 0.6);
+}
+
+// ═══════════════════════════════════════════
+// LLM BRIDGE
+// ═══════════════════════════════════════════
+
+function sendToLLM(frame, lens, subject) {
+  dbg('sendToLLM called, lens=' + lens.id + ', PMH=' + (typeof PluginMessageHandler));
+  dbg('imageBase64 len=' + frame.image.length);
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  beginRequest(lens, frame, subject);
+  sendAttempt();
+}
+
+/** Post (or re-post) the active request and arm its watchdog. */
+function sendAttempt() {
+  const req = activeRequest;
+  req.attempt++;
+  const prompt = buildPrompt(req.lens, req.id, req.frame, req.subject);
+  const imageBase64 = req.frame.image;
+  const images = frameImages(req.frame);
+  const attempt = req.attempt;
+  const backend = llmBackend();
+  trackInflight(req.id);
+
+  dbgJson('request/payload-meta', {
+    id: req.id,
+    attempt: req.attempt,
+    backend: backend.id,
+    promptLen: prompt.length,
+    imageLen: imageBase64 ? imageBase64.length : 0,
+    imageCount: images.length,
+    frame: req.frameMeta,
+    pluginId: detectedPluginId || '(none)',
+    voiceToggle: req.voiceToggle,
+  });
+  backend.send({ id: req.id, prompt: prompt, image: imageBase64, images: images, mock: req.lens.mock,
+    speak: req.wantsR1Response }).then(() => {
+    dbg('send OK via ' + backend.id + ' — waiting for a reply...');
+  }, (e) => {
+    if (activeRequest !== req || req.attempt !== attempt) return;
+    dbg('send error via ' + backend.id + ': ' + e.message, 'warn');
+    dropInflight(req.id);
+    scheduleRetry('post-error');
+  });
 
   clearTimeout(llmTimer);
-  llmTimer = null;
+  llmTimer = setTimeout(function() {
+    llmTimer = null;
+    if (activeRequest !== req) return;
+    dbg('WATCHDOG: no response after ' + RESPONSE_TIMEOUT_MS + 'ms, attempt ' + req.attempt);
+    dbgJson('bridge/waiting', r1MessagingClient.report());
+    scheduleRetry('timeout');
+  }, RESPONSE_TIMEOUT_MS);
+}
+
+// Every reply the bridge delivers (once, from the locked channel)
+function _onPluginMsg(data) {
+  try {
+    dbg('bridge/message channel=' + r1MessagingClient.channel + ' activeRequest=' + (activeRequest ? activeRequest.id : 'none'));
+    dbg('data keys=' + Object.keys(data).join(','));
+    dbg('data.data=' + (data.data ? String(data.data).substring(0, 150) : 'empty'));
+    dbg('data.message=' + (data.message ? String(data.message).substring(0, 150) : 'empty'));
+    if (data.parsedData) dbgJson('data.parsedData', data.parsedData);
+    else dbg('data.parsedData=empty');
+    handleLLMResponse(data);
+  } catch (e) {
+    dbg('onPluginMessage ERROR: ' + e.message, 'error');
+  }
+}
 
-  // Coerce standard payloads to the fields the UI expects.
-  if (!isHotdogFlow && typeof parsed.result !== 'string') {
-    parsed = normalizeStandardPayload(parsed) || buildFallbackStandardPayload(getAnyTextFallback(data, fallbackText));
+function ensureR1MessagingClient() {
+  if (!r1MessagingClient) {
+    r1MessagingClient = new R1CreateMessagingClient();
+    r1MessagingClient.onMessage(_onPluginMsg);
+  }
+}
+
+ensureR1MessagingClient();
+
+function handleLLMResponse(data) {
+  if (handleVoiceMessage(data)) return;
+  if (isJournalReply(data)) return;
+  if (followUp) {
+    handleFollowUpResponse(data);
+    return;
+  }
+  if (outboxSend && !activeRequest) {
+    handleOutboxResponse(data);
+    return;
+  }
+
+  const lens = activeRequest ? activeRequest.lens : (viewLens || currentLens());
+  const outcome = parseLensResponse(data, lens);
+
+  if (outcome.status === PARSE.INVALID && outcome.errors[0] === 'empty') {
+    dbgJson('response/ignored', {
+      reason: 'no-parseable-payload',
+      lens: lens.id,
+      activeRequestId: activeRequest ? activeRequest.id : null,
+    });
+    return;
+  }
+
+  // Only the request that asked may consume a reply.
+  const requestId = attributeResponse(data);
+  if (!activeRequest) {
+    dbg('ignoring plugin message while idle; state=' + state + ' requestId=' + requestId);
+    return;
+  }
+  if (requestId && requestId !== activeRequest.id) {
+    dbgJson('response/stale', { requestId: requestId, activeRequestId: activeRequest.id, state: state });
+    return;
+  }
+  if (state !== STATES.ANALYZING) {
+    dbg('late response received for activeRequest=' + activeRequest.id + ' while state=' + state);
   }
 
-  dbgJson('response/parsed', {
-    source: parseSource,
-    keys: Object.keys(parsed || {}),
+  dbgJson('response/' + outcome.status, {
+    source: outcome.source,
+    lens: lens.id,
+    errors: outcome.errors,
+    repairs: outcome.repairs,
     activeRequestId: activeRequest ? activeRequest.id : null,
   });
-  if (!parsed) {
-    endRequest('parse-error', { reason: 'normalized-null' });
-    showError('Could not read response — try again');
-    setState(STATES.CAMERA);
+  if (outcome.status === PARSE.INVALID) {
+    endRequest('parse-error', { errors: outcome.errors });
+    showRetry(outcome);
     return;
   }
 
-  if (isHotdogFlow) {
-    if (typeof parsed.result !== 'string') {
-      const maybeText = getAnyTextFallback(data, fallbackText);
-      parsed = {
-        result: (String(maybeText).toUpperCase().includes('NOT HOT DOG') ? 'NOT HOT DOG' : 'HOT DOG'),
-        reason: maybeText || 'Unable to classify.',
-      };
-    }
-    endRequest('success', { ui: 'hotdog-result' });
-    showHotdogResult(parsed);
-  } else {
-    endRequest('success', { ui: 'standard-result' });
-    showResult(parsed);
-  }
+  resultOrigin = 'scan';
+  lastCapture = null;
+  const frame = activeRequest.frame;
+  resultContext = {
+    requestId: activeRequest.id,
+    entryId:   null,
+    lens:      lens,
+    value:     outcome.value,
+    image:     frame && frame.image ? frame.image : '',
+    frame:     frame,
+    thread:    [],
+  };
+  endRequest('success', { ui: lens.id + '-result', parse: outcome.status });
+  renderResult(lens, outcome.value, frame);
+  resultContext.entryId = addHistoryEntry(lens, outcome.value, resultContext.requestId).id;
+  scheduleOutboxFlush(OUTBOX_FLUSH_DELAY_MS);   // the bridge is answering again
 }
 
 // ═══════════════════════════════════════════
 // CAPTURE FLOW
 // ═══════════════════════════════════════════
 
-function doCapture() {
-  dbg('capture/start from state=' + state);
-  const isHotdog = state === STATES.HD_CAMERA;
-  const nextState = isHotdog ? STATES.HD_ANALYZING : STATES.ANALYZING;
-  setState(nextState);
-
-  const imageBase64 = captureFrame();
-  if (!imageBase64) {
+/** PTT capture, or one triggered by auto mode (`auto`), which skips poor frames silently. */
+function doCapture(auto) {
+  const lens = currentLens();
+  const viewfinder = state === STATES.COMPARE ? STATES.COMPARE : STATES.CAMERA;   // a refused B keeps A
+  dbg('capture/start from state=' + state + ' lens=' + lens.id + (auto ? ' auto' : ''));
+  abortOutboxSend('scan');
+  viewLens = lens;
+  setState(STATES.ANALYZING);
+
+  const frame = captureFrame();
+  if (!frame) {
     dbg('capture/failed video not ready');
-    showError('Camera not ready — try again');
-    setState(isHotdog ? STATES.HD_CAMERA : STATES.CAMERA);
+    showError(t('toast.cameraNotReady'));
+    setState(viewfinder);
+    return;
+  }
+
+  // Refuse dark / blank / blurred frames; pressing again soon after sends anyway
+  const check = assessFrame();
+  if (check.problem && auto) {
+    dbgJson('capture/auto-skipped', check);
+    setState(viewfinder);
+    return;
+  }
+  const override = Date.now() - rejectedAt < FRAME_OVERRIDE_MS;
+  rejectedAt = 0;
+  if (check.problem && !override) {
+    dbgJson('capture/rejected', check);
+    rejectedAt = Date.now();
+    showError(t('toast.sendAnyway', { problem: t('frame.' + check.problem) }));
+    setState(viewfinder);
+    return;
+  }
+  sceneWatcher.identified(Date.now());   // only now: auto mode tries a refused view again
+
+  encodeFrame(frame);
+  dbgJson('capture/ok', {
+    size: frame.width + 'x' + frame.height,
+    source: frame.srcWidth + 'x' + frame.srcHeight,
+    format: frame.format,
+    quality: frame.quality,
+    bytes: frame.bytes,
+    crop: frame.cropMode,
+    zoom: frame.zoom,
+    check: check,
+    override: !!(check.problem && override),
+  });
+  if (lens.kind === 'compare') {
+    compareCapture(frame, lens);
+    return;
+  }
+  lastThumb = captureThumbnail();
+  lastCapture = { frame: frame, lens: lens };
+
+  sendToLLM(frame, lens);
+}
+
+/** Resend the last captured frame after an unreadable reply. */
+function retryLastCapture() {
+  if (!lastCapture) {
+    returnToCamera();
+    return;
+  }
+  dbg('capture/retry lens=' + lastCapture.lens.id);
+  if (lastCapture.outboxId) {
+    // Sent by hand now; it is queued again if this attempt fails too
+    removeOutboxItem(lastCapture.outboxId, 'manual-retry');
+    lastCapture.outboxId = null;
+  }
+  viewLens = lastCapture.lens;
+  setState(STATES.ANALYZING);
+  sendToLLM(lastCapture.frame, lastCapture.lens, lastCapture.subject);
+}
+
+// ═══════════════════════════════════════════
+// AUTO MODE
+// While on, the camera screen samples the target
+// every AUTO_SAMPLE_MS and identifies whatever has
+// newly held still there (scene.js decides when).
+// Runs only while the camera screen is showing.
+// ═══════════════════════════════════════════
+
+function targetRect() {
+  return document.querySelector('#s-camera .target-rect');
+}
+
+/** Start or stop sampling to match settings.auto and the current state. */
+function updateAutoMode() {
+  const armed = settings.auto && state === STATES.CAMERA;
+  targetRect().classList.toggle('auto-armed', armed);
+  $('auto-badge').hidden = !armed;
+  if (armed) {
+    if (!autoTimer) autoTimer = setTimeout(sampleAuto, AUTO_SAMPLE_MS);
+    return;
+  }
+  clearTimeout(autoTimer);
+  autoTimer = null;
+  sceneWatcher.reset();
+  targetRect().classList.remove('auto-locking');
+}
+
+/** Greyscale signature of what is inside the framing rect, or null before the video runs. */
+function sampleScene() {
+  if (!video.videoWidth) return null;
+  if (!sceneCanvas) sceneCanvas = document.createElement('canvas');
+  const w = sceneCanvas.width  = SCENE_GRID_W * 2;
+  const h = sceneCanvas.height = SCENE_GRID_H * 2;
+  const region = screenRectToVideo(framingRect());
+  const ctx = sceneCanvas.getContext('2d', { willReadFrequently: true, alpha: false });
+  ctx.drawImage(video, region.x, region.y, region.w, region.h, 0, 0, w, h);
+  return sceneSignature(ctx.getImageData(0, 0, w, h).data, w, h);
+}
+
+function sampleAuto() {
+  autoTimer = null;
+  if (!settings.auto || state !== STATES.CAMERA) return;
+  const sig = sampleScene();
+  const status = sig ? sceneWatcher.sample(sig, Date.now()) : 'moving';
+  targetRect().classList.toggle('auto-locking', status === 'settling');
+  if (status === 'fire') {
+    dbg('auto/fire lens=' + currentLens().id);
+    doCapture(true);
+    return;
+  }
+  autoTimer = setTimeout(sampleAuto, AUTO_SAMPLE_MS);
+}
+
+// ═══════════════════════════════════════════
+// COMPARE
+// The compare lens takes two captures. The first
+// is held as A while the viewfinder waits for B;
+// holding PTT in between says what the pair is
+// for. B then goes out with A in one request.
+// ═══════════════════════════════════════════
+
+/** A compare-lens capture: hold the first as A, send it with the second. */
+function compareCapture(frame, lens) {
+  if (!compareHold) {
+    compareHold = { frame: frame, pixels: copyCanvas(canvas), thumb: captureThumbnail(), need: '' };
+    dbgJson('compare/hold', { bytes: frame.bytes, size: frame.width + 'x' + frame.height });
+    setState(STATES.COMPARE);
     return;
   }
-  dbg('capture/ok img len=' + imageBase64.length);
+  const pair = pairFrames(compareHold, frame);
+  compareHold = null;
+  dbgJson('compare/pair', { size: pair.width + 'x' + pair.height, bytes: pair.bytes, needLen: pair.need.length });
+  lastThumb = captureThumbnail();
+  lastCapture = { frame: pair, lens: lens };
+  sendToLLM(pair, lens);
+}
+
+function copyCanvas(src) {
+  const copy = document.createElement('canvas');
+  copy.width  = src.width;
+  copy.height = src.height;
+  copy.getContext('2d', { alpha: false }).drawImage(src, 0, 0);
+  return copy;
+}
+
+/**
+ * Draw A and B side by side on the capture canvas at a common height,
+ * lettered, and encode that as the frame the pair goes out in. The
+ * frame keeps both captures in `parts` for backends that take several
+ * images. Must run right after B's captureFrame().
+ */
+function pairFrames(hold, b) {
+  const left  = hold.pixels;
+  const right = copyCanvas(canvas);
+  const h  = Math.min(left.height, right.height);
+  const lw = Math.round(left.width * h / left.height);
+  const rw = Math.round(right.width * h / right.height);
+  canvas.width  = lw + COMPARE_GAP + rw;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { alpha: false });
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, canvas.width, h);
+  ctx.drawImage(left, 0, 0, lw, h);
+  ctx.drawImage(right, lw + COMPARE_GAP, 0, rw, h);
+  letterPairSide(ctx, 'A', 0, h);
+  letterPairSide(ctx, 'B', lw + COMPARE_GAP, h);
+  return encodeFrame({
+    image:     null,
+    width:     canvas.width,
+    height:    h,
+    srcWidth:  canvas.width,
+    srcHeight: h,
+    zoom:      b.zoom,
+    cropMode:  'pair',
+    hint:      null,
+    parts:     [hold.frame, b],
+    need:      hold.need,
+  });
+}
+
+function letterPairSide(ctx, letter, x, h) {
+  const size = Math.max(12, Math.round(h / 10));
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, 0, size * 1.6, size * 1.6);
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold ' + size + 'px sans-serif';
+  ctx.fillText(letter, x + size * 0.4, size * 1.25);
+}
+
+/** What the pair is for, from a PTT hold while A is held. */
+function setCompareNeed(text) {
+  if (!compareHold || state !== STATES.COMPARE) return;
+  compareHold.need = text;
+  dbgJson('compare/need', { needLen: text.length });
+  renderCompareHold();
+}
 
-  sendToLLM(imageBase64, isHotdog ? PROMPT_HOTDOG : PROMPT_STANDARD);
+/** A's thumbnail and the stated need over the viewfinder. */
+function renderCompareHold() {
+  $('compare-held').hidden = !compareHold;
+  if (compareHold) $('compare-held-thumb').style.backgroundImage = compareHold.thumb ? 'url("' + compareHold.thumb + '")' : '';
+  const need = $('compare-need');
+  need.textContent = compareHold && compareHold.need ? t('compare.need', { need: compareHold.need }) : '';
+  need.hidden = !need.textContent;
 }
 
 // ═══════════════════════════════════════════
 // DISPLAY RESULTS
 // ═══════════════════════════════════════════
 
-function showResult(parsed) {
-  const name     = parsed.name        || 'Unknown';
-  const category = parsed.category    || '';
+const RENDERERS = {
+  card:    showResult,
+  multi:   showMultiResult,
+  verdict: showHotdogResult,
+  compare: showCompareResult,
+};
+
+function renderResult(lens, value, frame) {
+  (RENDERERS[lens.kind] || showResult)(value, lens, frame);
+}
+
+function showResult(parsed, lens) {
+  lens = lens || LENSES.standard;
+  fillResultCard(parsed, lens);
+  updateResultPageNums();
+
+  resultPage = 1;
+  viewLens = lens;
+  showResultPage(1);
+  setState(STATES.RESULT);
+  speakResult();
+}
+
+/** Fill the description and fact pages from one card-shaped result. */
+function fillResultCard(parsed, lens) {
+  const name     = parsed.name        || t('result.unknown');
+  const category = lens.categories ? categoryLabel(parsed.category) : (parsed.category || '');
   const desc     = parsed.description || '';
   const fact     = parsed.fun_fact    || '';
 
-  $('result-category').textContent   = category;
-  $('result-name').textContent       = name;
-  $('result-description').textContent = desc;
-  $('result-fact').textContent       = fact;
+  $('result-category').textContent   = category;
+  $('result-name').textContent       = name;
+  $('result-description').textContent = desc;
+  $('result-fact').textContent       = fact;
+
+  // Lens-specific labels for the second page
+  $('result-fact-icon').textContent  = lens.labels.factIcon;
+  $('result-fact-label').textContent = lensText(lens, 'fact');
+  $('result-next-hint').textContent  = '↓ ' + lensText(lens, 'next');
+
+  // Hide category pill if empty
+  $('result-category').style.display = category ? 'inline-block' : 'none';
+
+  // How sure the model was, beside the pill (lenses that rate their answer)
+  const confidence = confidenceValue(parsed.confidence);
+  const badge = $('result-confidence');
+  badge.hidden = confidence === null;
+  if (confidence !== null) {
+    badge.textContent = t('result.confidence', { pct: Math.round(confidence * 100) });
+    badge.className = 'confidence-badge ' + confidenceLevel(confidence);
+  }
+
+  // Text lenses scroll long pages instead of clamping them
+  screens.result.classList.toggle('text-layout', lens.layout === 'text');
+  $('result-desc-body').scrollTop = 0;
+  $('result-fact-body').scrollTop = 0;
+  dbgJson('ui/show-result', {
+    lens: lens.id,
+    nameLen: String(name).length,
+    categoryLen: String(category).length,
+    descLen: String(desc).length,
+    factLen: String(fact).length,
+    confidence: confidence,
+    alternatives: (parsed.alternatives || []).length,
+  });
+}
+
+/** A parsed confidence (validated values are stored as text) as 0–1, or null when there was none. */
+function confidenceValue(raw) {
+  const n = raw === '' || raw == null ? NaN : Number(raw);
+  return isFinite(n) ? n : null;
+}
+
+function confidenceLevel(n) {
+  return n >= 0.75 ? 'high' : n >= 0.45 ? 'medium' : 'low';
+}
+
+// ── Multi-object result ─────────────────────
+// Page 0 is the frozen frame with a labelled box per object;
+// the wheel then walks each object's description and fact pages.
+
+function showMultiResult(parsed, lens, frame) {
+  const objects = parsed.objects || [];
+  multiView = { objects: objects, index: 0, image: frame && frame.image ? frame.image : '' };
+  $('result-frame-count').textContent = tCount('result.objects', objects.length);
+  renderFrameBoxes();
+  dbgJson('ui/show-multi-result', {
+    lens: lens.id,
+    objects: objects.length,
+    boxes: objects.filter(o => o.box).length,
+    hasImage: !!multiView.image,
+  });
+
+  showResultPage(0);
+  viewLens = lens;
+  setState(STATES.RESULT);
+  speak([$('result-frame-count').textContent, objects.map(o => o.name).join(', ')]);
+}
+
+/** Draw the frozen frame and one labelled box per object. */
+function renderFrameBoxes() {
+  const wrap = $('result-frame-wrap');
+  const img = $('result-frame-img');
+  wrap.querySelectorAll('.obj-box').forEach(b => b.remove());
+
+  img.onload = () => fitFrameWrap(img.naturalWidth / img.naturalHeight);
+  img.hidden = !multiView.image;
+  if (multiView.image) img.src = multiView.image;
+  else img.removeAttribute('src');
+  fitFrameWrap(4 / 3);
+
+  multiView.objects.forEach((obj, i) => {
+    if (!obj.box) return;
+    const box = document.createElement('div');
+    box.className = 'obj-box' + (i === multiView.index ? ' selected' : '');
+    box.style.left   = (obj.box.x * 100) + '%';
+    box.style.top    = (obj.box.y * 100) + '%';
+    box.style.width  = (obj.box.w * 100) + '%';
+    box.style.height = (obj.box.h * 100) + '%';
+    const label = document.createElement('span');
+    label.className = 'obj-label';
+    label.textContent = (i + 1) + ' ' + obj.name;
+    box.appendChild(label);
+    wrap.appendChild(box);
+  });
+
+  const current = multiView.objects[multiView.index];
+  $('result-frame-hint').textContent = current ? '↓ ' + (multiView.index + 1) + ' ' + current.name : t('result.back');
+}
+
+/** Size the frame wrapper to the image aspect, contained in the page body. */
+function fitFrameWrap(aspect) {
+  if (!aspect || !isFinite(aspect)) return;
+  const body = $('result-frame-body');
+  const bw = body.clientWidth || 240;
+  const bh = body.clientHeight || 226;
+  const wrap = $('result-frame-wrap');
+  wrap.style.width  = Math.round(Math.min(bw, bh * aspect)) + 'px';
+  wrap.style.height = Math.round(Math.min(bh, bw / aspect)) + 'px';
+}
+
+/**
+ * Wheel step through the multi-object pages: frame, then each
+ * object's description (1) and fact (2) page, then out.
+ */
+function stepMultiResult(delta) {
+  const count = multiView.objects.length;
+  const pos = resultPage === 0 ? 0 : 1 + multiView.index * 2 + (resultPage - 1);
+  const next = pos + delta;
+  if (next < 0) return;
+  if (next > count * 2) {
+    leaveResult();
+    return;
+  }
+  if (next === 0) {
+    renderFrameBoxes();
+    showResultPage(0);
+    return;
+  }
+
+  multiView.index = Math.floor((next - 1) / 2);
+  const page = (next - 1) % 2 + 1;
+  const obj = multiView.objects[multiView.index];
+  const num = (multiView.index + 1) + ' / ' + count;
+  fillResultCard(obj, viewLens);
+  $('result-desc-num').textContent = num;
+  $('result-fact-num').textContent = num;
+  $('result-end-hint').textContent = multiView.index + 1 < count
+    ? '↓ ' + (multiView.index + 2) + ' ' + multiView.objects[multiView.index + 1].name
+    : t('result.back');
+  showResultPage(page);
+  if (page === 1 && delta > 0) speakResult();
+}
+
+function showHotdogResult(parsed, lens) {
+  const isHotDog = isHotdogVerdict(parsed);
+
+  $('hd-icon').textContent   = isHotDog ? '🌭' : '🚫';
+  $('hd-verdict').textContent = t(isHotDog ? 'hotdog.yes' : 'hotdog.no');
+  $('hd-reason').textContent  = parsed.reason || '';
+  dbgJson('ui/show-hotdog-result', {
+    verdict: $('hd-verdict').textContent,
+    reasonLen: String(parsed.reason || '').length,
+  });
+
+  // Border color via R1 API
+  if (typeof updateAppBorderColor !== 'undefined') {
+    updateAppBorderColor(isHotDog ? '#22c55e' : '#ef4444');
+  }
+
+  viewLens = lens || LENSES.hotdog;
+  setState(STATES.RESULT);
+  speakHotdogResult();
+}
+
+// ── Compare result ──────────────────────────
+// One page at a time in #compare-body: the pair, the differences,
+// each side's strengths, then which fits the need. Paged by the
+// wheel like a card; long pages scroll first.
+
+function showCompareResult(parsed, lens, frame) {
+  // The need isn't part of the reply; keep it with the value so history has it too
+  if (frame && frame.need) parsed.need = frame.need;
+  dbgJson('ui/show-compare-result', {
+    lens: lens.id,
+    pages: comparePages(parsed).length,
+    best: parsed.best || null,
+    hasImage: !!(frame && frame.image),
+  });
+  viewLens = lens;
+  resultPage = 1;
+  showComparePage(1);
+  setState(STATES.RESULT);
+  speak([t('compare.versus', { a: parsed.name_a, b: parsed.name_b }), parsed.summary, compareVerdict(parsed)]);
+}
+
+/** Page kinds of a comparison; strengths and the verdict only when the reply has them. */
+function comparePages(value) {
+  const pages = ['pair', 'differences'];
+  if ((value.pros_a || []).length || (value.pros_b || []).length) pages.push('pros');
+  if (value.best || value.best_reason) pages.push('best');
+  return pages;
+}
+
+function comparing() {
+  return !!resultContext && resultContext.lens.kind === 'compare';
+}
+
+function compareVerdict(value) {
+  if (value.best === 'A') return value.name_a;
+  if (value.best === 'B') return value.name_b;
+  return value.best === 'EITHER' ? t('compare.either') : '';
+}
+
+function showComparePage(page) {
+  const value = resultContext.value;
+  const pages = comparePages(value);
+  const back = page < resultPage;
+  resultPage = page;
+  const body = $('compare-body');
+  body.textContent = '';
+  const add = (tag, className, text) => {
+    const el = document.createElement(tag);
+    el.className = className;
+    if (text) el.textContent = text;
+    body.appendChild(el);
+    return el;
+  };
+  const side = (letter, name) => {
+    const row = add('div', 'compare-side');
+    const tag = document.createElement('span');
+    tag.className = 'compare-tag';
+    tag.textContent = letter;
+    const label = document.createElement('span');
+    label.className = 'compare-name';
+    label.textContent = name;
+    row.appendChild(tag);
+    row.appendChild(label);
+  };
+  const points = (items) => {
+    const list = add('ul', 'compare-list');
+    items.forEach((item) => {
+      const li = document.createElement('li');
+      li.textContent = item.text;
+      list.appendChild(li);
+    });
+  };
+
+  switch (pages[page - 1]) {
+    case 'pair':
+      if (resultContext.image) add('img', 'compare-photo').src = resultContext.image;
+      side('A', value.name_a);
+      side('B', value.name_b);
+      if (value.summary) add('p', 'result-description', value.summary);
+      break;
+    case 'differences':
+      add('p', 'fact-label', t('compare.differences'));
+      points(value.differences || []);
+      break;
+    case 'pros':
+      add('p', 'fact-label', t('compare.pros'));
+      if ((value.pros_a || []).length) {
+        side('A', value.name_a);
+        points(value.pros_a);
+      }
+      if ((value.pros_b || []).length) {
+        side('B', value.name_b);
+        points(value.pros_b);
+      }
+      break;
+    case 'best':
+      add('p', 'fact-label', t('compare.best'));
+      if (value.need) add('p', 'compare-need-quote', t('compare.need', { need: value.need }));
+      add('h1', 'result-name', compareVerdict(value));
+      if (value.best_reason) add('p', 'result-description', value.best_reason);
+      break;
+  }
+  $('compare-num').textContent = page + ' / ' + pages.length;
+  $('compare-hint').textContent = page < pages.length ? '↓ ' + t('compare.' + pages[page]) : t('result.back');
+  // Paging back lands on the end of the previous page, like card text
+  body.scrollTop = back ? Math.max(0, body.scrollHeight - body.clientHeight) : 0;
+}
+
+const FAILURE_KINDS  = ['unparseable', 'timeout', 'post-error'];   // no field named
+const FIELD_FAILURES = ['missing', 'type', 'empty', 'enum'];        // 'kind:field' errors
+
+function describeFailure(errors) {
+  const first = String(errors[0] || 'unparseable').split(':');
+  if (first[1] && FIELD_FAILURES.includes(first[0])) {
+    const field = t('field.' + first[1], null, first[1].replace(/_/g, ' '));
+    return t('failure.' + first[0], { field: field });
+  }
+  return t('failure.' + (FAILURE_KINDS.includes(first[0]) ? first[0] : 'unparseable'));
+}
+
+/** Failure screen for unreadable replies and exhausted retries. */
+function showRetry(outcome) {
+  const noAnswer = outcome.errors[0] === 'timeout' || outcome.errors[0] === 'post-error';
+  $('retry-title').textContent  = t(noAnswer ? 'retry.noAnswer' : 'retry.unreadable');
+  $('retry-detail').textContent = describeFailure(outcome.errors) +
+    (lastCapture && lastCapture.outboxId ? ' ' + t('retry.queued') : '');
+  $('retry-hint').textContent   = t(lastCapture ? 'retry.hint' : 'retry.hintNewScan');
+  setState(STATES.RETRY);
+}
+
+function showResultPage(page) {
+  if (comparing()) {
+    showComparePage(page);
+    return;
+  }
+  const back = page < resultPage;
+  const qaPage = firstQAPage();
+  resultPage = page;
+  $('result-frame-page').classList.toggle('active-page', page === 0);
+  $('result-desc-page').classList.toggle('active-page', page === 1);
+  $('result-fact-page').classList.toggle('active-page', page === 2);
+  $('result-alt-page').classList.toggle('active-page', page === ALT_PAGE && qaPage > ALT_PAGE);
+  $('result-qa-page').classList.toggle('active-page', page >= qaPage);
+  if (page === ALT_PAGE && qaPage > ALT_PAGE) {
+    // Nothing is selected on arrival, so PTT still leaves; the first turn
+    // of the wheel selects the first row, or the last when coming back up
+    altIndex = back ? resultAlternatives().length : -1;
+    renderAlternatives();
+  }
+  if (page >= qaPage) fillQAPage(page - qaPage);
+  // Paging back lands on the end of the previous page's text
+  const body = resultScroller(page);
+  if (body) body.scrollTop = back ? Math.max(0, body.scrollHeight - body.clientHeight) : 0;
+}
+
+/** Scrolling body of a card page, for text-layout lenses only, or of a comparison. */
+function resultScroller(page) {
+  if (comparing()) return $('compare-body');
+  if (!viewLens || viewLens.layout !== 'text' || page < 1) return null;
+  return $(page === 1 ? 'result-desc-body' : page === 2 ? 'result-fact-body' : 'result-qa-body');
+}
+
+function scrollResultPage(delta) {
+  if (onAlternativesPage()) {
+    moveAlternative(delta);
+    return;
+  }
+  const body = resultScroller(resultPage);
+  if (!body) return;
+  const max = Math.max(0, body.scrollHeight - body.clientHeight);
+  body.scrollTop = Math.max(0, Math.min(max, body.scrollTop + delta * TEXT_SCROLL_PX));
+}
+
+/** Last card page: the fact page, other possibilities, then one page per follow-up turn. */
+function lastResultPage() {
+  if (comparing()) return comparePages(resultContext.value).length;
+  return firstQAPage() - 1 + (resultContext ? resultContext.thread.length : 0);
+}
+
+/** Card page numbers and the onward hint under the last page before any answers. */
+function updateResultPageNums() {
+  const total = lastResultPage();
+  const qaPage = firstQAPage();
+  $('result-desc-num').textContent = '1 / ' + total;
+  $('result-fact-num').textContent = '2 / ' + total;
+  $('result-alt-num').textContent  = ALT_PAGE + ' / ' + total;
+  let onward;
+  if (total >= qaPage) onward = t('result.followUp');
+  else if (listenBackend() !== 'none') onward = t('result.askHint');
+  else onward = t('result.back');
+  $('result-end-hint').textContent = qaPage > ALT_PAGE ? '↓ ' + t('alt.title') : onward;
+  $('result-alt-hint').textContent = onward;
+}
+
+// ── Other possibilities ─────────────────────
+// Lenses that rank alternatives get a page of them after the fact.
+// The wheel walks the rows; once it has selected one, PTT (or a tap)
+// re-runs the scan's frame as the chosen one, which becomes a new
+// result and history entry.
+
+function resultAlternatives() {
+  const value = resultContext && resultContext.value;
+  return value && Array.isArray(value.alternatives) ? value.alternatives : [];
+}
+
+/** Page of the first follow-up answer: after other possibilities when there are any. */
+function firstQAPage() {
+  return resultAlternatives().length ? ALT_PAGE + 1 : ALT_PAGE;
+}
+
+function onAlternativesPage() {
+  return resultPage === ALT_PAGE && firstQAPage() > ALT_PAGE;
+}
+
+/** Row the wheel has selected, if any; altIndex sits just outside the list until then. */
+function selectedAlternative() {
+  return resultAlternatives()[altIndex] || null;
+}
+
+/** Only a fresh scan still has the full frame to send again; history keeps a thumbnail. */
+function canPickAlternative() {
+  return !!(resultContext && resultContext.frame && resultContext.frame.image);
+}
+
+function renderAlternatives() {
+  const list = $('result-alt-list');
+  const alts = resultAlternatives();
+  list.textContent = '';
+  alts.forEach((alt, i) => {
+    const item = document.createElement('div');
+    item.className = 'alt-item' + (i === altIndex ? ' selected' : '');
+    item.id = 'alt-' + i;
+    const name = document.createElement('span');
+    name.className = 'alt-name';
+    name.textContent = alt.name;
+    item.appendChild(name);
+    const confidence = confidenceValue(alt.confidence);
+    if (confidence !== null) {
+      const pct = document.createElement('span');
+      pct.className = 'alt-pct';
+      pct.textContent = Math.round(confidence * 100) + '%';
+      item.appendChild(pct);
+    }
+    list.appendChild(item);
+    on(item.id, () => {
+      altIndex = i;
+      pickAlternative();
+    });
+  });
+  $('result-alt-pick').hidden = !canPickAlternative() || !selectedAlternative();
+
+  const selected = list.children[altIndex];
+  if (selected) {
+    // Keep the selection inside the visible list area
+    if (selected.offsetTop < list.scrollTop) {
+      list.scrollTop = selected.offsetTop;
+    } else if (selected.offsetTop + selected.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = selected.offsetTop + selected.offsetHeight - list.clientHeight;
+    }
+  }
+}
+
+function moveAlternative(delta) {
+  const next = Math.max(0, Math.min(resultAlternatives().length - 1, altIndex + delta));
+  if (next === altIndex) return;
+  altIndex = next;
+  renderAlternatives();
+}
+
+/** Send the scan's frame again as the selected alternative. */
+function pickAlternative() {
+  const alt = selectedAlternative();
+  if (!alt || !canPickAlternative()) return;
+  const lens = resultContext.lens;
+  const frame = resultContext.frame;
+  const entry = scanHistory.find(e => e.id === resultContext.entryId);
+  dbgJson('result/pick-alternative', { scanId: resultContext.requestId, index: altIndex, name: alt.name });
+  abortOutboxSend('scan');
+  lastThumb = entry ? entry.thumb : '';
+  lastCapture = { frame: frame, lens: lens, subject: alt.name };
+  viewLens = lens;
+  setState(STATES.ANALYZING);
+  sendToLLM(frame, lens, alt.name);
+}
+
+// ═══════════════════════════════════════════
+// HISTORY
+// Every successful identification is kept in
+// creationStorage, newest first, capped at HISTORY_MAX.
+// ═══════════════════════════════════════════
+
+function addHistoryEntry(lens, parsed, requestId) {
+  const fields = lens.toHistory(parsed);
+  const entry = {
+    name:        String(fields.name || 'Unknown'),
+    category:    String(fields.category || ''),
+    description: String(fields.description || ''),
+    fun_fact:    String(fields.fun_fact || ''),
+  };
+  if (fields.objects) entry.objects = fields.objects;
+  if (fields.compare) entry.compare = fields.compare;
+  if (fields.confidence !== undefined && fields.confidence !== '') entry.confidence = fields.confidence;
+  if (fields.alternatives && fields.alternatives.length) entry.alternatives = fields.alternatives;
+  entry.id        = 'h_' + Date.now().toString(36) + '_' + Math.floor(Math.random() * 1000);
+  entry.timestamp = Date.now();
+  entry.mode      = lens.id;
+  entry.requestId = requestId || '';
+  entry.thumb     = lastThumb || '';
+  entry.thread    = [];
+  lastThumb = '';
+
+  scanHistory.unshift(entry);
+  if (scanHistory.length > HISTORY_MAX) scanHistory.length = HISTORY_MAX;
+  dbgJson('history/add', { id: entry.id, mode: entry.mode, count: scanHistory.length, thumbLen: entry.thumb.length });
+  saveHistory();
+  return entry;
+}
+
+function openHistory() {
+  historyIndex = 0;
+  renderHistory();
+  setState(STATES.HISTORY);
+}
+
+function renderHistory() {
+  const list = $('history-list');
+  list.textContent = '';
+  $('history-empty').hidden = scanHistory.length > 0;
+  $('history-count').textContent = scanHistory.length ? (historyIndex + 1) + ' / ' + scanHistory.length : '';
+
+  scanHistory.forEach((entry, i) => {
+    const item = document.createElement('div');
+    item.className = 'history-item' + (i === historyIndex ? ' selected' : '');
+    item.id = 'history-row-' + i;
+
+    const thumb = document.createElement('div');
+    thumb.className = 'history-thumb';
+    if (entry.thumb) thumb.style.backgroundImage = 'url("' + entry.thumb + '")';
+    else thumb.textContent = getLens(entry.mode).icon;
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    const row = historyRowText(entry);
+    name.textContent = row.name;
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [row.category, formatHistoryTime(entry.timestamp)].filter(Boolean).join(' · ');
+    text.appendChild(name);
+    text.appendChild(meta);
+
+    item.appendChild(thumb);
+    item.appendChild(text);
+    list.appendChild(item);
+    on(item.id, () => {
+      historyIndex = i;
+      openHistoryEntry();
+    });
+  });
+
+  const selected = list.children[historyIndex];
+  if (selected) {
+    // Keep the selection inside the visible list area
+    if (selected.offsetTop < list.scrollTop) {
+      list.scrollTop = selected.offsetTop;
+    } else if (selected.offsetTop + selected.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = selected.offsetTop + selected.offsetHeight - list.clientHeight;
+    }
+  }
+}
+
+function moveHistorySelection(delta) {
+  if (!scanHistory.length) return;
+  const next = Math.max(0, Math.min(scanHistory.length - 1, historyIndex + delta));
+  if (next === historyIndex) return;
+  historyIndex = next;
+  renderHistory();
+}
+
+function openHistoryEntry() {
+  const entry = scanHistory[historyIndex];
+  if (!entry) return;
+  dbgJson('history/open', { id: entry.id, mode: entry.mode });
+  resultOrigin = 'history';
+  const lens = getLens(entry.mode);
+  const value = lens.fromHistory(entry);
+  resultContext = {
+    requestId: entry.requestId || '',
+    entryId:   entry.id,
+    lens:      lens,
+    value:     value,
+    image:     entry.thumb || '',
+    frame:     null,
+    thread:    (entry.thread || []).map(t => ({ q: t.q, a: t.a, status: 'ok' })),
+  };
+  renderResult(lens, value, { image: entry.thumb });
+}
+
+/**
+ * Name and category of a history row in the current language. Multi,
+ * verdict and compare entries are stored in English, so rebuild theirs.
+ */
+function historyRowText(entry) {
+  const lens = getLens(entry.mode);
+  if (lens.kind === 'multi') {
+    return { name: tCount('result.objects', (entry.objects || []).length), category: lensText(lens, 'label') };
+  }
+  if (lens.kind === 'verdict') {
+    return { name: t(entry.name === 'HOT DOG' ? 'hotdog.yes' : 'hotdog.no'), category: lensText(lens, 'label') };
+  }
+  if (lens.kind === 'compare' && entry.compare) {
+    return { name: t('compare.versus', { a: entry.compare.name_a, b: entry.compare.name_b }), category: lensText(lens, 'label') };
+  }
+  return { name: entry.name, category: lens.categories ? categoryLabel(entry.category) : entry.category };
+}
+
+function formatHistoryTime(ts) {
+  const mins = Math.floor((Date.now() - ts) / 60000);
+  if (mins < 1)  return t('time.now');
+  if (mins < 60) return t('time.minutes', { count: mins });
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return t('time.hours', { count: hours });
+  const d = new Date(ts);
+  return (d.getMonth() + 1) + '/' + d.getDate();
+}
+
+// ═══════════════════════════════════════════
+// OUTBOX
+// Captures whose sends failed or timed out are
+// kept in creationStorage with their prompt and
+// resent one at a time while sleuth is idle.
+// The queue is capped by count and stored size.
+// Queued answers land in history.
+// ═══════════════════════════════════════════
+
+/** Queue the capture of a request that ran out of attempts. */
+function enqueueCapture(req, reason) {
+  if (!req.frame || !req.frame.image) return null;
+  const id = 'ob_' + Date.now().toString(36) + '_' + Math.floor(Math.random() * 1000);
+  const item = {
+    id:        id,
+    mode:      req.lens.id,
+    prompt:    buildPrompt(req.lens, id, req.frame, req.subject),
+    image:     req.frame.image,
+    thumb:     lastThumb || '',
+    createdAt: Date.now(),
+    attempts:  0,
+    status:    'pending',
+    error:     reason,
+  };
+  outbox.push(item);
+  // Failed items go first, then the oldest; the new one and the one out now always stay
+  const sending = outboxSend ? outboxSend.item : null;
+  while (outbox.length > OUTBOX_MAX || (outbox.length > 1 && encodeStored(outbox).length > OUTBOX_MAX_BYTES)) {
+    const evictable = outbox.filter(o => o !== item && o !== sending);
+    if (!evictable.length) break;
+    const dropped = evictable.find(o => o.status === 'failed') || evictable[0];
+    outbox.splice(outbox.indexOf(dropped), 1);
+    dbgJson('outbox/evicted', { id: dropped.id, status: dropped.status });
+  }
+  if (lastCapture && lastCapture.frame === req.frame) lastCapture.outboxId = id;
+  dbgJson('outbox/queued', { id: id, mode: item.mode, reason: reason, imageLen: item.image.length, count: outbox.length });
+  saveOutbox();
+  updateOutboxBadge();
+  scheduleOutboxFlush(OUTBOX_RETRY_MS);
+  return item;
+}
+
+function removeOutboxItem(id, reason) {
+  const idx = outbox.findIndex(o => o.id === id);
+  if (idx === -1) return;
+  if (outboxSend && outboxSend.item.id === id) {
+    clearTimeout(outboxSend.timer);
+    outboxSend = null;
+  }
+  outbox.splice(idx, 1);
+  dbgJson('outbox/removed', { id: id, reason: reason, count: outbox.length });
+  saveOutbox();
+  updateOutboxBadge();
+  if (state === STATES.OUTBOX) renderOutbox();
+}
+
+/** Only resend from idle screens, never alongside a scan or follow-up. */
+function canFlushOutbox() {
+  if (activeRequest || followUp || outboxSend) return false;
+  return state === STATES.CAMERA || state === STATES.HISTORY ||
+         state === STATES.SETTINGS || state === STATES.OUTBOX;
+}
+
+function scheduleOutboxFlush(delay) {
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
+  if (!outbox.some(o => o.status === 'pending')) return;
+  outboxTimer = setTimeout(flushOutbox, delay);
+}
+
+function flushOutbox() {
+  outboxTimer = null;
+  const item = outbox.find(o => o.status === 'pending');
+  if (!item) return;
+  if (!canFlushOutbox()) {
+    scheduleOutboxFlush(OUTBOX_RETRY_MS);
+    return;
+  }
+  sendOutboxItem(item);
+}
+
+function sendOutboxItem(item) {
+  item.status = 'sending';
+  item.attempts++;
+  outboxSend = { item: item, timer: null };
+  trackInflight(item.id);
+  dbgJson('outbox/send', { id: item.id, mode: item.mode, attempt: item.attempts });
+  if (state === STATES.OUTBOX) renderOutbox();
+
+  const send = outboxSend;
+  llmBackend().send({ id: item.id, prompt: item.prompt, image: item.image, mock: getLens(item.mode).mock }).catch((e) => {
+    if (outboxSend !== send) return;
+    dbg('outbox/post-error ' + e.message, 'warn');
+    outboxSendFailed('post-error');
+  });
+  outboxSend.timer = setTimeout(() => {
+    if (outboxSend === send) outboxSendFailed('timeout');
+  }, RESPONSE_TIMEOUT_MS);
+}
+
+function outboxSendFailed(reason) {
+  const item = outboxSend.item;
+  clearTimeout(outboxSend.timer);
+  outboxSend = null;
+  dropInflight(item.id);
+  item.status = item.attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending';
+  item.error = reason;
+  dbgJson('outbox/send-failed', { id: item.id, reason: reason, attempts: item.attempts, status: item.status });
+  saveOutbox();
+  if (state === STATES.OUTBOX) renderOutbox();
+  scheduleOutboxFlush(OUTBOX_RETRY_MS);
+}
+
+/** A scan is starting; put the queued item back for later. */
+function abortOutboxSend(reason) {
+  if (!outboxSend) return;
+  const item = outboxSend.item;
+  clearTimeout(outboxSend.timer);
+  outboxSend = null;
+  dropInflight(item.id);
+  item.status = 'pending';
+  dbgJson('outbox/send-aborted', { id: item.id, reason: reason });
+  saveOutbox();
+  scheduleOutboxFlush(OUTBOX_RETRY_MS);
+}
+
+function handleOutboxResponse(data) {
+  const item = outboxSend.item;
+  const lens = getLens(item.mode);
+  const outcome = parseLensResponse(data, lens);
+  if (outcome.status === PARSE.INVALID && outcome.errors[0] === 'empty') return;
+
+  const requestId = attributeResponse(data);
+  if (requestId && requestId !== item.id) {
+    dbgJson('response/stale', { requestId: requestId, outboxId: item.id, state: state });
+    return;
+  }
+  clearTimeout(outboxSend.timer);
+  outboxSend = null;
+  dbgJson('outbox/response-' + outcome.status, { id: item.id, source: outcome.source, errors: outcome.errors, repairs: outcome.repairs });
+
+  if (outcome.status === PARSE.INVALID) {
+    item.status = 'failed';
+    item.error = outcome.errors[0] || 'unparseable';
+    saveOutbox();
+    if (state === STATES.OUTBOX) renderOutbox();
+    scheduleOutboxFlush(OUTBOX_FLUSH_DELAY_MS);
+    return;
+  }
+
+  lastThumb = item.thumb;
+  const entry = addHistoryEntry(lens, outcome.value, item.id);
+  removeOutboxItem(item.id, 'answered');
+  if (state === STATES.HISTORY) renderHistory();
+  showNotice(t('toast.queuedDone', { icon: lens.icon, name: historyRowText(entry).name }));
+  scheduleOutboxFlush(OUTBOX_FLUSH_DELAY_MS);
+}
+
+function openOutbox() {
+  outboxIndex = 0;
+  renderOutbox();
+  setState(STATES.OUTBOX);
+}
+
+function renderOutbox() {
+  const list = $('outbox-list');
+  list.textContent = '';
+  outboxIndex = Math.max(0, Math.min(outboxIndex, outbox.length - 1));
+  $('outbox-empty').hidden = outbox.length > 0;
+  $('outbox-count').textContent = outbox.length ? (outboxIndex + 1) + ' / ' + outbox.length : '';
+
+  outbox.forEach((item, i) => {
+    const lens = getLens(item.mode);
+    const row = document.createElement('div');
+    row.className = 'history-item outbox-item' + (i === outboxIndex ? ' selected' : '');
+    row.id = 'outbox-row-' + i;
+
+    const thumb = document.createElement('div');
+    thumb.className = 'history-thumb';
+    if (item.thumb) thumb.style.backgroundImage = 'url("' + item.thumb + '")';
+    else thumb.textContent = lens.icon;
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    name.textContent = lens.icon + ' ' + lensText(lens, 'label');
+    const meta = document.createElement('div');
+    meta.className = 'history-meta outbox-status ' + item.status;
+    meta.textContent = [t('outbox.' + item.status, null, item.status),
+      item.status === 'failed' ? item.error : '',
+      formatHistoryTime(item.createdAt)].filter(Boolean).join(' · ');
+    text.appendChild(name);
+    text.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'outbox-actions';
+    const resend = document.createElement('button');
+    resend.className = 'icon-btn';
+    resend.setAttribute('aria-label', t('outbox.resend'));
+    resend.textContent = '↻';
+    resend.id = 'outbox-resend-' + i;
+    const discard = document.createElement('button');
+    discard.className = 'icon-btn';
+    discard.setAttribute('aria-label', t('outbox.discard'));
+    discard.textContent = '✕';
+    discard.id = 'outbox-discard-' + i;
+    actions.appendChild(resend);
+    actions.appendChild(discard);
+
+    row.appendChild(thumb);
+    row.appendChild(text);
+    row.appendChild(actions);
+    list.appendChild(row);
+
+    on(row.id, () => {
+      outboxIndex = i;
+      renderOutbox();
+    });
+    on(resend.id, (e) => {
+      e.stopPropagation();   // not a tap on the row as well
+      resendOutboxItem(item.id);
+    });
+    on(discard.id, (e) => {
+      e.stopPropagation();
+      removeOutboxItem(item.id, 'discarded');
+    });
+  });
+}
+
+function moveOutboxSelection(delta) {
+  if (!outbox.length) return;
+  const next = Math.max(0, Math.min(outbox.length - 1, outboxIndex + delta));
+  if (next === outboxIndex) return;
+  outboxIndex = next;
+  renderOutbox();
+}
+
+/** Reset an item's attempts and send it now if nothing else is out. */
+function resendOutboxItem(id) {
+  const item = outbox.find(o => o.id === id);
+  if (!item || item.status === 'sending') return;
+  item.status = 'pending';
+  item.attempts = 0;
+  item.error = '';
+  dbgJson('outbox/resend', { id: id });
+  saveOutbox();
+  if (canFlushOutbox()) sendOutboxItem(item);
+  else scheduleOutboxFlush(OUTBOX_FLUSH_DELAY_MS);
+  if (state === STATES.OUTBOX) renderOutbox();
+}
+
+function updateOutboxBadge() {
+  const label = '⇪' + outbox.length;
+  ['btn-outbox', 'btn-hd-outbox'].forEach((id) => {
+    const btn = $(id);
+    btn.textContent = label;
+    btn.hidden = outbox.length === 0;
+  });
+}
+
+// ═══════════════════════════════════════════
+// FOLLOW-UP QUESTIONS
+// Hold PTT on a card result to ask about it. The
+// question goes to the LLM with the result as
+// context; each answer becomes an extra result
+// page and the thread is saved with the scan.
+// ═══════════════════════════════════════════
+
+const FOLLOWUP_MOCK = '{"answer":"Usually somewhere between $80 and $200, depending on the switches and case."}';
+const DEV_QUESTION  = 'How much does this cost?';
+const DEV_NEED      = 'Chopping vegetables in a small kitchen';
+
+function canFollowUp() {
+  return state === STATES.RESULT && !!resultContext && resultContext.lens.kind === 'card';
+}
+
+function listenBackend() {
+  if (window.SpeechRecognition || window.webkitSpeechRecognition) return 'webspeech';
+  if (typeof CreationVoiceHandler !== 'undefined') return 'r1';
+  if (llmBackend() !== BACKENDS.r1) return 'dev';
+  return 'none';
+}
+
+/**
+ * Start capturing speech while PTT is held: a follow-up question on a
+ * result, or what a compared pair is for. False when there is no way to listen.
+ */
+function startListening() {
+  const backend = listenBackend();
+  if (backend === 'none') return false;
+  stopSpeech('listen');
+  const purpose = state === STATES.COMPARE ? 'need' : 'question';
+  listening = { backend: backend, transcript: '', timer: null, recognizer: null, purpose: purpose };
+  showAskBar(t('qa.listening'));
+  dbg('followup/listen-start backend=' + backend);
+
+  if (backend === 'webspeech') {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const rec = new Recognition();
+    rec.lang = languageInfo(settings.language).speech;
+    rec.interimResults = true;
+    rec.onresult = (e) => {
+      let text = '';
+      for (let i = 0; i < e.results.length; i++) text += e.results[i][0].transcript;
+      if (!listening) return;
+      listening.transcript = text;
+      showAskBar('🎙 ' + text);
+    };
+    rec.onerror = (e) => dbg('followup/listen-error ' + (e && e.error ? e.error : 'unknown'), 'warn');
+    rec.onend = finishListening;
+    listening.recognizer = rec;
+    try {
+      rec.start();
+    } catch (e) {
+      dbg('followup/listen-error ' + e.message, 'warn');
+      listening = null;
+      hideAskBar();
+      return false;
+    }
+  } else if (backend === 'r1') {
+    try {
+      CreationVoiceHandler.postMessage('start');
+    } catch (e) {
+      dbg('followup/listen-error ' + e.message, 'warn');
+      listening = null;
+      hideAskBar();
+      return false;
+    }
+  }
+  return true;
+}
+
+/** PTT released — the transcript arrives via onend / sttEnded, or immediately in dev. */
+function stopListening() {
+  if (!listening) return;
+  dbg('followup/listen-stop backend=' + listening.backend);
+  showAskBar('🎙 …');
+  if (listening.backend === 'webspeech') {
+    listening.recognizer.stop();
+  } else if (listening.backend === 'r1') {
+    try { CreationVoiceHandler.postMessage('stop'); } catch (e) { dbg('followup/listen-error ' + e.message, 'warn'); }
+    listening.timer = setTimeout(finishListening, LISTEN_RESULT_MS);
+  } else {
+    listening.transcript = listening.purpose === 'need' ? DEV_NEED : DEV_QUESTION;
+    finishListening();
+  }
+}
+
+function finishListening() {
+  if (!listening) return;
+  const question = listening.transcript.trim();
+  const purpose = listening.purpose;
+  clearTimeout(listening.timer);
+  listening = null;
+  hideAskBar();
+  dbgJson('followup/listen-end', { questionLen: question.length, purpose: purpose });
+  if (purpose === 'need') {
+    if (question) setCompareNeed(question);
+    else if (state === STATES.COMPARE) showError(t('compare.missed'));
+    return;
+  }
+  if (!question) {
+    if (state === STATES.RESULT) showError(t('qa.missed'));
+    return;
+  }
+  askFollowUp(question);
+}
+
+/** Drop an in-progress capture without asking anything. */
+function abortListening(reason) {
+  if (!listening) return;
+  dbg('followup/listen-abort ' + reason);
+  const l = listening;
+  listening = null;
+  clearTimeout(l.timer);
+  hideAskBar();
+  if (l.recognizer) l.recognizer.abort();
+}
+
+/** R1 speech-to-text events ({ type: 'sttEnded', transcript }, …) — they may come on any bridge channel. */
+function isVoiceMessage(data) {
+  return !!data && typeof data === 'object' && typeof data.type === 'string' && data.type.indexOf('stt') === 0;
+}
+
+/** R1 speech-to-text results share the plugin channel: { type: 'sttEnded', transcript }. */
+function handleVoiceMessage(data) {
+  if (!isVoiceMessage(data)) return false;
+  dbg('followup/stt ' + data.type);
+  if (listening && listening.backend === 'r1' && data.type === 'sttEnded') {
+    listening.transcript = String(data.transcript || '');
+    finishListening();
+  }
+  return true;
+}
+
+/** Listening feedback: over the result, or over the viewfinder while A is held. */
+function askBar() {
+  return $(state === STATES.COMPARE ? 'compare-need' : 'ask-bar');
+}
+
+function showAskBar(text) {
+  const bar = askBar();
+  bar.textContent = text;
+  bar.hidden = false;
+}
+
+function hideAskBar() {
+  askBar().hidden = true;
+}
+
+function buildFollowUpPrompt(ctx, question, id) {
+  const earlier = ctx.thread
+    .filter(t => t.status === 'ok')
+    .map(t => 'Q: ' + t.q + '\nA: ' + t.a)
+    .join('\n');
+  return 'You identified something in a photo for the user. Your result was:\n' +
+    JSON.stringify(ctx.value) + '\n' +
+    (earlier ? 'Earlier questions about it:\n' + earlier + '\n' : '') +
+    'The user now asks: "' + question.replace(/"/g, "'") + '"\n' +
+    'Answer in ' + languageInfo(settings.language).name + ', in one to three short sentences.\n' +
+    'Respond with ONLY raw JSON — no markdown, no code fences:\n{"answer":""}\n' +
+    'Also include "rid":"' + id + '" in the JSON.';
+}
+
+function askFollowUp(question) {
+  if (!canFollowUp()) return;
+  const ctx = resultContext;
+  cancelFollowUp('replaced');
+
+  const turn = { q: truncateText(question, 200), a: '', status: 'pending' };
+  ctx.thread.push(turn);
+  if (ctx.thread.length > FOLLOWUP_MAX_TURNS) ctx.thread.shift();
+  followUp = {
+    id: 'fu_' + Date.now().toString(36) + '_' + Math.floor(Math.random() * 1000),
+    turn: turn,
+    ctx: ctx,
+    timer: null,
+  };
+  updateResultPageNums();
+  showResultPage(lastResultPage());
+
+  const prompt = buildFollowUpPrompt(ctx, turn.q, followUp.id);
+  dbgJson('followup/ask', { id: followUp.id, scanId: ctx.requestId, turn: ctx.thread.length, promptLen: prompt.length });
+  trackInflight(followUp.id);
+
+  const pending = followUp;
+  const speakReply = voiceWanted(ctx.lens) && speechBackend() === 'r1';
+  llmBackend().send({ id: pending.id, prompt: prompt, image: null, mock: FOLLOWUP_MOCK, speak: speakReply }).catch((e) => {
+    if (followUp !== pending) return;
+    dbg('followup/post-error ' + e.message, 'warn');
+    failFollowUp('post-error');
+  });
+  followUp.timer = setTimeout(() => {
+    if (followUp === pending) failFollowUp('timeout');
+  }, RESPONSE_TIMEOUT_MS);
+}
+
+/** The answer text; '' when the reply has none, null when it carries no text at all. */
+function parseFollowUpAnswer(data) {
+  const parsedData = data && typeof data === 'object' ? data.parsedData : null;
+  if (parsedData && typeof parsedData === 'object' && typeof parsedData.answer === 'string') {
+    return parsedData.answer.trim();
+  }
+  const text = extractPlainText(parsedData != null ? parsedData : data, 0) || extractPlainText(data, 0);
+  if (!text || !text.trim()) return null;
+  const repaired = repairJSON(text);
+  if (repaired.value && typeof repaired.value === 'object') {
+    return typeof repaired.value.answer === 'string' ? repaired.value.answer.trim() : '';
+  }
+  return text;
+}
+
+function handleFollowUpResponse(data) {
+  const answer = parseFollowUpAnswer(data);
+  // Empty messages aren't a reply; keep waiting for the answer or the timeout
+  if (answer === null) {
+    dbgJson('response/ignored', { reason: 'no-parseable-payload', followUpId: followUp.id });
+    return;
+  }
+
+  const requestId = attributeResponse(data);
+  if (requestId && requestId !== followUp.id) {
+    dbgJson('response/stale', { requestId: requestId, followUpId: followUp.id, state: state });
+    return;
+  }
+  if (!answer) {
+    dbgJson('followup/unparseable', { id: followUp.id });
+    failFollowUp('unparseable');
+    return;
+  }
+
+  const done = followUp;
+  clearTimeout(done.timer);
+  followUp = null;
+  done.turn.a = truncateText(answer, 400);
+  done.turn.status = 'ok';
+  dbgJson('followup/answer', { id: done.id, answerLen: done.turn.a.length });
+  refreshFollowUpTurn(done);
+  saveThread(done.ctx);
+  speak([done.turn.a]);
+}
+
+function failFollowUp(reason) {
+  const failed = followUp;
+  clearTimeout(failed.timer);
+  followUp = null;
+  dropInflight(failed.id);
+  failed.turn.status = 'failed';
+  failed.turn.a = t(reason === 'timeout' ? 'qa.noAnswer' : 'qa.unreadable');
+  dbgJson('followup/failed', { id: failed.id, reason: reason });
+  refreshFollowUpTurn(failed);
+}
+
+/** Leaving the result drops an unanswered question; its reply will be stale. */
+function cancelFollowUp(reason) {
+  abortListening(reason);
+  if (!followUp) return;
+  const dropped = followUp;
+  clearTimeout(dropped.timer);
+  followUp = null;
+  dropInflight(dropped.id);
+  const idx = dropped.ctx.thread.indexOf(dropped.turn);
+  if (idx !== -1) dropped.ctx.thread.splice(idx, 1);
+  dbgJson('followup/cancel', { id: dropped.id, reason: reason });
+}
+
+function refreshFollowUpTurn(pending) {
+  if (resultContext !== pending.ctx || state !== STATES.RESULT) return;
+  const qaPage = firstQAPage();
+  if (resultPage === qaPage + pending.ctx.thread.indexOf(pending.turn)) fillQAPage(resultPage - qaPage);
+}
+
+function fillQAPage(index) {
+  const thread = resultContext ? resultContext.thread : [];
+  const turn = thread[index];
+  if (!turn) return;
+  const answer = $('result-qa-answer');
+  $('result-qa-num').textContent = (index + firstQAPage()) + ' / ' + lastResultPage();
+  $('result-qa-question').textContent = '“' + turn.q + '”';
+  answer.textContent = turn.status === 'pending' ? t('qa.thinking') : turn.a;
+  answer.classList.toggle('pending', turn.status === 'pending');
+  $('result-qa-hint').textContent = t(index < thread.length - 1 ? 'qa.next' : 'result.back');
+}
+
+/** Persist the answered turns on the scan's history entry. */
+function saveThread(ctx) {
+  const entry = scanHistory.find(e => e.id === ctx.entryId);
+  if (!entry) return;
+  entry.thread = ctx.thread
+    .filter(t => t.status === 'ok')
+    .map(t => ({ q: t.q, a: t.a }));
+  dbgJson('followup/saved', { entryId: entry.id, scanId: ctx.requestId, turns: entry.thread.length });
+  saveHistory();
+}
+
+// ═══════════════════════════════════════════
+// SHARE CARDS
+// The result on screen drawn as an image card
+// (card.js): saved to storage, or handed to the
+// R1 journal when settings.journal is on. Those
+// are the only sends that ask for a journal entry.
+// ═══════════════════════════════════════════
+
+/** Card text for the result on screen, in the UI language. */
+function shareCardContent() {
+  const lens = resultContext.lens;
+  const flat = lens.toHistory(resultContext.value);
+  const row = historyRowText(Object.assign({ mode: lens.id }, flat));
+  const card = {
+    name:        row.name,
+    category:    row.category,
+    description: flat.description,
+    factLabel:   lensText(lens, 'fact'),
+    fact:        flat.fun_fact,
+  };
+  // On a multi-object result the card is the object being looked at
+  const obj = lens.kind === 'multi' && resultPage > 0 && multiView ? multiView.objects[multiView.index] : null;
+  if (obj) {
+    card.name        = obj.name;
+    card.category    = categoryLabel(obj.category);
+    card.description = obj.description;
+    card.factLabel   = lensText(LENSES.standard, 'fact');
+    card.fact        = obj.fun_fact;
+  }
+
+  const entry = scanHistory.find(e => e.id === resultContext.entryId);
+  const date = new Date(entry ? entry.timestamp : Date.now());
+  const info = languageInfo(settings.language);
+  card.footer = date.toLocaleDateString(info.speech, { year: 'numeric', month: 'short', day: 'numeric' }) +
+    ' · ' + lensText(lens, 'label');
+  card.dir = info.dir;
+  return card;
+}
+
+/** The frame as a loaded image, or null when it is missing, tiny or slow. */
+function loadCardPhoto(src) {
+  return new Promise((resolve) => {
+    if (!src) {
+      resolve(null);
+      return;
+    }
+    const img = document.createElement('img');
+    const done = (value) => {
+      clearTimeout(timer);
+      img.onload = img.onerror = null;
+      resolve(value);
+    };
+    const timer = setTimeout(() => done(null), SHARE_PHOTO_WAIT_MS);
+    img.onload  = () => done(img.naturalWidth >= SHARE_PHOTO_MIN_PX ? img : null);
+    img.onerror = () => done(null);
+    img.src = src;
+  });
+}
+
+/** Draw `card` (with its frame, if it loads) and encode it as a JPEG data URL. */
+async function renderShareCard(card, src) {
+  const photo = await loadCardPhoto(src);
+  const cardCanvas = document.createElement('canvas');
+  const ctx = cardCanvas.getContext('2d', { alpha: false });
+  const measure = (font, text) => {
+    ctx.font = font;
+    return ctx.measureText(text).width;
+  };
+  const layout = layoutShareCard(card, photo ? { width: photo.naturalWidth, height: photo.naturalHeight } : null, measure);
+  cardCanvas.width  = layout.width;
+  cardCanvas.height = layout.height;
+  drawShareCard(ctx, layout, photo);
+  return cardCanvas.toDataURL('image/jpeg', 0.85);
+}
+
+/** Plain-text version of the card for the journal entry. */
+function shareCardText(card) {
+  return [card.category ? card.name + ' — ' + card.category : card.name, card.description,
+    card.fact ? (card.factLabel ? card.factLabel + ': ' : '') + card.fact : ''].filter(Boolean).join('\n');
+}
+
+/**
+ * Hand the card to the R1 journal; false when there is no bridge to
+ * take it. Nothing confirms the entry was made, so the user is only
+ * told it was sent. The send still queues for a reply, so an ack that
+ * lost its jr_ id is matched in send order rather than taken for the
+ * answer to a scan (isJournalReply).
+ */
+function sendCardToJournal(card, image) {
+  if (typeof PluginMessageHandler === 'undefined') return false;
+  const id = 'jr_' + Date.now().toString(36);
+  try {
+    ensureR1MessagingClient();
+    r1MessagingClient.askLLM('Save this sleuth result to my journal as written, with the attached card:\n' +
+      shareCardText(card) + '\nThen reply with only {"rid":"' + id + '"}.', {
+      wantsR1Response:   false,
+      wantsJournalEntry: true,
+      requestId:         id,
+      pluginId:          detectedPluginId || undefined,
+      imageBase64:       image,
+    });
+    trackInflight(id);
+    dbg('share/journal-sent ' + id);
+    return true;
+  } catch (e) {
+    dbg('share/journal error: ' + e.message, 'warn');
+    return false;
+  }
+}
+
+/**
+ * The journal acknowledging a card; nothing waits for it. An id-less
+ * reply is the ack when the journal send is the oldest still owed one.
+ */
+function isJournalReply(data) {
+  let rid = extractRequestId(data);
+  if (!rid) {
+    const next = inflight[0];
+    if (!next || !next.requestId.startsWith('jr_') || Date.now() - next.sentAt >= INFLIGHT_TTL_MS) return false;
+    rid = next.requestId;
+  }
+  if (!rid.startsWith('jr_')) return false;
+  dropInflight(rid);
+  dbg('share/journal-ack ' + rid);
+  return true;
+}
+
+async function shareResult() {
+  if (sharing || !resultContext) return;
+  sharing = true;
+  const card = shareCardContent();
+  const entryId = resultContext.entryId;
+  dbgJson('share/start', { lens: resultContext.lens.id, entryId: entryId, journal: settings.journal });
+  try {
+    const image = await renderShareCard(card, resultContext.image);
+    if (settings.journal && sendCardToJournal(card, image)) {
+      showNotice(t('share.journal'));
+    } else if (await saveCard({ entryId: entryId, name: card.name, image: image })) {
+      showNotice(t('share.saved'));
+    } else {
+      showError(t('share.failed'));
+    }
+    dbgJson('share/done', { bytes: dataURLBytes(image) });
+  } catch (e) {
+    dbg('share/error ' + e.message, 'warn');
+    showError(t('share.failed'));
+  }
+  sharing = false;
+}
+
+// ═══════════════════════════════════════════
+// PROMPT PRESETS
+// User-written prompts saved as card lenses
+// (presetLens in lenses.js). They list after
+// the built-in lenses, are shared as JSON via
+// the settings JSON box or the clipboard, and
+// can be reached on the wheel (settings.wheel).
+// ═══════════════════════════════════════════
+
+/** Put the saved presets in LENSES, replacing any registered before. */
+function applyPresets() {
+  Object.keys(LENSES).forEach((id) => { if (LENSES[id].preset) delete LENSES[id]; });
+  presets.forEach((preset) => {
+    const lens = presetLens(preset);
+    LENSES[lens.id] = lens;
+  });
+  dbg('presets/applied count=' + presets.length);
+}
+
+/** Merge presets pasted in the settings JSON box. */
+async function importPresetsFromScreen() {
+  const text = await readTransferBox();
+  if (!text) return;
+  const merged = importPresets(text, presets);
+  if (merged.error) {
+    dbgJson('presets/import-rejected', { error: merged.error, textLen: text.length }, 'warn');
+    showError(t(merged.error === 'full' ? 'presets.full' : 'presets.invalid', { max: PRESETS_MAX }));
+    return;
+  }
+  dbgJson('presets/imported', { added: merged.added, replaced: merged.replaced, errors: merged.errors });
+  presets = merged.presets;
+  applyPresets();
+  savePresets();
+  renderLensRows();
+  $('transfer-json').value = '';
+  showNotice(tCount('presets.imported', merged.added + merged.replaced) +
+    (merged.errors.length ? ' · ' + tCount('presets.skipped', merged.errors.length) : ''));
+}
+
+async function exportPresetsFromScreen() {
+  if (!presets.length) {
+    showError(t('presets.none'));
+    return;
+  }
+  const copied = await fillTransferBox(exportPresets(presets));
+  dbgJson('presets/exported', { count: presets.length, copied: copied });
+  showNotice(t(copied ? 'presets.copied' : 'presets.exported'));
+}
+
+const PRESET_EDIT_ERRORS = {
+  name:   'presets.needName',
+  prompt: 'presets.needPrompt',
+  taken:  'presets.taken',
+  full:   'presets.full',
+};
+
+/** Fill the settings editor with a preset to change, or empty it for a new one. */
+function loadPresetEditor(id) {
+  const preset = id ? presets.find(p => p.id === id) : null;
+  presetEditing = preset ? preset.id : null;
+  $('preset-name').value = preset ? preset.name : '';
+  $('preset-prompt').value = preset ? preset.prompt : '';
+  dbg('presets/editing ' + (presetEditing || 'new'));
+  renderPresetEditor();
+}
+
+function renderPresetEditor() {
+  const editing = presets.find(p => p.id === presetEditing);
+  if (!editing) presetEditing = null;
+  $('preset-editing').textContent = editing ? t('presets.editing', { name: editing.name }) : t('presets.new');
+  $('btn-preset-clear').hidden = !editing;
+}
+
+/** Save the name and prompt written in the settings editor as a preset. */
+function savePresetFromScreen() {
+  const edited = editPreset(presets, {
+    name:   $('preset-name').value || '',
+    prompt: $('preset-prompt').value || '',
+  }, presetEditing);
+  if (edited.error) {
+    dbgJson('presets/edit-rejected', { error: edited.error, id: presetEditing }, 'warn');
+    showError(t(PRESET_EDIT_ERRORS[edited.error] || 'presets.invalid', { max: PRESETS_MAX }));
+    return;
+  }
+  const updated = !!presetEditing;
+  dbgJson('presets/saved', { id: edited.preset.id, updated: updated, promptLen: edited.preset.prompt.length });
+  presets = edited.presets;
+  applyPresets();
+  savePresets();
+  loadPresetEditor(null);
+  renderLensRows();
+  showNotice(t(updated ? 'presets.updated' : 'presets.added', { name: edited.preset.name }));
+}
+
+function deletePreset(id) {
+  presets = presets.filter(p => p.id !== id);
+  if (settings.lens === PRESET_PREFIX + id) {
+    settings.lens = 'standard';
+    saveSettings();
+  }
+  dbg('presets/deleted ' + id);
+  applyPresets();
+  savePresets();
+  renderLensRows();
+}
+
+/** Wheel on the camera in lens mode: step through the listed lenses, presets included. */
+function cycleLens(delta) {
+  const ids = Object.keys(LENSES).filter(id => isLensListed(LENSES[id]));
+  const at = ids.indexOf(currentLens().id);
+  selectLens(ids[(at + delta + ids.length) % ids.length]);
+  setState(STATES.CAMERA);   // new badge, hint and overlay
+}
+
+// ═══════════════════════════════════════════
+// SPEECH
+// Voice toggle reads the result aloud. On the R1
+// the request itself asks for it (wantsR1Response)
+// and the device reads the reply; the WebView has no
+// speechSynthesis. Other backends speak locally,
+// from the rendered DOM, so the words match the
+// screen and the wheel or PTT can stop them.
+// ═══════════════════════════════════════════
+
+/** A preset may always or never speak; every other lens follows the voice setting. */
+function voiceWanted(lens) {
+  return lens && typeof lens.voice === 'boolean' ? lens.voice : settings.voice;
+}
+
+function speechBackend() {
+  if (llmBackend() === BACKENDS.r1) return 'r1';
+  if (typeof window.speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined') {
+    return 'synth';
+  }
+  return 'none';
+}
+
+function speakResult() {
+  const parts = [$('result-name').textContent];
+  const desc = $('result-description').textContent;
+  const fact = $('result-fact').textContent;
+  if (desc) parts.push(desc);
+  if (fact) parts.push($('result-fact-label').textContent + ': ' + fact);
+  speak(parts);
+}
+
+function speakHotdogResult() {
+  speak([$('hd-verdict').textContent, $('hd-reason').textContent]);
+}
+
+function speak(parts) {
+  if (!voiceWanted(viewLens)) return;
+  stopSpeech('replaced');
+
+  const text = parts
+    .map(p => String(p || '').trim())
+    .filter(Boolean)
+    .map(p => /[.!?…]$/.test(p) ? p : p + '.')
+    .join(' ');
+  if (!text) return;
+
+  const backend = speechBackend();
+  dbgJson('speech/start', { backend: backend, textLen: text.length });
+  if (backend !== 'synth') return;   // r1: the device is already reading the reply
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = languageInfo(settings.language).speech;
+  utterance.onend = () => {
+    speechActive = false;
+    dbg('speech/end');
+  };
+  utterance.onerror = (e) => {
+    speechActive = false;
+    dbg('speech/error ' + (e && e.error ? e.error : 'unknown'), 'warn');
+  };
+  speechActive = true;
+  window.speechSynthesis.speak(utterance);
+}
+
+function stopSpeech(reason) {
+  if (!speechActive) return;
+  speechActive = false;
+  dbg('speech/stop ' + reason);
+  window.speechSynthesis.cancel();
+}
+
+/** Voice just turned on: say so when there is nothing to speak with. */
+function checkSpeech() {
+  if (speechBackend() !== 'none') return;
+  dbg('speech/unavailable', 'warn');
+  showError(t('toast.noSpeech'));
+}
+
+// ═══════════════════════════════════════════
+// DIAGNOSTICS
+// Every dbg()/dbgJson() call lands in a ring
+// buffer (diagnostics.js), redacted. Debug lines
+// and the console mirror only while diagnostics
+// are on: ?diag=1, or 5 taps on the settings
+// title. The screen scrolls on the wheel; PTT
+// exports the session log to storage/clipboard.
+// ═══════════════════════════════════════════
+
+function detectDiagnosticsFlag() {
+  try {
+    return new URL(window.location.href).searchParams.get('diag') === '1';
+  } catch (e) {
+    return false;
+  }
+}
+
+function diagnosticsOn() {
+  return diagFromUrl || settings.diagnostics;
+}
+
+function diagRecord(level, text, data) {
+  const on = diagnosticsOn();
+  if (!on && logLevelRank(level) < logLevelRank('info')) return;
+  const entry = { t: Date.now(), level: level, state: state, text: redactText(text) };
+  if (data !== undefined) entry.data = redact(data);
+  diagLog.add(entry);
+  if (on) console.log('[sleuth] ' + formatLogEntry(entry));
+}
+
+function dbg(msg, level) {
+  diagRecord(level || 'debug', msg);
+}
+
+function dbgJson(prefix, data, level) {
+  diagRecord(level || 'info', prefix, data);
+}
+
+function dbgSnapshot(reason) {
+  dbgJson('snapshot/' + reason, diagnosticsSnapshot());
+}
+
+/** App state worth having in every bug report. */
+function diagnosticsSnapshot() {
+  return {
+    state: state,
+    resultPage: resultPage,
+    voice: settings.voice,
+    lens: settings.lens,
+    viewLens: viewLens ? viewLens.id : null,
+    speaking: speechActive,
+    speechBackend: speechBackend(),
+    llmBackend: llmBackend().id + (llmBackend() === BACKENDS.mock ? ':' + backendConfig.mock : ''),
+    historyCount: scanHistory.length,
+    resultOrigin: resultOrigin,
+    waitingForLLM: !!llmTimer,
+    retryPending: !!retryTimer,
+    inflight: inflight.length,
+    activeRequestId: activeRequest ? activeRequest.id : null,
+    attempt: activeRequest ? activeRequest.attempt : null,
+    videoReady: !!(video && video.videoWidth),
+    videoSize: video ? (video.videoWidth + 'x' + video.videoHeight) : 'n/a',
+    zoom: ZOOM_LEVELS[zoomIndex],
+    crop: settings.crop,
+    auto: settings.auto,
+    camera: settings.camera,
+    resolution: settings.resolution,
+    cameraTracks: cameraStream ? cameraStream.getTracks().length : 0,
+    cameraStatus: cameraStatus,
+    compareHeld: !!compareHold,
+    imageSize: settings.imageSize,
+    imageFormat: imageFormat,
+    bridge: r1MessagingClient ? r1MessagingClient.report() : null,
+    diagnostics: diagnosticsOn(),
+    logEntries: diagLog.size,
+  };
+}
+
+window.addEventListener('error', (e) => {
+  dbgJson('window/error', { message: e.message, source: e.filename, line: e.lineno }, 'error');
+});
+window.addEventListener('unhandledrejection', (e) => {
+  dbgJson('window/unhandled-rejection', { reason: String(e.reason && e.reason.message || e.reason) }, 'error');
+});
 
-  // Hide category pill if empty
-  $('result-category').style.display = category ? 'inline-block' : 'none';
-  dbgJson('ui/show-result', {
-    nameLen: String(name).length,
-    categoryLen: String(category).length,
-    descLen: String(desc).length,
-    factLen: String(fact).length,
-  });
+/** Hidden gesture: DIAG_TAPS quick taps on the settings title. */
+function onSettingsTitleTap() {
+  const now = Date.now();
+  diagTaps = diagTaps.filter(t => now - t < DIAG_TAP_WINDOW_MS);
+  diagTaps.push(now);
+  if (diagTaps.length < DIAG_TAPS) return;
+  diagTaps = [];
+  settings.diagnostics = !settings.diagnostics;
+  dbgJson('diag/toggle', { on: settings.diagnostics }, 'info');
+  updateDiagnosticsUI();
+  saveSettings();
+  showNotice(t(diagnosticsOn() ? 'diag.on' : 'diag.off'));
+}
 
-  resultPage = 1;
-  showResultPage(1);
-  setState(STATES.RESULT);
+/** The settings row that opens the screen only shows while diagnostics are on. */
+function updateDiagnosticsUI() {
+  $('row-diagnostics').hidden = !diagnosticsOn();
 }
 
-function showHotdogResult(parsed) {
-  const isHotDog = (parsed.result || '').toUpperCase().includes('HOT DOG') &&
-                   !(parsed.result || '').toUpperCase().includes('NOT HOT DOG');
+function openDiagnostics() {
+  renderDiagnostics();
+  setState(STATES.DIAGNOSTICS);
+  const list = $('diag-list');
+  list.scrollTop = list.scrollHeight;   // newest at the bottom
+}
 
-  $('hd-icon').textContent   = isHotDog ? '🌭' : '🚫';
-  $('hd-verdict').textContent = isHotDog ? 'HOT DOG' : 'NOT HOT DOG';
-  $('hd-reason').textContent  = parsed.reason || '';
-  dbgJson('ui/show-hotdog-result', {
-    verdict: $('hd-verdict').textContent,
-    reasonLen: String(parsed.reason || '').length,
+function closeDiagnostics() {
+  setState(STATES.SETTINGS);
+}
+
+function renderDiagnostics() {
+  const list = $('diag-list');
+  const entries = diagLog.entries(diagLevel === 'all' ? null : diagLevel);
+  list.textContent = '';
+  entries.forEach((entry) => {
+    const line = document.createElement('div');
+    line.className = 'diag-line level-' + entry.level;
+    line.textContent = formatLogEntry(entry);
+    list.appendChild(line);
   });
+  $('diag-empty').hidden = entries.length > 0;
+  $('diag-count').textContent = entries.length + (diagLog.dropped ? ' / ' + diagLog.seq : '');
+  $('btn-diag-level').textContent = diagLevel === 'all' ? t('diag.levelAll') : diagLevel + '+';
+}
 
-  // Border color via R1 API
-  if (typeof updateAppBorderColor !== 'undefined') {
-    updateAppBorderColor(isHotDog ? '#22c55e' : '#ef4444');
-  }
+function cycleDiagnosticsLevel() {
+  diagLevel = DIAG_VIEW_LEVELS[(DIAG_VIEW_LEVELS.indexOf(diagLevel) + 1) % DIAG_VIEW_LEVELS.length];
+  openDiagnostics();
+}
 
-  setState(STATES.HD_RESULT);
+function scrollDiagnostics(delta) {
+  const list = $('diag-list');
+  list.scrollTop = Math.max(0, list.scrollTop + delta * DIAG_SCROLL_PX);
 }
 
-function showResultPage(page) {
-  resultPage = page;
-  $('result-desc-page').classList.toggle('active-page', page === 1);
-  $('result-fact-page').classList.toggle('active-page', page === 2);
+/** Save the session log to storage and, where the WebView allows it, the clipboard. */
+async function exportDiagnostics() {
+  dbgSnapshot('export');
+  const report = buildDiagnosticsExport(diagLog, diagnosticsSnapshot(), {
+    backend: llmBackend().id,
+    userAgent: navigator.userAgent || '',
+  });
+  let saved = false;
+  let copied = false;
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      await window.creationStorage.plain.setItem(DIAG_KEY, encodeStored(report));
+      saved = true;
+    }
+  } catch (e) {
+    dbg('diag/save error: ' + e.message, 'warn');
+  }
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      copied = true;
+    }
+  } catch (e) {
+    dbg('diag/copy error: ' + e.message, 'warn');
+  }
+  dbgJson('diag/export', { entries: report.entries, saved: saved, copied: copied });
+  if (saved || copied) {
+    showNotice(t(saved && copied ? 'diag.savedCopied' : saved ? 'diag.saved' : 'diag.copied'));
+  } else {
+    showError(t('diag.exportFailed'));
+  }
+  if (state === STATES.DIAGNOSTICS) renderDiagnostics();
 }
 
 // ═══════════════════════════════════════════
@@ -772,20 +3239,37 @@ function showResultPage(page) {
 
 function setState(newState) {
   const prevState = state;
+  clearFocus();   // while the old screen is still the focus root
   state = newState;
 
-  if (newState !== STATES.ANALYZING && newState !== STATES.HD_ANALYZING) {
+  if (newState !== STATES.ANALYZING) {
     clearTimeout(llmTimer);
+    clearTimeout(retryTimer);
     llmTimer = null;
+    retryTimer = null;
   }
-  dbg('state ' + prevState + ' -> ' + newState);
+  if (newState !== STATES.RESULT) {
+    stopSpeech('state-change');
+    cancelFollowUp('state-change');
+  }
+  if (newState === STATES.CAMERA) {
+    viewLens = currentLens();
+  }
+  // A held compare capture only lasts while the viewfinder waits for B
+  if (compareHold && newState !== STATES.COMPARE && newState !== STATES.ANALYZING) {
+    dbg('compare/drop state=' + newState);
+    compareHold = null;
+  }
+  const lens = viewLens || currentLens();
+  dbg('state ' + prevState + ' -> ' + newState + ' lens=' + lens.id);
 
   // Deactivate all screens
   Object.values(screens).forEach(s => s.classList.remove('active'));
-  hdOverlay.classList.add('hidden');
+  updateZoomBadge();
+  camOverlays.forEach(o => o.classList.add('hidden'));
 
-  // Reset border color when leaving hot dog result
-  if (newState !== STATES.HD_RESULT) {
+  // Reset border color when leaving a result (hot dog verdict sets it)
+  if (newState !== STATES.RESULT) {
     if (typeof updateAppBorderColor !== 'undefined') {
       updateAppBorderColor('#000000');
     }
@@ -793,34 +3277,60 @@ function setState(newState) {
 
   switch (newState) {
     case STATES.CAMERA:
-      screens.camera.classList.add('active');
+    case STATES.COMPARE:
+      if (lens.overlay) {
+        // Video shows through; just overlay the lens UI
+        $(lens.overlay).classList.remove('hidden');
+      } else {
+        applyCameraOverlay(lens);
+        screens.camera.classList.add('active');
+      }
       break;
 
     case STATES.ANALYZING:
-      screens.analyzing.classList.add('active');
+      $('analyzing-label').textContent = lensText(lens, 'analyzing');
+      screens[lens.screens.analyzing].classList.add('active');
       break;
 
     case STATES.RESULT:
-      screens.result.classList.add('active');
+      screens[lens.screens.result].classList.add('active');
+      break;
+
+    case STATES.RETRY:
+      screens.retry.classList.add('active');
       break;
 
     case STATES.SETTINGS:
       screens.settings.classList.add('active');
       break;
 
-    case STATES.HD_CAMERA:
-      // Video shows through; just overlay the HD UI
-      hdOverlay.classList.remove('hidden');
+    case STATES.HISTORY:
+      screens.history.classList.add('active');
+      break;
+
+    case STATES.OUTBOX:
+      screens.outbox.classList.add('active');
       break;
 
-    case STATES.HD_ANALYZING:
-      screens.hdAnalyzing.classList.add('active');
+    case STATES.DIAGNOSTICS:
+      screens.diagnostics.classList.add('active');
       break;
 
-    case STATES.HD_RESULT:
-      screens.hdResult.classList.add('active');
+    case STATES.NO_CAMERA:
+      renderNoCamera();
+      screens.noCamera.classList.add('active');
       break;
   }
+  updateAutoMode();
+  syncCamera();
+}
+
+function applyCameraOverlay(lens) {
+  const badge = $('lens-badge');
+  badge.textContent = lens.id === 'standard' ? '' : lens.icon + ' ' + lensText(lens, 'label');
+  badge.hidden = lens.id === 'standard';
+  $('cam-hint').textContent = compareHold ? t('compare.hintB') : lensText(lens, 'hint');
+  renderCompareHold();
 }
 
 // ═══════════════════════════════════════════
@@ -829,78 +3339,176 @@ function setState(newState) {
 
 function bindHardwareEvents() {
   // Scroll wheel
-  window.addEventListener('scrollUp',   onScrollUp);
-  window.addEventListener('scrollDown', onScrollDown);
+  window.addEventListener('scrollUp',   () => onHardwareEvent('scrollUp'));
+  window.addEventListener('scrollDown', () => onHardwareEvent('scrollDown'));
 
   // PTT side button
-  window.addEventListener('sideClick',     onSideClick);
-  window.addEventListener('longPressEnd',  onLongPress);
+  window.addEventListener('sideClick',      () => onHardwareEvent('sideClick'));
+  window.addEventListener('longPressStart', () => onHardwareEvent('longPressStart'));
+  window.addEventListener('longPressEnd',   () => onHardwareEvent('longPressEnd'));
 }
 
-function onSideClick() {
-  dbg('event/sideClick state=' + state);
-  switch (state) {
-    case STATES.CAMERA:
-    case STATES.HD_CAMERA:
-      doCapture();
-      break;
+/** Snapshot of the app state the transition table (machine.js) reads. */
+function hardwareContext() {
+  const scroller = state === STATES.RESULT ? resultScroller(resultPage) : null;
+  const alts = state === STATES.RESULT && onAlternativesPage() ? resultAlternatives() : null;
+  return {
+    lensKind:      viewLens ? viewLens.kind : null,
+    resultPage:    resultPage,
+    lastPage:      lastResultPage(),
+    canScrollUp:   alts ? altIndex > 0 : !!scroller && scroller.scrollTop > 0,
+    canScrollDown: alts ? altIndex < alts.length - 1
+                        : !!scroller && scroller.scrollTop + scroller.clientHeight < scroller.scrollHeight - 1,
+    canPick:       !!alts && !!selectedAlternative() && canPickAlternative(),
+    listening:     listening,
+    canFollowUp:   canFollowUp(),
+    hasSelection:  !!outbox[outboxIndex],
+    wheel:         settings.wheel,
+    focusIndex:    focusIndex,
+    focusCount:    focusables().length,
+    atTop:         state === STATES.RESULT && resultAtTop(),
+  };
+}
 
-    case STATES.RESULT:
-      // Short press on result → back to camera
-      returnToCamera();
-      break;
+const ACTIONS = {
+  capture:          () => doCapture(),
+  cancel:           a  => cancelRequest(a.reason),
+  leaveResult:      () => leaveResult(),
+  returnToCamera:   () => returnToCamera(),
+  retryCapture:     () => retryLastCapture(),
+  closeSettings:    () => closeSettings(),
+  openSettings:     () => setState(STATES.SETTINGS),
+  retryCamera:      () => retryCamera(),
+  openHistoryEntry: () => openHistoryEntry(),
+  moveHistory:      a  => moveHistorySelection(a.delta),
+  resendOutbox:     () => resendOutboxItem(outbox[outboxIndex].id),
+  moveOutbox:       a  => moveOutboxSelection(a.delta),
+  zoom:             a  => setZoom(zoomIndex + a.delta),
+  cycleLens:        a  => cycleLens(a.delta),
+  showPage:         a  => showResultPage(a.page),
+  scrollPage:       a  => scrollResultPage(a.delta),
+  stepMulti:        a  => stepMultiResult(a.delta),
+  pickAlternative:  () => pickAlternative(),
+  startListening:   () => startListening(),
+  stopListening:    () => stopListening(),
+  exportLog:        () => exportDiagnostics(),
+  scrollLog:        a  => scrollDiagnostics(a.delta),
+  closeDiagnostics: () => closeDiagnostics(),
+  moveFocus:        a  => moveFocus(a.delta),
+  activateFocus:    () => activateFocus(),
+  clearFocus:       () => clearFocus(),
+};
 
-    case STATES.HD_RESULT:
-      // Short press on hot dog result → back to hd camera
-      setState(STATES.HD_CAMERA);
-      break;
+function onHardwareEvent(event) {
+  dbg('event/' + event + ' state=' + state + ' page=' + resultPage);
+  // Any press or scroll interrupts speech; starting a hold doesn't.
+  if (event !== 'longPressStart') stopSpeech(event.startsWith('scroll') ? 'scroll' : 'ptt');
+  const action = hardwareAction(state, event, hardwareContext());
+  if (action) ACTIONS[action.type](action);
+}
 
-    case STATES.SETTINGS:
-      // Short press closes settings
-      closeSettings();
-      break;
+function returnToCamera() {
+  dbg('ui/returnToCamera lens=' + settings.lens);
+  resultOrigin = 'scan';
+  lastCapture = null;
+  setState(STATES.CAMERA);
+}
+
+function leaveResult() {
+  if (resultOrigin === 'history') {
+    renderHistory();
+    setState(STATES.HISTORY);
+  } else {
+    returnToCamera();
   }
 }
 
-function onLongPress() {
-  dbg('event/longPressEnd state=' + state);
-  switch (state) {
-    case STATES.RESULT:
-    case STATES.HD_RESULT:
-      returnToCamera();
-      break;
+// ═══════════════════════════════════════════
+// FOCUS NAVIGATION
+// The wheel can focus the buttons on screen so
+// nothing needs a tap: every settings row, the
+// camera's top bar (long press) and the result's
+// top bar (scroll up past the top). PTT clicks the
+// focused button. Focus is by position among the
+// buttons shown, so rows built later join in.
+// ═══════════════════════════════════════════
 
+/** Element whose buttons the wheel can focus in this state, if any. */
+function focusRoot() {
+  const lens = viewLens || currentLens();
+  switch (state) {
     case STATES.SETTINGS:
-      closeSettings();
-      break;
+      return screens.settings;
+    case STATES.CAMERA:
+      return lens.overlay ? $(lens.overlay) : screens.camera;
+    case STATES.RESULT: {
+      const screen = screens[lens.screens.result];
+      return screen.querySelector('.active-page') || screen;
+    }
   }
+  return null;
 }
 
-function onScrollUp() {
-  dbg('event/scrollUp state=' + state + ' page=' + resultPage);
-  switch (state) {
-    case STATES.RESULT:
-      if (resultPage === 2) showResultPage(1);
-      break;
+/** The buttons under the focus root that are showing, in screen order. */
+function focusables() {
+  const root = focusRoot();
+  if (!root) return [];
+  return Array.from(root.querySelectorAll('button')).filter((btn) => {
+    if (btn.disabled) return false;
+    for (let el = btn; el && el !== root; el = el.parentNode) {
+      if (el.hidden) return false;
+    }
+    return true;
+  });
+}
+
+/** Step the focus; from no focus, down starts at the first button and up at the last. */
+function moveFocus(delta) {
+  const list = focusables();
+  if (!list.length) {
+    clearFocus();
+    return;
   }
+  const next = focusIndex === -1 ? (delta > 0 ? 0 : list.length - 1) : focusIndex + delta;
+  focusIndex = Math.max(0, Math.min(list.length - 1, next));
+  showFocus(list);
 }
 
-function onScrollDown() {
-  dbg('event/scrollDown state=' + state + ' page=' + resultPage);
-  switch (state) {
-    case STATES.RESULT:
-      if (resultPage === 1) {
-        showResultPage(2);
-      } else if (resultPage === 2) {
-        returnToCamera();
-      }
-      break;
+function showFocus(list) {
+  const buttons = list || focusables();
+  buttons.forEach((btn, i) => btn.classList.toggle('focused', i === focusIndex));
+  const btn = buttons[focusIndex];
+  if (btn) btn.scrollIntoView({ block: 'nearest' });
+  dbg('focus/' + focusIndex + ' ' + (btn ? btn.id : '-'));
+}
+
+function clearFocus() {
+  if (focusIndex === -1) return;
+  const root = focusRoot();   // the ring may sit on a button hidden since
+  if (root) root.querySelectorAll('.focused').forEach(btn => btn.classList.remove('focused'));
+  focusIndex = -1;
+  dbg('focus/clear');
+}
+
+function activateFocus() {
+  const btn = focusables()[focusIndex];
+  if (!btn) {
+    clearFocus();
+    return;
   }
+  dbg('focus/activate ' + btn.id);
+  btn.click();
+  // Still here (a toggle, not a screen change): rows may have been rebuilt under it
+  if (focusIndex !== -1) showFocus();
 }
 
-function returnToCamera() {
-  dbg('ui/returnToCamera hotdog=' + settings.hotdog);
-  setState(settings.hotdog ? STATES.HD_CAMERA : STATES.CAMERA);
+/** Nothing above the result on screen: first page scrolled to its top, or the overview. */
+function resultAtTop() {
+  const lens = viewLens || currentLens();
+  if (lens.kind === 'verdict') return true;
+  if (lens.kind === 'multi') return resultPage === 0;
+  const scroller = resultScroller(resultPage);
+  return resultPage <= 1 && !(scroller && scroller.scrollTop > 0);
 }
 
 // ═══════════════════════════════════════════
@@ -928,34 +3536,61 @@ function bindUIEvents() {
   on('btn-settings',    () => setState(STATES.SETTINGS));
   on('btn-hd-settings', () => setState(STATES.SETTINGS));
 
+  // History open / close
+  on('btn-history',       openHistory);
+  on('btn-hd-history',    openHistory);
+  on('btn-close-history', returnToCamera);
+
+  // Outbox open / close
+  on('btn-outbox',        openOutbox);
+  on('btn-hd-outbox',     openOutbox);
+  on('btn-close-outbox',  returnToCamera);
+
   // Settings close
   on('btn-close-settings', closeSettings);
 
-  // Back buttons on result screens
-  on('btn-back-desc', returnToCamera);
-  on('btn-back-fact', returnToCamera);
-
-  // Voice toggle
-  on('toggle-voice', () => {
-    settings.voice = !settings.voice;
-    updateToggleUI('toggle-voice', settings.voice);
-    saveSettings();
-  });
+  // Diagnostics — hidden gesture, open / close, level filter
+  on('settings-title',         onSettingsTitleTap);
+  on('btn-diagnostics',        openDiagnostics);
+  on('btn-close-diagnostics',  closeDiagnostics);
+  on('btn-diag-level',         cycleDiagnosticsLevel);
 
-  // Hot Dog mode toggle
-  on('toggle-hotdog', () => {
-    settings.hotdog = !settings.hotdog;
-    updateToggleUI('toggle-hotdog', settings.hotdog);
-    saveSettings();
-    // Mode change takes effect when returning to camera from settings
-  });
+  // Back buttons on result screens
+  on('btn-back-desc', leaveResult);
+  on('btn-back-fact', leaveResult);
+  on('btn-back-frame', leaveResult);
+  on('btn-back-alt',   leaveResult);
+  on('btn-back-qa',    leaveResult);
+  on('btn-back-compare', leaveResult);
+  on('btn-compare-drop', returnToCamera);
+
+  // Share the result on screen as an image card
+  on('btn-share-desc',  shareResult);
+  on('btn-share-fact',  shareResult);
+  on('btn-share-frame', shareResult);
+  on('btn-share-qa',    shareResult);
+  on('btn-share-hd',    shareResult);
+
+  // Settings rows are bound as renderSettingsRows() builds them.
+  // The preset editor under the lens list
+  on('btn-preset-save',     savePresetFromScreen);
+  on('btn-preset-clear',    () => loadPresetEditor(null));
+  // Import / export through the JSON box
+  on('btn-presets-import',  importPresetsFromScreen);
+  on('btn-presets-export',  exportPresetsFromScreen);
+  on('btn-settings-import', importSettingsFromScreen);
+  on('btn-settings-export', exportSettingsFromScreen);
 
   // Easter egg — 3 taps on credit (3 Comma Club)
   on('credit', () => {
     creditClicks++;
     if (creditClicks >= 3) {
       creditClicks = 0;
-      $('hotdog-row').hidden = false;
+      if (!settings.hotdogUnlocked) {
+        settings.hotdogUnlocked = true;
+        renderLensRows();
+        saveSettings();
+      }
       // Brief amber flash as acknowledgment
       $('credit').style.color = '#f59e0b';
       setTimeout(() => { $('credit').style.color = ''; }, 600);
@@ -963,64 +3598,452 @@ function bindUIEvents() {
   });
 }
 
+// ═══════════════════════════════════════════
+// SETTINGS SCREEN
+// Rows are built from SETTINGS_SCHEMA: a toggle
+// flips a bool, a cycle steps to the next choice.
+// SETTING_UI says how a value reads on its button
+// and what else has to follow a change.
+// ═══════════════════════════════════════════
+
+const SETTING_UI = {
+  voice:      { after: () => { if (settings.voice) checkSpeech(); else stopSpeech('voice-off'); } },
+  auto:       { after: () => sceneWatcher.forget() },
+  camera:     { label: v => cameraLabel(v), next: () => nextCamera() },
+  resolution: { label: v => v + 'p' },
+  wheel:      { label: v => t(v === 'lens' ? 'settings.wheelLens' : 'settings.wheelZoom') },
+  imageSize:  { label: v => imageSizeLabel(v) },
+  retries:    { label: v => v ? v + '×' : t('toggle.off'), lit: v => v > 0 },
+  language:   { label: v => languageInfo(v).native, after: () => applyLanguage() },
+};
+
+/** Allowed values of the choice settings that depend on what is loaded. */
+function settingChoices() {
+  return { language: Object.keys(LANGUAGES), lens: Object.keys(LENSES) };
+}
+
+/** One row per schema setting with a control; labels and values follow in updateSettingUI. */
+function renderSettingsRows() {
+  const list = $('settings-rows');
+  list.textContent = '';
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    const def = SETTINGS_SCHEMA[key];
+    if (!def.control) return;
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    const label = document.createElement('span');
+    label.className = 'setting-label';
+    label.id = def.id + '-label';
+    const btn = document.createElement('button');
+    btn.className = 'toggle';
+    btn.id = def.id;
+    row.appendChild(label);
+    row.appendChild(btn);
+    list.appendChild(row);
+    on(btn.id, () => changeSetting(key));
+  });
+}
+
+function updateSettingUI(key) {
+  const def = SETTINGS_SCHEMA[key];
+  if (!def.control) return;
+  const ui = SETTING_UI[key] || {};
+  const value = settings[key];
+  $(def.id + '-label').textContent = t(def.label);
+  if (def.control === 'toggle') {
+    updateToggleUI(def.id, value);
+  } else {
+    updateCycleUI(def.id, ui.label ? ui.label(value) : String(value), ui.lit ? ui.lit(value) : undefined);
+  }
+}
+
+/** A tap on a settings row: flip or step the value, apply it and save. */
+function changeSetting(key) {
+  const def = SETTINGS_SCHEMA[key];
+  const ui = SETTING_UI[key] || {};
+  if (def.control === 'toggle') {
+    settings[key] = !settings[key];
+  } else if (ui.next) {
+    settings[key] = ui.next();
+  } else {
+    const options = def.options || settingChoices()[key];
+    settings[key] = options[(options.indexOf(settings[key]) + 1) % options.length];
+  }
+  dbg('settings/' + key + '=' + settings[key]);
+  if (ui.after) ui.after();
+  updateSettingUI(key);
+  saveSettings();
+}
+
+// ── Import / export ─────────────────────────
+// One JSON box serves presets and settings: paste
+// into it (or leave it empty to use the clipboard)
+// to import; export fills it and copies it.
+
+async function readTransferBox() {
+  let text = ($('transfer-json').value || '').trim();
+  if (!text) {
+    try {
+      if (navigator.clipboard && navigator.clipboard.readText) text = (await navigator.clipboard.readText()).trim();
+    } catch (e) {
+      dbg('transfer/paste error: ' + e.message, 'warn');
+    }
+  }
+  if (!text) showError(t('transfer.paste'));
+  return text;
+}
+
+/** Show `value` as JSON in the box; true when it also reached the clipboard. */
+async function fillTransferBox(value) {
+  const text = JSON.stringify(value, null, 2);
+  $('transfer-json').value = text;
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (e) {
+    dbg('transfer/copy error: ' + e.message, 'warn');
+  }
+  return false;
+}
+
+async function importSettingsFromScreen() {
+  const text = await readTransferBox();
+  if (!text) return;
+  const result = importSettings(text, settings, settingChoices());
+  if (result.error) {
+    dbgJson('settings/import-rejected', { error: result.error, textLen: text.length }, 'warn');
+    showError(t(result.error === 'version' ? 'backup.newer' : 'backup.invalid'));
+    return;
+  }
+  dbgJson('settings/imported', { changed: result.changed });
+  Object.assign(settings, result.values);
+  result.changed.forEach((key) => { if ((SETTING_UI[key] || {}).after) SETTING_UI[key].after(); });
+  applyLanguage();   // every row, the lens rows included
+  updateDiagnosticsUI();
+  saveSettings();
+  $('transfer-json').value = '';
+  showNotice(tCount('backup.imported', result.changed.length));
+}
+
+async function exportSettingsFromScreen() {
+  const copied = await fillTransferBox(exportSettings(settings));
+  dbgJson('settings/exported', { copied: copied });
+  showNotice(t(copied ? 'backup.copied' : 'backup.exported'));
+}
+
 function closeSettings() {
   dbg('ui/closeSettings');
-  // Return to whichever camera mode is active
-  setState(settings.hotdog ? STATES.HD_CAMERA : STATES.CAMERA);
+  // Return to the camera of whichever lens is selected
+  setState(STATES.CAMERA);
+}
+
+/**
+ * One row per listed lens; exactly one is ON. Hidden lenses
+ * (hot dog) only appear once unlocked. Preset rows can be edited
+ * and deleted.
+ */
+function renderLensRows() {
+  const list = $('lens-list');
+  list.textContent = '';
+  Object.keys(LENSES).forEach((id) => {
+    const lens = LENSES[id];
+    if (!isLensListed(lens)) return;
+
+    const row = document.createElement('div');
+    row.className = 'setting-row lens-row';
+    const label = document.createElement('span');
+    label.className = 'setting-label';
+    label.textContent = lens.icon + ' ' + lensText(lens, 'label');
+    const btn = document.createElement('button');
+    btn.className = 'toggle';
+    btn.id = 'lens-' + id;
+    row.appendChild(label);
+    if (lens.preset) {
+      const edit = document.createElement('button');
+      edit.className = 'icon-btn preset-edit';
+      edit.id = 'preset-edit-' + lens.preset.id;
+      edit.textContent = '✎';
+      edit.setAttribute('aria-label', t('presets.edit'));
+      row.appendChild(edit);
+      const drop = document.createElement('button');
+      drop.className = 'icon-btn preset-drop';
+      drop.id = 'preset-drop-' + lens.preset.id;
+      drop.textContent = '✕';
+      drop.setAttribute('aria-label', t('presets.delete'));
+      row.appendChild(drop);
+    }
+    row.appendChild(btn);
+    list.appendChild(row);
+
+    if (lens.preset) {
+      on('preset-edit-' + lens.preset.id, () => loadPresetEditor(lens.preset.id));
+      on('preset-drop-' + lens.preset.id, () => deletePreset(lens.preset.id));
+    }
+    on(btn.id, () => selectLens(id));
+    updateToggleUI(btn.id, currentLens().id === id);
+  });
+  renderPresetEditor();
+}
+
+function selectLens(id) {
+  if (settings.lens === id) return;
+  settings.lens = id;
+  dbg('ui/lens ' + id);
+  Object.keys(LENSES).forEach((other) => {
+    if ($('lens-' + other)) updateToggleUI('lens-' + other, other === id);
+  });
+  saveSettings();
+  // Lens change takes effect when returning to camera from settings
 }
 
 function updateToggleUI(id, isOn) {
   const btn = $(id);
-  btn.textContent     = isOn ? 'ON' : 'OFF';
+  btn.textContent     = t(isOn ? 'toggle.on' : 'toggle.off');
   btn.dataset.on      = isOn ? 'true' : 'false';
   dbg('ui/toggle ' + id + '=' + isOn);
 }
 
+/** Multi-value setting button; lit unless `lit` is false (an off value). */
+function updateCycleUI(id, label, lit) {
+  const btn = $(id);
+  btn.textContent     = label;
+  btn.dataset.on      = lit === false ? 'false' : 'true';
+  dbg('ui/cycle ' + id + '=' + label);
+}
+
+function imageSizeLabel(size) {
+  return size ? size + 'px' : t('settings.imageSizeFull');
+}
+
+// ═══════════════════════════════════════════
+// LANGUAGE
+// One setting drives the UI catalog (i18n.js),
+// the text direction and the language the lens
+// prompts ask the model to answer in.
+// ═══════════════════════════════════════════
+
+function t(key, params, fallback) {
+  return translate(settings.language, key, params, fallback);
+}
+
+function tCount(key, count) {
+  return translateCount(settings.language, key, count);
+}
+
+/** A lens's label / hint / analyzing text or its fact / next labels, localized. */
+function lensText(lens, field) {
+  const english = field === 'fact' || field === 'next' ? (lens.labels || {})[field] : lens[field];
+  // Presets keep the user's own words; only the generic parts are localized
+  if (lens.preset) return english || t('preset.' + field);
+  return t('lens.' + lens.id + '.' + field, null, english || '');
+}
+
+function categoryLabel(value) {
+  return translateCategory(settings.language, value);
+}
+
+/**
+ * Static markup carries its catalog key in data-i18n (text),
+ * data-i18n-label (aria-label) or data-i18n-placeholder.
+ */
+function applyStaticStrings() {
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-label]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+  });
+}
+
+/** Re-render everything language-dependent; the camera overlay follows on the next setState. */
+function applyLanguage() {
+  const info = languageInfo(settings.language);
+  document.documentElement.lang = settings.language;
+  document.documentElement.dir  = info.dir;
+  applyStaticStrings();
+  Object.keys(SETTINGS_SCHEMA).forEach(updateSettingUI);
+  renderLensRows();
+  dbgJson('ui/language', { language: settings.language, dir: info.dir });
+}
+
 // ═══════════════════════════════════════════
 // STORAGE
 // ═══════════════════════════════════════════
 
 const STORAGE_KEY = 'sleuth_v1_settings';
+const HISTORY_KEY = 'sleuth_v1_history';
+const OUTBOX_KEY  = 'sleuth_v1_outbox';
+const DIAG_KEY    = 'sleuth_v1_diagnostics';   // last exported session log
+const CARDS_KEY   = 'sleuth_v1_cards';         // saved share cards, newest first
+const PRESETS_KEY = 'sleuth_v1_presets';       // user prompt presets
+
+// btoa() only takes Latin-1 — round-trip through UTF-8 so names
+// like "Crème brûlée" or emoji survive storage.
+function encodeStored(value) {
+  return btoa(unescape(encodeURIComponent(JSON.stringify(value))));
+}
+
+function decodeStored(raw) {
+  return JSON.parse(decodeURIComponent(escape(atob(raw))));
+}
 
+/**
+ * Saves are migrated to SETTINGS_VERSION and schema-checked; anything
+ * missing or invalid keeps its default. Secure settings come from the
+ * secure area, or from the plain save written before they moved there.
+ */
 async function loadSettings() {
   try {
-    if (window.creationStorage && window.creationStorage.plain) {
-      const raw = await window.creationStorage.plain.getItem(STORAGE_KEY);
-      if (raw) {
-        const saved = JSON.parse(atob(raw));
-        settings.voice  = !!saved.voice;
-        settings.hotdog = !!saved.hotdog;
+    const storage = window.creationStorage;
+    if (storage && storage.plain) {
+      const raw = await storage.plain.getItem(STORAGE_KEY);
+      const secureRaw = storage.secure ? await storage.secure.getItem(STORAGE_KEY) : null;
+      if (raw || secureRaw) {
+        const saved = Object.assign({}, raw ? decodeStored(raw) : {}, secureRaw ? decodeStored(secureRaw) : {});
+        const migrated = migrateSettings(saved);
+        Object.assign(settings, checkSettings(migrated.values, settings, settingChoices()));
+        if (migrated.from !== SETTINGS_VERSION) {
+          dbgJson('storage/settings-migrated', { from: migrated.from, to: SETTINGS_VERSION });
+          saveSettings();   // rewrite in the current layout
+        }
       }
     }
   } catch (e) {
     // Storage unavailable or corrupt — use defaults
-    dbg('storage/load error: ' + e.message);
+    dbg('storage/load error: ' + e.message, 'warn');
   }
 
   // Apply loaded settings to UI
-  updateToggleUI('toggle-voice',  settings.voice);
-  updateToggleUI('toggle-hotdog', settings.hotdog);
-
-  // If hotdog was previously unlocked, show the row
-  if (settings.hotdog) {
-    $('hotdog-row').hidden = false;
-  }
+  applyLanguage();
+  viewLens = currentLens();
   dbgSnapshot('settings-loaded');
 }
 
 async function saveSettings() {
+  try {
+    const storage = window.creationStorage;
+    if (storage && storage.plain) {
+      const parts = splitSettings(settings);
+      await storage.plain.setItem(STORAGE_KEY, encodeStored(parts.plain));
+      // Without a secure area the sensitive settings are not kept at all
+      if (storage.secure) await storage.secure.setItem(STORAGE_KEY, encodeStored(parts.secure));
+      dbgJson('storage/saved', { key: STORAGE_KEY, version: SETTINGS_VERSION, voice: settings.voice, lens: settings.lens });
+    }
+  } catch (e) {
+    dbg('storage/save error: ' + e.message, 'warn');
+  }
+}
+
+async function loadHistory() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      const raw = await window.creationStorage.plain.getItem(HISTORY_KEY);
+      if (raw) {
+        const saved = decodeStored(raw);
+        scanHistory = Array.isArray(saved) ? saved.slice(0, HISTORY_MAX) : [];
+      }
+    }
+  } catch (e) {
+    dbg('storage/history load error: ' + e.message, 'warn');
+    scanHistory = [];
+  }
+  dbg('storage/history loaded count=' + scanHistory.length);
+}
+
+async function saveHistory() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      await window.creationStorage.plain.setItem(HISTORY_KEY, encodeStored(scanHistory));
+      dbgJson('storage/history-saved', { key: HISTORY_KEY, count: scanHistory.length });
+    }
+  } catch (e) {
+    dbg('storage/history save error: ' + e.message, 'warn');
+  }
+}
+
+async function loadPresets() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      const raw = await window.creationStorage.plain.getItem(PRESETS_KEY);
+      if (raw) {
+        const saved = decodeStored(raw);
+        presets = (Array.isArray(saved) ? saved : [])
+          .map(p => normalizePreset(p).preset)
+          .filter((p, i, all) => p && all.findIndex(q => q && q.id === p.id) === i)   // one lens per id
+          .slice(0, PRESETS_MAX);
+      }
+    }
+  } catch (e) {
+    dbg('storage/presets load error: ' + e.message, 'warn');
+    presets = [];
+  }
+  applyPresets();
+}
+
+async function savePresets() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      await window.creationStorage.plain.setItem(PRESETS_KEY, encodeStored(presets));
+      dbgJson('storage/presets-saved', { key: PRESETS_KEY, count: presets.length });
+    }
+  } catch (e) {
+    dbg('storage/presets save error: ' + e.message, 'warn');
+  }
+}
+
+async function loadOutbox() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      const raw = await window.creationStorage.plain.getItem(OUTBOX_KEY);
+      if (raw) {
+        const saved = decodeStored(raw);
+        outbox = Array.isArray(saved) ? saved.slice(-OUTBOX_MAX) : [];
+        // A send cut short by a reload is still waiting
+        outbox.forEach((o) => { if (o.status === 'sending') o.status = 'pending'; });
+      }
+    }
+  } catch (e) {
+    dbg('storage/outbox load error: ' + e.message, 'warn');
+    outbox = [];
+  }
+  dbg('storage/outbox loaded count=' + outbox.length);
+}
+
+async function saveOutbox() {
+  try {
+    if (window.creationStorage && window.creationStorage.plain) {
+      await window.creationStorage.plain.setItem(OUTBOX_KEY, encodeStored(outbox));
+      dbgJson('storage/outbox-saved', { key: OUTBOX_KEY, count: outbox.length });
+    }
+  } catch (e) {
+    // Usually the storage quota: the queue still works until sleuth closes
+    dbg('storage/outbox save error: ' + e.message, 'warn');
+    showError(t('outbox.saveFailed'));
+  }
+}
+
+/** Add a share card to the saved list; false when storage can't take it. */
+async function saveCard(card) {
   try {
     if (window.creationStorage && window.creationStorage.plain) {
-      const payload = btoa(JSON.stringify({
-        voice:  settings.voice,
-        hotdog: settings.hotdog,
-      }));
-      await window.creationStorage.plain.setItem(STORAGE_KEY, payload);
-      dbgJson('storage/saved', { key: STORAGE_KEY, voice: settings.voice, hotdog: settings.hotdog });
+      const raw = await window.creationStorage.plain.getItem(CARDS_KEY);
+      const saved = raw ? decodeStored(raw) : [];
+      const cards = Array.isArray(saved) ? saved : [];
+      cards.unshift(Object.assign({ id: 'c_' + Date.now().toString(36), timestamp: Date.now() }, card));
+      cards.length = Math.min(cards.length, SHARE_CARDS_MAX);
+      await window.creationStorage.plain.setItem(CARDS_KEY, encodeStored(cards));
+      dbgJson('storage/card-saved', { key: CARDS_KEY, count: cards.length });
+      return true;
     }
   } catch (e) {
-    dbg('storage/save error: ' + e.message);
+    dbg('storage/card save error: ' + e.message, 'warn');
   }
+  return false;
 }
 
 // ═══════════════════════════════════════════
@@ -1037,8 +4060,20 @@ function showError(msg) {
   const toast = $('error-toast');
   if (!toast) return;
   toast.textContent = msg;
+  toast.classList.remove('notice');
   toast.classList.add('show');
   dbg('error/toast ' + msg);
   clearTimeout(errorTimer);
   errorTimer = setTimeout(() => toast.classList.remove('show'), 3000);
 }
+
+/** Same toast, neutral styling — for good news such as a queued result arriving. */
+function showNotice(msg) {
+  const toast = $('error-toast');
+  if (!toast) return;
+  toast.textContent = msg;
+  toast.classList.add('notice', 'show');
+  dbg('notice/toast ' + msg);
+  clearTimeout(errorTimer);
+  errorTimer = setTimeout(() => toast.classList.remove('show'), 4000);
+}
@@ -0,0 +1,242 @@
+/**
+ * sleuth — share cards
+ * Lays a result out as an image card in the app's styling: frame,
+ * category pill, name, description and fact. Layout is plain data
+ * (measured through a callback) so it can be checked without a canvas;
+ * drawShareCard() paints it onto any 2D context.
+ * No DOM: safe to load under Node.
+ */
+
+'use strict';
+
+const CARD_WIDTH       = 480;    // twice the R1 screen, so it stays sharp when shared
+const CARD_PAD         = 24;
+const CARD_PHOTO_MAX_H = 300;
+const CARD_FONT        = "-apple-system, 'Helvetica Neue', Arial, sans-serif";
+
+// Mirrors the :root palette in styles.css
+const CARD_COLORS = {
+  bg:      '#0c0c10',
+  surface: '#1a1a24',
+  border:  '#2a2a38',
+  accent:  '#f59e0b',
+  text:    '#e8e8ec',
+  body:    '#c0c0cc',
+  dim:     '#6b7280',
+};
+
+// font size (px), line height (px), weight, colour, max lines
+const CARD_STYLES = {
+  pill:  { size: 18, line: 34, weight: 700, color: 'accent', lines: 1 },
+  name:  { size: 40, line: 46, weight: 800, color: 'text',   lines: 3 },
+  body:  { size: 23, line: 34, weight: 400, color: 'body',   lines: 10 },
+  label: { size: 19, line: 30, weight: 700, color: 'accent', lines: 1 },
+  fact:  { size: 23, line: 34, weight: 400, color: 'body',   lines: 8 },
+  brand: { size: 19, line: 28, weight: 800, color: 'accent', lines: 1 },
+  meta:  { size: 17, line: 28, weight: 400, color: 'dim',    lines: 1 },
+};
+
+function cardFont(style) {
+  return style.weight + ' ' + style.size + 'px ' + CARD_FONT;
+}
+
+/**
+ * Break `text` into lines no wider than `maxWidth`, keeping its own
+ * line breaks. Past `maxLines` the last line ends in an ellipsis.
+ * `measure(text)` returns a width in px.
+ */
+function wrapLines(text, maxWidth, measure, maxLines) {
+  const lines = [];
+  const fits = s => measure(s) <= maxWidth;
+
+  String(text || '').split('\n').forEach((para) => {
+    let line = '';
+    para.split(/\s+/).filter(Boolean).forEach((word) => {
+      const next = line ? line + ' ' + word : word;
+      if (fits(next)) {
+        line = next;
+        return;
+      }
+      if (line) lines.push(line);
+      // A word wider than the card is cut wherever it overflows
+      line = '';
+      for (const ch of word) {
+        if (line && !fits(line + ch)) {
+          lines.push(line);
+          line = '';
+        }
+        line += ch;
+      }
+    });
+    lines.push(line);
+  });
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+
+  if (!maxLines || lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && !fits(last + '…')) last = last.slice(0, -1);
+  kept[maxLines - 1] = last.replace(/\s+$/, '') + '…';
+  return kept;
+}
+
+/**
+ * Place everything on the card. `card` is
+ *   { name, category, description, factLabel, fact, footer, dir }
+ * and `photo` the frame's { width, height } or null. `measure(font, text)`
+ * returns a width. Returns { width, height, items } where each item is
+ *   { type: 'photo', x, y, w, h }
+ *   { type: 'pill',  x, y, w, h, text, style }
+ *   { type: 'text',  x, y, text, style }      (y is the text top)
+ *   { type: 'rule',  x, y, w }
+ */
+function layoutShareCard(card, photo, measure) {
+  const inner = CARD_WIDTH - CARD_PAD * 2;
+  const items = [];
+  let y = CARD_PAD;
+
+  const block = (styleName, text) => {
+    const style = CARD_STYLES[styleName];
+    const font = cardFont(style);
+    wrapLines(text, inner, s => measure(font, s), style.lines).forEach((line) => {
+      items.push({ type: 'text', x: CARD_PAD, y: y, text: line, style: styleName });
+      y += style.line;
+    });
+  };
+
+  if (photo && photo.width && photo.height) {
+    const h = Math.min(CARD_PHOTO_MAX_H, Math.round(inner * photo.height / photo.width));
+    items.push({ type: 'photo', x: CARD_PAD, y: y, w: inner, h: h });
+    y += h + 20;
+  }
+
+  if (card.category) {
+    const style = CARD_STYLES.pill;
+    const font = cardFont(style);
+    const text = wrapLines(String(card.category).toUpperCase(), inner - 32, s => measure(font, s), 1)[0];
+    items.push({ type: 'pill', x: CARD_PAD, y: y, w: Math.min(inner, measure(font, text) + 32), h: style.line, text: text, style: 'pill' });
+    y += style.line + 14;
+  }
+
+  block('name', card.name);
+  y += 10;
+  if (card.description) {
+    block('body', card.description);
+    y += 18;
+  }
+  if (card.fact) {
+    if (card.factLabel) block('label', String(card.factLabel).toUpperCase());
+    block('fact', card.fact);
+    y += 18;
+  }
+
+  // Footer: app name on one side, the rest (date, lens) dimmed after it
+  y += 6;
+  items.push({ type: 'rule', x: CARD_PAD, y: y, w: inner });
+  y += 14;
+  items.push({ type: 'text', x: CARD_PAD, y: y, text: 'sleuth', style: 'brand' });
+  if (card.footer) {
+    const brand = measure(cardFont(CARD_STYLES.brand), 'sleuth') + 12;
+    const meta = wrapLines(card.footer, inner - brand, s => measure(cardFont(CARD_STYLES.meta), s), 1)[0];
+    items.push({ type: 'text', x: CARD_PAD + brand, y: y + 1, text: meta, style: 'meta' });
+  }
+  y += CARD_STYLES.brand.line + CARD_PAD - 6;
+
+  // Right-to-left cards mirror every item about the centre line
+  if (card.dir === 'rtl') {
+    items.forEach((item) => {
+      if (item.type === 'text') {
+        item.x = CARD_WIDTH - item.x;
+        item.align = 'right';
+      } else {
+        item.x = CARD_WIDTH - item.x - item.w;
+      }
+    });
+  }
+  return { width: CARD_WIDTH, height: y, dir: card.dir === 'rtl' ? 'rtl' : 'ltr', items: items };
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + w - r, y);
+  ctx.arcTo(x + w, y, x + w, y + r, r);
+  ctx.lineTo(x + w, y + h - r);
+  ctx.arcTo(x + w, y + h, x + w - r, y + h, r);
+  ctx.lineTo(x + r, y + h);
+  ctx.arcTo(x, y + h, x, y + h - r, r);
+  ctx.lineTo(x, y + r);
+  ctx.arcTo(x, y, x + r, y, r);
+  ctx.closePath();
+}
+
+/**
+ * Paint a layout onto `ctx`, whose canvas is already layout.width ×
+ * layout.height. `image` is anything drawImage takes, cropped to fill
+ * the photo slot; without one the slot stays empty.
+ */
+function drawShareCard(ctx, layout, image) {
+  ctx.fillStyle = CARD_COLORS.bg;
+  ctx.fillRect(0, 0, layout.width, layout.height);
+  ctx.textBaseline = 'top';
+  ctx.direction = layout.dir;
+
+  layout.items.forEach((item) => {
+    switch (item.type) {
+      case 'photo': {
+        if (!image) break;
+        const iw = image.naturalWidth || image.width;
+        const ih = image.naturalHeight || image.height;
+        const k = Math.max(item.w / iw, item.h / ih);
+        const sw = item.w / k;
+        const sh = item.h / k;
+        ctx.save();
+        roundedRect(ctx, item.x, item.y, item.w, item.h, 12);
+        ctx.clip();
+        ctx.drawImage(image, (iw - sw) / 2, (ih - sh) / 2, sw, sh, item.x, item.y, item.w, item.h);
+        ctx.restore();
+        ctx.strokeStyle = CARD_COLORS.border;
+        ctx.lineWidth = 2;
+        roundedRect(ctx, item.x, item.y, item.w, item.h, 12);
+        ctx.stroke();
+        break;
+      }
+      case 'pill': {
+        const style = CARD_STYLES.pill;
+        ctx.fillStyle = CARD_COLORS.surface;
+        ctx.strokeStyle = CARD_COLORS.border;
+        ctx.lineWidth = 2;
+        roundedRect(ctx, item.x, item.y, item.w, item.h, item.h / 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.font = cardFont(style);
+        ctx.fillStyle = CARD_COLORS[style.color];
+        ctx.textAlign = 'center';
+        ctx.fillText(item.text, item.x + item.w / 2, item.y + (item.h - style.size) / 2);
+        break;
+      }
+      case 'rule':
+        ctx.fillStyle = CARD_COLORS.border;
+        ctx.fillRect(item.x, item.y, item.w, 2);
+        break;
+      case 'text': {
+        const style = CARD_STYLES[item.style];
+        ctx.font = cardFont(style);
+        ctx.fillStyle = CARD_COLORS[style.color];
+        ctx.textAlign = item.align || 'left';
+        ctx.fillText(item.text, item.x, item.y + (style.line - style.size) / 2);
+        break;
+      }
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CARD_WIDTH,
+    CARD_STYLES,
+    wrapLines,
+    layoutShareCard,
+    drawShareCard,
+  };
+}
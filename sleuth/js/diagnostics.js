@@ -0,0 +1,133 @@
+/**
+ * sleuth — diagnostics
+ * Levelled session log kept in a fixed-size ring buffer, with image
+ * data and prompts redacted before anything is stored or exported.
+ * No DOM: safe to load under Node.
+ */
+
+'use strict';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_MAX_ENTRIES = 400;
+const LOG_REDACT_KEYS = ['prompt', 'image', 'imageBase64', 'thumb'];   // values never logged as-is
+const LOG_MAX_STRING = 600;    // longer strings are cut
+
+function logLevelRank(level) {
+  const i = LOG_LEVELS.indexOf(level);
+  return i === -1 ? 0 : i;
+}
+
+/** Oldest entries are overwritten once `max` is reached. */
+class DiagnosticsLog {
+  constructor(max) {
+    this.max = max || LOG_MAX_ENTRIES;
+    this.clear();
+  }
+
+  clear() {
+    this.items = [];
+    this.start = 0;     // index of the oldest entry once the buffer is full
+    this.seq = 0;       // entries ever added, for numbering
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  get dropped() {
+    return this.seq - this.items.length;
+  }
+
+  add(entry) {
+    entry.seq = ++this.seq;
+    if (this.items.length < this.max) {
+      this.items.push(entry);
+    } else {
+      this.items[this.start] = entry;
+      this.start = (this.start + 1) % this.max;
+    }
+    return entry;
+  }
+
+  /** Entries oldest first, optionally only those at or above `minLevel`. */
+  entries(minLevel) {
+    const ordered = this.items.slice(this.start).concat(this.items.slice(0, this.start));
+    if (!minLevel) return ordered;
+    const rank = logLevelRank(minLevel);
+    return ordered.filter(e => logLevelRank(e.level) >= rank);
+  }
+}
+
+function kb(chars) {
+  return Math.max(1, Math.round(chars * 0.75 / 1024)) + 'KB';
+}
+
+/** Replace embedded data URLs and cut overlong text. */
+function redactText(text) {
+  let out = String(text).replace(/data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+/g,
+    (m, type) => '[' + type + ' ' + kb(m.length) + ']');
+  if (out.length > LOG_MAX_STRING) out = out.slice(0, LOG_MAX_STRING) + '…[' + out.length + ' chars]';
+  return out;
+}
+
+/** Deep copy of `value` safe to keep in the log. */
+function redact(value, depth) {
+  const d = depth || 0;
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return redactText(value);
+  if (typeof value !== 'object') return String(value);
+  if (d > 6) return '[…]';
+  if (Array.isArray(value)) return value.map(v => redact(v, d + 1));
+
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    const v = value[key];
+    if (LOG_REDACT_KEYS.indexOf(key) !== -1 && typeof v === 'string' && v) {
+      out[key] = '[' + key + ' ' + (/^data:/.test(v) ? kb(v.length) : v.length + ' chars') + ']';
+    } else {
+      out[key] = redact(v, d + 1);
+    }
+  });
+  return out;
+}
+
+/** One line: time, level letter, state, text and data. */
+function formatLogEntry(entry) {
+  const ts = new Date(entry.t).toISOString().slice(11, 23);   // HH:MM:SS.mmm
+  let data = '';
+  if (entry.data !== undefined) {
+    try {
+      data = ' ' + JSON.stringify(entry.data);
+    } catch (e) {
+      data = ' [unserializable]';
+    }
+  }
+  return ts + ' ' + entry.level.charAt(0).toUpperCase() + ' [' + entry.state + '] ' + entry.text + data;
+}
+
+/** Session log plus a state snapshot, as saved or copied by an export. */
+function buildDiagnosticsExport(log, snapshot, meta) {
+  const entries = log.entries();
+  return Object.assign({
+    version:    1,
+    exportedAt: new Date().toISOString(),
+    entries:    entries.length,
+    dropped:    log.dropped,
+    snapshot:   redact(snapshot),
+  }, meta, {
+    log: entries.map(formatLogEntry),
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOG_LEVELS,
+    LOG_MAX_ENTRIES,
+    logLevelRank,
+    DiagnosticsLog,
+    redact,
+    redactText,
+    formatLogEntry,
+    buildDiagnosticsExport,
+  };
+}
@@ -0,0 +1,1235 @@
+/**
+ * sleuth — i18n
+ * Message catalogs for the UI and the languages the model can answer in.
+ * Pure: no DOM, safe to load under Node. The app picks the catalog from
+ * settings.language; a key missing there falls back to English.
+ */
+
+'use strict';
+
+/** `name` is what prompts call the language; `speech` the BCP 47 tag for TTS / STT. */
+const LANGUAGES = {
+  en: { name: 'English', native: 'English',  dir: 'ltr', speech: 'en-US' },
+  es: { name: 'Spanish', native: 'Español',  dir: 'ltr', speech: 'es-ES' },
+  fr: { name: 'French',  native: 'Français', dir: 'ltr', speech: 'fr-FR' },
+  de: { name: 'German',  native: 'Deutsch',  dir: 'ltr', speech: 'de-DE' },
+  ar: { name: 'Arabic',  native: 'العربية',  dir: 'rtl', speech: 'ar-SA' },
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// ═══════════════════════════════════════════
+// CATALOGS
+// `{name}` placeholders are filled by translate().
+// Lens strings are keyed lens.<id>.<label|hint|
+// analyzing|fact|next>; English ones live on the
+// lens itself (lenses.js). Category labels are
+// keyed by the English vocabulary in lenses.js.
+// ═══════════════════════════════════════════
+
+const MESSAGES = {
+  en: {
+    'toggle.on':             'ON',
+    'toggle.off':            'OFF',
+    'nav.back':              'Back',
+    'nav.close':             'Close',
+    'nav.history':           'History',
+    'nav.settings':          'Settings',
+    'nav.outbox':            'Outbox',
+    'nav.share':             'Share',
+    'analyzing.cancel':      'long press · cancel',
+    'camera.auto':           'AUTO',
+    'camera.rear':           'Rear',
+    'camera.front':          'Front',
+    'camera.device':         'Camera {n}',
+    'camera.saved':          'Saved camera',
+
+    'toast.noResponse':      'No response — retrying ({attempt}/{max})',
+    'toast.sendFailed':      'Send failed — retrying ({attempt}/{max})',
+    'toast.cancelled':       'Scan cancelled',
+    'toast.cameraNotReady':  'Camera not ready — try again',
+    'toast.sendAnyway':      '{problem} — PTT again to send anyway',
+    'toast.queuedDone':      '{icon} Queued scan: {name} — in history',
+    'toast.noSpeech':        'No speech on this device — results stay on screen only',
+    'share.saved':           'Card saved',
+    'share.journal':         'Card sent to your journal',
+    'share.failed':          'Couldn’t make the card',
+    'frame.dark':            'Too dark',
+    'frame.bright':          'Too bright',
+    'frame.blank':           'Nothing in view',
+    'frame.blurry':          'Blurry, hold steady',
+
+    'result.unknown':        'Unknown',
+    'result.objects.one':    '{count} object',
+    'result.objects.other':  '{count} objects',
+    'result.back':           '↓ back to camera',
+    'result.followUp':       '↓ follow-up',
+    'result.confidence':     '{pct}% sure',
+    'alt.title':             'other possibilities',
+    'alt.pick':              'PTT · describe this one instead',
+    'result.askHint':        '↓ back · hold PTT to ask',
+    'hotdog.yes':            'HOT DOG',
+    'hotdog.no':             'NOT HOT DOG',
+    'hotdog.classifying':    'classifying…',
+    'hotdog.hint':           'PTT to classify',
+    'hotdog.back':           'long press · new scan',
+
+    'retry.noAnswer':        'no answer',
+    'retry.unreadable':      'couldn’t read that',
+    'retry.hint':            'PTT retry · long press · new scan',
+    'retry.hintNewScan':     'long press · new scan',
+    'retry.queued':          'Saved to the outbox to resend later.',
+    'nocam.title':           'camera unavailable',
+    'nocam.denied':          'Camera access was denied. Allow it for sleuth, then press PTT.',
+    'nocam.missing':         'No camera was found.',
+    'nocam.lost':            'The camera stopped sending pictures.',
+    'nocam.failed':          'The camera couldn’t be opened.',
+    'nocam.starting':        'Opening the camera…',
+    'nocam.hint':            'PTT retry · long press · settings',
+    'compare.hintB':         'PTT · capture B · hold PTT · say what it’s for',
+    'compare.need':          'for: {need}',
+    'compare.missed':        'Didn’t catch that — hold PTT to say what it’s for',
+    'compare.drop':          'Discard A',
+    'compare.versus':        '{a} vs {b}',
+    'compare.differences':   'differences',
+    'compare.pros':          'strengths',
+    'compare.best':          'best fit',
+    'compare.either':        'Either one',
+    'failure.unparseable':   'The answer wasn’t in a format sleuth understands.',
+    'failure.missing':       'The answer was missing its {field}.',
+    'failure.type':          'The answer had the wrong kind of {field}.',
+    'failure.empty':         'The answer left out its {field}.',
+    'failure.enum':          'The answer gave no clear {field}.',
+    'failure.timeout':       'The R1 didn’t answer in time.',
+    'failure.post-error':    'The request couldn’t be sent to the R1.',
+    'field.name':            'name',
+    'field.category':        'category',
+    'field.description':     'description',
+    'field.fun_fact':        'fun fact',
+    'field.objects':         'objects',
+    'field.result':          'result',
+    'field.reason':          'reason',
+    'field.name_a':          'name for A',
+    'field.name_b':          'name for B',
+    'field.differences':     'differences',
+
+    'qa.listening':          '🎙 listening…',
+    'qa.missed':             'Didn’t catch that — hold PTT to ask',
+    'qa.thinking':           'thinking…',
+    'qa.next':               '↓ next answer',
+    'qa.noAnswer':           'No answer — hold PTT to ask again.',
+    'qa.unreadable':         'Couldn’t read the answer — hold PTT to ask again.',
+
+    'history.title':         'history',
+    'history.empty':         'no scans yet',
+    'history.hint':          'scroll · PTT to open',
+    'time.now':              'just now',
+    'time.minutes':          '{count}m ago',
+    'time.hours':            '{count}h ago',
+    'outbox.title':          'outbox',
+    'outbox.empty':          'nothing waiting',
+    'outbox.hint':           'scroll · PTT resend · ✕ discard',
+    'outbox.pending':        'waiting',
+    'outbox.sending':        'sending…',
+    'outbox.failed':         'failed',
+    'outbox.resend':         'Resend',
+    'outbox.discard':        'Discard',
+    'outbox.saveFailed':     'Couldn’t store the queue — it is lost if sleuth closes',
+
+    'settings.title':        'settings',
+    'settings.voice':        'R1 Voice Response',
+    'settings.auto':         'Auto Identify',
+    'settings.journal':      'Share to Journal',
+    'settings.crop':         'Crop to Target',
+    'settings.imageSize':    'Image Size',
+    'settings.imageSizeFull': 'full',
+    'settings.camera':       'Camera',
+    'settings.resolution':   'Resolution',
+    'settings.retries':      'Auto Retry',
+    'settings.language':     'Language',
+    'settings.diagnostics':  'Diagnostics',
+    'diag.title':            'diagnostics',
+    'diag.level':            'Level filter',
+    'diag.levelAll':         'all',
+    'diag.empty':            'log is empty',
+    'diag.hint':             'scroll · PTT export · long press back',
+    'diag.on':               'diagnostics on',
+    'diag.off':              'diagnostics off',
+    'diag.saved':            'log saved',
+    'diag.copied':           'log copied',
+    'diag.savedCopied':      'log saved · copied',
+    'diag.exportFailed':     'Couldn’t export the log',
+    'settings.view':         'VIEW',
+    'settings.lens':         'lens',
+    'settings.wheel':        'Wheel on Camera',
+    'settings.wheelZoom':    'zoom',
+    'settings.wheelLens':    'lens',
+    'settings.presets':      'Prompt Presets',
+    'settings.transfer':     'import · export',
+    'settings.backup':       'All Settings',
+    'transfer.import':       'IMPORT',
+    'transfer.export':       'EXPORT',
+    'transfer.paste':        'Paste JSON in the box first',
+    'backup.invalid':        'That isn’t a sleuth settings export',
+    'backup.newer':          'Exported by a newer sleuth — update first',
+    'backup.imported.one':   '{count} setting changed',
+    'backup.imported.other': '{count} settings changed',
+    'backup.exported':       'Settings ready to copy',
+    'backup.copied':         'Settings copied',
+    'presets.invalid':       'That isn’t a valid preset',
+    'presets.full':          'Preset list full — {max} max',
+    'presets.none':          'No presets to export yet',
+    'presets.imported.one':  '{count} preset imported',
+    'presets.imported.other': '{count} presets imported',
+    'presets.skipped.one':   '{count} skipped',
+    'presets.skipped.other': '{count} skipped',
+    'presets.exported':      'Presets ready to copy',
+    'presets.copied':        'Presets copied',
+    'presets.delete':        'Delete preset',
+    'presets.edit':          'Edit preset',
+    'presets.name':          'Preset name',
+    'presets.prompt':        'What to ask about the photo',
+    'presets.new':           'New Preset',
+    'presets.editing':       'Editing {name}',
+    'presets.save':          'SAVE',
+    'presets.clear':         'NEW',
+    'presets.added':         '{name} added',
+    'presets.updated':       '{name} saved',
+    'presets.needName':      'Give the preset a name',
+    'presets.needPrompt':    'Write what the preset asks',
+    'presets.taken':         'A preset with that name exists',
+    'preset.hint':           'PTT · ask your prompt',
+    'preset.analyzing':      'thinking…',
+    'preset.fact':           'more',
+    'preset.next':           'more',
+
+    'category.technology':    'Technology',
+    'category.kitchenware':   'Kitchenware',
+    'category.furniture':     'Furniture',
+    'category.lighting':      'Lighting',
+    'category.clothing':      'Clothing',
+    'category.food':          'Food',
+    'category.drink':         'Drink',
+    'category.plant':         'Plant',
+    'category.animal':        'Animal',
+    'category.vehicle':       'Vehicle',
+    'category.tool':          'Tool',
+    'category.toy':           'Toy',
+    'category.book':          'Book',
+    'category.art':           'Art',
+    'category.building':      'Building',
+    'category.sports':        'Sports',
+    'category.music':         'Music',
+    'category.personal_care': 'Personal Care',
+    'category.office':        'Office',
+    'category.other':         'Other',
+  },
+
+  es: {
+    'toggle.on':             'SÍ',
+    'toggle.off':            'NO',
+    'nav.back':              'Atrás',
+    'nav.close':             'Cerrar',
+    'nav.history':           'Historial',
+    'nav.settings':          'Ajustes',
+    'nav.outbox':            'Bandeja de salida',
+    'nav.share':             'Compartir',
+    'analyzing.cancel':      'mantén pulsado · cancelar',
+    'camera.auto':           'AUTO',
+    'camera.rear':           'Trasera',
+    'camera.front':          'Frontal',
+    'camera.device':         'Cámara {n}',
+    'camera.saved':          'Cámara guardada',
+
+    'toast.noResponse':      'Sin respuesta — reintentando ({attempt}/{max})',
+    'toast.sendFailed':      'Error al enviar — reintentando ({attempt}/{max})',
+    'toast.cancelled':       'Escaneo cancelado',
+    'toast.cameraNotReady':  'La cámara no está lista — inténtalo de nuevo',
+    'toast.sendAnyway':      '{problem} — pulsa PTT otra vez para enviar igualmente',
+    'toast.queuedDone':      '{icon} Escaneo pendiente: {name} — en el historial',
+    'toast.noSpeech':        'Este dispositivo no tiene voz — los resultados solo se muestran',
+    'share.saved':           'Tarjeta guardada',
+    'share.journal':         'Tarjeta enviada a tu diario',
+    'share.failed':          'No se pudo crear la tarjeta',
+    'frame.dark':            'Demasiado oscuro',
+    'frame.bright':          'Demasiado claro',
+    'frame.blank':           'No hay nada a la vista',
+    'frame.blurry':          'Borroso, no te muevas',
+
+    'result.unknown':        'Desconocido',
+    'result.objects.one':    '{count} objeto',
+    'result.objects.other':  '{count} objetos',
+    'result.back':           '↓ volver a la cámara',
+    'result.followUp':       '↓ preguntas',
+    'result.confidence':     '{pct}% seguro',
+    'alt.title':             'otras posibilidades',
+    'alt.pick':              'PTT · describir esta opción',
+    'result.askHint':        '↓ volver · mantén PTT para preguntar',
+    'hotdog.yes':            'HOT DOG',
+    'hotdog.no':             'NO ES HOT DOG',
+    'hotdog.classifying':    'clasificando…',
+    'hotdog.hint':           'PTT para clasificar',
+    'hotdog.back':           'mantén pulsado · nuevo escaneo',
+
+    'retry.noAnswer':        'sin respuesta',
+    'retry.unreadable':      'no se pudo leer',
+    'retry.hint':            'PTT reintentar · mantén pulsado · nuevo escaneo',
+    'retry.hintNewScan':     'mantén pulsado · nuevo escaneo',
+    'retry.queued':          'Guardado en la bandeja de salida para reenviarlo más tarde.',
+    'nocam.title':           'cámara no disponible',
+    'nocam.denied':          'Se denegó el acceso a la cámara. Permítelo para sleuth y pulsa PTT.',
+    'nocam.missing':         'No se encontró ninguna cámara.',
+    'nocam.lost':            'La cámara dejó de enviar imágenes.',
+    'nocam.failed':          'No se pudo abrir la cámara.',
+    'nocam.starting':        'Abriendo la cámara…',
+    'nocam.hint':            'PTT reintentar · mantén pulsado · ajustes',
+    'compare.hintB':         'PTT · captura B · mantén PTT · di para qué es',
+    'compare.need':          'para: {need}',
+    'compare.missed':        'No te he entendido — mantén PTT para decir para qué es',
+    'compare.drop':          'Descartar A',
+    'compare.versus':        '{a} frente a {b}',
+    'compare.differences':   'diferencias',
+    'compare.pros':          'puntos fuertes',
+    'compare.best':          'mejor opción',
+    'compare.either':        'Cualquiera de los dos',
+    'failure.unparseable':   'La respuesta no tenía un formato que sleuth entienda.',
+    'failure.missing':       'A la respuesta le faltaba: {field}.',
+    'failure.type':          'La respuesta tenía un tipo incorrecto en: {field}.',
+    'failure.empty':         'La respuesta dejó vacío: {field}.',
+    'failure.enum':          'La respuesta no dio un valor claro para: {field}.',
+    'failure.timeout':       'El R1 no respondió a tiempo.',
+    'failure.post-error':    'No se pudo enviar la petición al R1.',
+    'field.name':            'nombre',
+    'field.category':        'categoría',
+    'field.description':     'descripción',
+    'field.fun_fact':        'dato curioso',
+    'field.objects':         'objetos',
+    'field.result':          'resultado',
+    'field.reason':          'motivo',
+    'field.name_a':          'nombre de A',
+    'field.name_b':          'nombre de B',
+    'field.differences':     'diferencias',
+
+    'qa.listening':          '🎙 escuchando…',
+    'qa.missed':             'No te he entendido — mantén PTT para preguntar',
+    'qa.thinking':           'pensando…',
+    'qa.next':               '↓ siguiente respuesta',
+    'qa.noAnswer':           'Sin respuesta — mantén PTT para volver a preguntar.',
+    'qa.unreadable':         'No se pudo leer la respuesta — mantén PTT para volver a preguntar.',
+
+    'history.title':         'historial',
+    'history.empty':         'aún no hay escaneos',
+    'history.hint':          'gira · PTT para abrir',
+    'time.now':              'ahora mismo',
+    'time.minutes':          'hace {count} min',
+    'time.hours':            'hace {count} h',
+    'outbox.title':          'salida',
+    'outbox.empty':          'nada pendiente',
+    'outbox.hint':           'gira · PTT reenviar · ✕ descartar',
+    'outbox.pending':        'en espera',
+    'outbox.sending':        'enviando…',
+    'outbox.failed':         'fallido',
+    'outbox.resend':         'Reenviar',
+    'outbox.discard':        'Descartar',
+    'outbox.saveFailed':     'No se pudo guardar la cola — se perderá si sleuth se cierra',
+
+    'settings.title':        'ajustes',
+    'settings.voice':        'Respuesta por voz del R1',
+    'settings.auto':         'Identificación automática',
+    'settings.journal':      'Compartir en el diario',
+    'settings.crop':         'Recortar al objetivo',
+    'settings.imageSize':    'Tamaño de imagen',
+    'settings.imageSizeFull': 'original',
+    'settings.camera':       'Cámara',
+    'settings.resolution':   'Resolución',
+    'settings.retries':      'Reintento automático',
+    'settings.language':     'Idioma',
+    'settings.diagnostics':  'Diagnóstico',
+    'diag.title':            'diagnóstico',
+    'diag.level':            'Filtro de nivel',
+    'diag.levelAll':         'todo',
+    'diag.empty':            'el registro está vacío',
+    'diag.hint':             'gira · PTT exportar · pulsación larga atrás',
+    'diag.on':               'diagnóstico activado',
+    'diag.off':              'diagnóstico desactivado',
+    'diag.saved':            'registro guardado',
+    'diag.copied':           'registro copiado',
+    'diag.savedCopied':      'registro guardado · copiado',
+    'diag.exportFailed':     'No se pudo exportar el registro',
+    'settings.view':         'VER',
+    'settings.lens':         'lente',
+    'settings.wheel':        'Rueda en la cámara',
+    'settings.wheelZoom':    'zoom',
+    'settings.wheelLens':    'lente',
+    'settings.presets':      'Prompts guardados',
+    'settings.transfer':     'importar · exportar',
+    'settings.backup':       'Todos los ajustes',
+    'transfer.import':       'IMPORTAR',
+    'transfer.export':       'EXPORTAR',
+    'transfer.paste':        'Pega primero el JSON en el cuadro',
+    'backup.invalid':        'No es una exportación de ajustes de sleuth',
+    'backup.newer':          'Exportado con un sleuth más nuevo — actualiza primero',
+    'backup.imported.one':   '{count} ajuste cambiado',
+    'backup.imported.other': '{count} ajustes cambiados',
+    'backup.exported':       'Ajustes listos para copiar',
+    'backup.copied':         'Ajustes copiados',
+    'presets.invalid':       'No es un prompt válido',
+    'presets.full':          'Lista llena — máximo {max}',
+    'presets.none':          'Aún no hay prompts que exportar',
+    'presets.imported.one':  '{count} prompt importado',
+    'presets.imported.other': '{count} prompts importados',
+    'presets.skipped.one':   '{count} omitido',
+    'presets.skipped.other': '{count} omitidos',
+    'presets.exported':      'Prompts listos para copiar',
+    'presets.copied':        'Prompts copiados',
+    'presets.delete':        'Eliminar prompt',
+    'presets.edit':          'Editar prompt',
+    'presets.name':          'Nombre del prompt',
+    'presets.prompt':        'Qué preguntar sobre la foto',
+    'presets.new':           'Nuevo prompt',
+    'presets.editing':       'Editando {name}',
+    'presets.save':          'GUARDAR',
+    'presets.clear':         'NUEVO',
+    'presets.added':         '{name} añadido',
+    'presets.updated':       '{name} guardado',
+    'presets.needName':      'Ponle un nombre al prompt',
+    'presets.needPrompt':    'Escribe qué pregunta el prompt',
+    'presets.taken':         'Ya hay un prompt con ese nombre',
+    'preset.hint':           'PTT · haz tu pregunta',
+    'preset.analyzing':      'pensando…',
+    'preset.fact':           'más',
+    'preset.next':           'más',
+
+    'category.technology':    'Tecnología',
+    'category.kitchenware':   'Menaje de cocina',
+    'category.furniture':     'Mueble',
+    'category.lighting':      'Iluminación',
+    'category.clothing':      'Ropa',
+    'category.food':          'Comida',
+    'category.drink':         'Bebida',
+    'category.plant':         'Planta',
+    'category.animal':        'Animal',
+    'category.vehicle':       'Vehículo',
+    'category.tool':          'Herramienta',
+    'category.toy':           'Juguete',
+    'category.book':          'Libro',
+    'category.art':           'Arte',
+    'category.building':      'Edificio',
+    'category.sports':        'Deporte',
+    'category.music':         'Música',
+    'category.personal_care': 'Cuidado personal',
+    'category.office':        'Oficina',
+    'category.other':         'Otro',
+
+    'lens.standard.label':     'Identificar',
+    'lens.standard.hint':      'centra el objeto · PTT para identificar',
+    'lens.standard.analyzing': 'investigando…',
+    'lens.standard.fact':      'dato curioso',
+    'lens.standard.next':      'dato curioso',
+    'lens.plant.label':        'Identificar planta',
+    'lens.plant.hint':         'centra la planta · PTT para identificar',
+    'lens.plant.analyzing':    'investigando…',
+    'lens.plant.fact':         'consejo de cuidado',
+    'lens.plant.next':         'cuidados',
+    'lens.food.label':         'Calorías',
+    'lens.food.hint':          'centra el plato · PTT para estimar',
+    'lens.food.analyzing':     'calculando…',
+    'lens.food.fact':          'nutrición',
+    'lens.food.next':          'nutrición',
+    'lens.landmark.label':     'Monumento',
+    'lens.landmark.hint':      'encuadra el lugar · PTT para identificar',
+    'lens.landmark.analyzing': 'investigando…',
+    'lens.landmark.fact':      'historia',
+    'lens.landmark.next':      'historia',
+    'lens.translate.label':    'Traducir',
+    'lens.translate.hint':     'encuadra el texto · PTT para traducir',
+    'lens.translate.analyzing': 'leyendo…',
+    'lens.translate.fact':     'texto original',
+    'lens.translate.next':     'original',
+    'lens.product.label':      'Buscar producto',
+    'lens.product.hint':       'centra el producto · PTT para buscar',
+    'lens.product.analyzing':  'investigando…',
+    'lens.product.fact':       'precio habitual',
+    'lens.product.next':       'precio',
+    'lens.multi.label':        'Todo a la vista',
+    'lens.multi.hint':         'encuadra la escena · PTT para listar',
+    'lens.multi.analyzing':    'buscando objetos…',
+    'lens.multi.fact':         'dato curioso',
+    'lens.multi.next':         'dato curioso',
+    'lens.compare.label':      'Comparar',
+    'lens.compare.hint':       'PTT · captura el primer objeto',
+    'lens.compare.analyzing':  'comparando…',
+    'lens.hotdog.label':       'Modo Hot Dog',
+  },
+
+  fr: {
+    'toggle.on':             'OUI',
+    'toggle.off':            'NON',
+    'nav.back':              'Retour',
+    'nav.close':             'Fermer',
+    'nav.history':           'Historique',
+    'nav.settings':          'Réglages',
+    'nav.outbox':            'Boîte d’envoi',
+    'nav.share':             'Partager',
+    'analyzing.cancel':      'appui long · annuler',
+    'camera.auto':           'AUTO',
+    'camera.rear':           'Arrière',
+    'camera.front':          'Avant',
+    'camera.device':         'Caméra {n}',
+    'camera.saved':          'Caméra enregistrée',
+
+    'toast.noResponse':      'Pas de réponse — nouvel essai ({attempt}/{max})',
+    'toast.sendFailed':      'Échec de l’envoi — nouvel essai ({attempt}/{max})',
+    'toast.cancelled':       'Analyse annulée',
+    'toast.cameraNotReady':  'Caméra pas prête — réessayez',
+    'toast.sendAnyway':      '{problem} — PTT à nouveau pour envoyer quand même',
+    'toast.queuedDone':      '{icon} Analyse en attente : {name} — dans l’historique',
+    'toast.noSpeech':        'Pas de synthèse vocale sur cet appareil — résultats à l’écran seulement',
+    'share.saved':           'Carte enregistrée',
+    'share.journal':         'Carte envoyée à votre journal',
+    'share.failed':          'Impossible de créer la carte',
+    'frame.dark':            'Trop sombre',
+    'frame.bright':          'Trop clair',
+    'frame.blank':           'Rien en vue',
+    'frame.blurry':          'Flou, restez immobile',
+
+    'result.unknown':        'Inconnu',
+    'result.objects.one':    '{count} objet',
+    'result.objects.other':  '{count} objets',
+    'result.back':           '↓ retour à la caméra',
+    'result.followUp':       '↓ questions',
+    'result.confidence':     'sûr à {pct} %',
+    'alt.title':             'autres possibilités',
+    'alt.pick':              'PTT · décrire celle-ci',
+    'result.askHint':        '↓ retour · maintenez PTT pour demander',
+    'hotdog.yes':            'HOT-DOG',
+    'hotdog.no':             'PAS HOT-DOG',
+    'hotdog.classifying':    'classement…',
+    'hotdog.hint':           'PTT pour classer',
+    'hotdog.back':           'appui long · nouvelle analyse',
+
+    'retry.noAnswer':        'pas de réponse',
+    'retry.unreadable':      'illisible',
+    'retry.hint':            'PTT réessayer · appui long · nouvelle analyse',
+    'retry.hintNewScan':     'appui long · nouvelle analyse',
+    'retry.queued':          'Enregistrée dans la boîte d’envoi pour un nouvel envoi plus tard.',
+    'nocam.title':           'caméra indisponible',
+    'nocam.denied':          'L’accès à la caméra a été refusé. Autorisez-le pour sleuth, puis appuyez sur PTT.',
+    'nocam.missing':         'Aucune caméra trouvée.',
+    'nocam.lost':            'La caméra n’envoie plus d’images.',
+    'nocam.failed':          'Impossible d’ouvrir la caméra.',
+    'nocam.starting':        'Ouverture de la caméra…',
+    'nocam.hint':            'PTT réessayer · appui long · réglages',
+    'compare.hintB':         'PTT · capturer B · maintenez PTT · dites à quoi ça sert',
+    'compare.need':          'pour : {need}',
+    'compare.missed':        'Pas compris — maintenez PTT pour dire à quoi ça sert',
+    'compare.drop':          'Abandonner A',
+    'compare.versus':        '{a} ou {b}',
+    'compare.differences':   'différences',
+    'compare.pros':          'points forts',
+    'compare.best':          'meilleur choix',
+    'compare.either':        'L’un ou l’autre',
+    'failure.unparseable':   'La réponse n’était pas dans un format que sleuth comprend.',
+    'failure.missing':       'Il manquait à la réponse : {field}.',
+    'failure.type':          'La réponse avait un mauvais type pour : {field}.',
+    'failure.empty':         'La réponse a laissé vide : {field}.',
+    'failure.enum':          'La réponse n’a pas donné de valeur claire pour : {field}.',
+    'failure.timeout':       'Le R1 n’a pas répondu à temps.',
+    'failure.post-error':    'La requête n’a pas pu être envoyée au R1.',
+    'field.name':            'nom',
+    'field.category':        'catégorie',
+    'field.description':     'description',
+    'field.fun_fact':        'anecdote',
+    'field.objects':         'objets',
+    'field.result':          'résultat',
+    'field.reason':          'raison',
+    'field.name_a':          'nom de A',
+    'field.name_b':          'nom de B',
+    'field.differences':     'différences',
+
+    'qa.listening':          '🎙 écoute…',
+    'qa.missed':             'Pas compris — maintenez PTT pour demander',
+    'qa.thinking':           'réflexion…',
+    'qa.next':               '↓ réponse suivante',
+    'qa.noAnswer':           'Pas de réponse — maintenez PTT pour redemander.',
+    'qa.unreadable':         'Réponse illisible — maintenez PTT pour redemander.',
+
+    'history.title':         'historique',
+    'history.empty':         'aucune analyse',
+    'history.hint':          'molette · PTT pour ouvrir',
+    'time.now':              'à l’instant',
+    'time.minutes':          'il y a {count} min',
+    'time.hours':            'il y a {count} h',
+    'outbox.title':          'envoi',
+    'outbox.empty':          'rien en attente',
+    'outbox.hint':           'molette · PTT renvoyer · ✕ supprimer',
+    'outbox.pending':        'en attente',
+    'outbox.sending':        'envoi…',
+    'outbox.failed':         'échec',
+    'outbox.resend':         'Renvoyer',
+    'outbox.discard':        'Supprimer',
+    'outbox.saveFailed':     'Impossible d’enregistrer la file — elle sera perdue à la fermeture de sleuth',
+
+    'settings.title':        'réglages',
+    'settings.voice':        'Réponse vocale du R1',
+    'settings.auto':         'Identification auto',
+    'settings.journal':      'Partager dans le journal',
+    'settings.crop':         'Recadrer sur la cible',
+    'settings.imageSize':    'Taille d’image',
+    'settings.imageSizeFull': 'native',
+    'settings.camera':       'Caméra',
+    'settings.resolution':   'Résolution',
+    'settings.retries':      'Nouvel essai auto',
+    'settings.language':     'Langue',
+    'settings.diagnostics':  'Diagnostic',
+    'diag.title':            'diagnostic',
+    'diag.level':            'Filtre de niveau',
+    'diag.levelAll':         'tout',
+    'diag.empty':            'le journal est vide',
+    'diag.hint':             'molette · PTT exporter · appui long retour',
+    'diag.on':               'diagnostic activé',
+    'diag.off':              'diagnostic désactivé',
+    'diag.saved':            'journal enregistré',
+    'diag.copied':           'journal copié',
+    'diag.savedCopied':      'journal enregistré · copié',
+    'diag.exportFailed':     'Impossible d’exporter le journal',
+    'settings.view':         'VOIR',
+    'settings.lens':         'objectif',
+    'settings.wheel':        'Molette sur la caméra',
+    'settings.wheelZoom':    'zoom',
+    'settings.wheelLens':    'objectif',
+    'settings.presets':      'Prompts enregistrés',
+    'settings.transfer':     'importer · exporter',
+    'settings.backup':       'Tous les réglages',
+    'transfer.import':       'IMPORTER',
+    'transfer.export':       'EXPORTER',
+    'transfer.paste':        'Collez d’abord le JSON dans la zone',
+    'backup.invalid':        'Ce n’est pas un export de réglages sleuth',
+    'backup.newer':          'Exporté par un sleuth plus récent — mettez à jour d’abord',
+    'backup.imported.one':   '{count} réglage modifié',
+    'backup.imported.other': '{count} réglages modifiés',
+    'backup.exported':       'Réglages prêts à copier',
+    'backup.copied':         'Réglages copiés',
+    'presets.invalid':       'Ce n’est pas un prompt valide',
+    'presets.full':          'Liste pleine — {max} au maximum',
+    'presets.none':          'Aucun prompt à exporter',
+    'presets.imported.one':  '{count} prompt importé',
+    'presets.imported.other': '{count} prompts importés',
+    'presets.skipped.one':   '{count} ignoré',
+    'presets.skipped.other': '{count} ignorés',
+    'presets.exported':      'Prompts prêts à copier',
+    'presets.copied':        'Prompts copiés',
+    'presets.delete':        'Supprimer le prompt',
+    'presets.edit':          'Modifier le prompt',
+    'presets.name':          'Nom du prompt',
+    'presets.prompt':        'Que demander sur la photo',
+    'presets.new':           'Nouveau prompt',
+    'presets.editing':       'Modification de {name}',
+    'presets.save':          'ENREGISTRER',
+    'presets.clear':         'NOUVEAU',
+    'presets.added':         '{name} ajouté',
+    'presets.updated':       '{name} enregistré',
+    'presets.needName':      'Donnez un nom au prompt',
+    'presets.needPrompt':    'Écrivez ce que demande le prompt',
+    'presets.taken':         'Un prompt porte déjà ce nom',
+    'preset.hint':           'PTT · posez votre question',
+    'preset.analyzing':      'réflexion…',
+    'preset.fact':           'plus',
+    'preset.next':           'plus',
+
+    'category.technology':    'Technologie',
+    'category.kitchenware':   'Ustensile de cuisine',
+    'category.furniture':     'Meuble',
+    'category.lighting':      'Éclairage',
+    'category.clothing':      'Vêtement',
+    'category.food':          'Nourriture',
+    'category.drink':         'Boisson',
+    'category.plant':         'Plante',
+    'category.animal':        'Animal',
+    'category.vehicle':       'Véhicule',
+    'category.tool':          'Outil',
+    'category.toy':           'Jouet',
+    'category.book':          'Livre',
+    'category.art':           'Art',
+    'category.building':      'Bâtiment',
+    'category.sports':        'Sport',
+    'category.music':         'Musique',
+    'category.personal_care': 'Soin personnel',
+    'category.office':        'Bureau',
+    'category.other':         'Autre',
+
+    'lens.standard.label':     'Identifier',
+    'lens.standard.hint':      'centrez l’objet · PTT pour identifier',
+    'lens.standard.analyzing': 'enquête…',
+    'lens.standard.fact':      'anecdote',
+    'lens.standard.next':      'anecdote',
+    'lens.plant.label':        'Plantes',
+    'lens.plant.hint':         'centrez la plante · PTT pour identifier',
+    'lens.plant.analyzing':    'enquête…',
+    'lens.plant.fact':         'conseil d’entretien',
+    'lens.plant.next':         'entretien',
+    'lens.food.label':         'Calories',
+    'lens.food.hint':          'centrez l’assiette · PTT pour estimer',
+    'lens.food.analyzing':     'calcul…',
+    'lens.food.fact':          'nutrition',
+    'lens.food.next':          'nutrition',
+    'lens.landmark.label':     'Monument',
+    'lens.landmark.hint':      'cadrez le lieu · PTT pour identifier',
+    'lens.landmark.analyzing': 'enquête…',
+    'lens.landmark.fact':      'histoire',
+    'lens.landmark.next':      'histoire',
+    'lens.translate.label':    'Traduire',
+    'lens.translate.hint':     'cadrez le texte · PTT pour traduire',
+    'lens.translate.analyzing': 'lecture…',
+    'lens.translate.fact':     'texte original',
+    'lens.translate.next':     'original',
+    'lens.product.label':      'Produit',
+    'lens.product.hint':       'centrez le produit · PTT pour rechercher',
+    'lens.product.analyzing':  'enquête…',
+    'lens.product.fact':       'prix habituel',
+    'lens.product.next':       'prix',
+    'lens.multi.label':        'Tout ce qui est visible',
+    'lens.multi.hint':         'cadrez la scène · PTT pour lister',
+    'lens.multi.analyzing':    'recherche d’objets…',
+    'lens.multi.fact':         'anecdote',
+    'lens.multi.next':         'anecdote',
+    'lens.compare.label':      'Comparer',
+    'lens.compare.hint':       'PTT · capturez le premier objet',
+    'lens.compare.analyzing':  'comparaison…',
+    'lens.hotdog.label':       'Mode Hot-Dog',
+  },
+
+  de: {
+    'toggle.on':             'AN',
+    'toggle.off':            'AUS',
+    'nav.back':              'Zurück',
+    'nav.close':             'Schließen',
+    'nav.history':           'Verlauf',
+    'nav.settings':          'Einstellungen',
+    'nav.outbox':            'Postausgang',
+    'nav.share':             'Teilen',
+    'analyzing.cancel':      'lange drücken · abbrechen',
+    'camera.auto':           'AUTO',
+    'camera.rear':           'Rückseite',
+    'camera.front':          'Vorderseite',
+    'camera.device':         'Kamera {n}',
+    'camera.saved':          'Gespeicherte Kamera',
+
+    'toast.noResponse':      'Keine Antwort — neuer Versuch ({attempt}/{max})',
+    'toast.sendFailed':      'Senden fehlgeschlagen — neuer Versuch ({attempt}/{max})',
+    'toast.cancelled':       'Scan abgebrochen',
+    'toast.cameraNotReady':  'Kamera nicht bereit — bitte erneut versuchen',
+    'toast.sendAnyway':      '{problem} — erneut PTT, um trotzdem zu senden',
+    'toast.queuedDone':      '{icon} Wartender Scan: {name} — im Verlauf',
+    'toast.noSpeech':        'Keine Sprachausgabe auf diesem Gerät — Ergebnisse nur auf dem Bildschirm',
+    'share.saved':           'Karte gespeichert',
+    'share.journal':         'Karte ins Journal gesendet',
+    'share.failed':          'Karte konnte nicht erstellt werden',
+    'frame.dark':            'Zu dunkel',
+    'frame.bright':          'Zu hell',
+    'frame.blank':           'Nichts im Bild',
+    'frame.blurry':          'Unscharf, ruhig halten',
+
+    'result.unknown':        'Unbekannt',
+    'result.objects.one':    '{count} Objekt',
+    'result.objects.other':  '{count} Objekte',
+    'result.back':           '↓ zurück zur Kamera',
+    'result.followUp':       '↓ Rückfragen',
+    'result.confidence':     '{pct} % sicher',
+    'alt.title':             'andere Möglichkeiten',
+    'alt.pick':              'PTT · stattdessen diese beschreiben',
+    'result.askHint':        '↓ zurück · PTT halten zum Fragen',
+    'hotdog.yes':            'HOTDOG',
+    'hotdog.no':             'KEIN HOTDOG',
+    'hotdog.classifying':    'wird eingeordnet…',
+    'hotdog.hint':           'PTT zum Einordnen',
+    'hotdog.back':           'lange drücken · neuer Scan',
+
+    'retry.noAnswer':        'keine Antwort',
+    'retry.unreadable':      'nicht lesbar',
+    'retry.hint':            'PTT wiederholen · lange drücken · neuer Scan',
+    'retry.hintNewScan':     'lange drücken · neuer Scan',
+    'retry.queued':          'Im Postausgang gespeichert, um es später erneut zu senden.',
+    'nocam.title':           'Kamera nicht verfügbar',
+    'nocam.denied':          'Der Kamerazugriff wurde verweigert. Erlaube ihn für sleuth und drücke dann PTT.',
+    'nocam.missing':         'Keine Kamera gefunden.',
+    'nocam.lost':            'Die Kamera liefert keine Bilder mehr.',
+    'nocam.failed':          'Die Kamera konnte nicht geöffnet werden.',
+    'nocam.starting':        'Kamera wird geöffnet…',
+    'nocam.hint':            'PTT erneut · lang drücken · Einstellungen',
+    'compare.hintB':         'PTT · B aufnehmen · PTT halten · Zweck sagen',
+    'compare.need':          'für: {need}',
+    'compare.missed':        'Nicht verstanden — PTT halten und den Zweck sagen',
+    'compare.drop':          'A verwerfen',
+    'compare.versus':        '{a} vs. {b}',
+    'compare.differences':   'Unterschiede',
+    'compare.pros':          'Stärken',
+    'compare.best':          'passt am besten',
+    'compare.either':        'Beide',
+    'failure.unparseable':   'Die Antwort hatte kein Format, das sleuth versteht.',
+    'failure.missing':       'In der Antwort fehlte: {field}.',
+    'failure.type':          'Die Antwort hatte den falschen Typ für: {field}.',
+    'failure.empty':         'Die Antwort ließ leer: {field}.',
+    'failure.enum':          'Die Antwort gab keinen eindeutigen Wert für: {field}.',
+    'failure.timeout':       'Das R1 hat nicht rechtzeitig geantwortet.',
+    'failure.post-error':    'Die Anfrage konnte nicht an das R1 gesendet werden.',
+    'field.name':            'Name',
+    'field.category':        'Kategorie',
+    'field.description':     'Beschreibung',
+    'field.fun_fact':        'Wissenswertes',
+    'field.objects':         'Objekte',
+    'field.result':          'Ergebnis',
+    'field.reason':          'Begründung',
+    'field.name_a':          'Namen für A',
+    'field.name_b':          'Namen für B',
+    'field.differences':     'Unterschiede',
+
+    'qa.listening':          '🎙 hört zu…',
+    'qa.missed':             'Nicht verstanden — PTT halten zum Fragen',
+    'qa.thinking':           'denkt nach…',
+    'qa.next':               '↓ nächste Antwort',
+    'qa.noAnswer':           'Keine Antwort — PTT halten, um erneut zu fragen.',
+    'qa.unreadable':         'Antwort nicht lesbar — PTT halten, um erneut zu fragen.',
+
+    'history.title':         'Verlauf',
+    'history.empty':         'noch keine Scans',
+    'history.hint':          'scrollen · PTT zum Öffnen',
+    'time.now':              'gerade eben',
+    'time.minutes':          'vor {count} Min.',
+    'time.hours':            'vor {count} Std.',
+    'outbox.title':          'Postausgang',
+    'outbox.empty':          'nichts wartet',
+    'outbox.hint':           'scrollen · PTT senden · ✕ verwerfen',
+    'outbox.pending':        'wartet',
+    'outbox.sending':        'wird gesendet…',
+    'outbox.failed':         'fehlgeschlagen',
+    'outbox.resend':         'Erneut senden',
+    'outbox.discard':        'Verwerfen',
+    'outbox.saveFailed':     'Warteschlange nicht gespeichert — sie geht verloren, wenn sleuth schließt',
+
+    'settings.title':        'Einstellungen',
+    'settings.voice':        'R1-Sprachausgabe',
+    'settings.auto':         'Automatisch erkennen',
+    'settings.journal':      'Ins Journal teilen',
+    'settings.crop':         'Auf Zielrahmen zuschneiden',
+    'settings.imageSize':    'Bildgröße',
+    'settings.imageSizeFull': 'original',
+    'settings.camera':       'Kamera',
+    'settings.resolution':   'Auflösung',
+    'settings.retries':      'Automatisch wiederholen',
+    'settings.language':     'Sprache',
+    'settings.diagnostics':  'Diagnose',
+    'diag.title':            'Diagnose',
+    'diag.level':            'Stufenfilter',
+    'diag.levelAll':         'alle',
+    'diag.empty':            'Protokoll ist leer',
+    'diag.hint':             'Rad · PTT exportieren · lang drücken zurück',
+    'diag.on':               'Diagnose an',
+    'diag.off':              'Diagnose aus',
+    'diag.saved':            'Protokoll gespeichert',
+    'diag.copied':           'Protokoll kopiert',
+    'diag.savedCopied':      'Protokoll gespeichert · kopiert',
+    'diag.exportFailed':     'Protokoll konnte nicht exportiert werden',
+    'settings.view':         'ANSEHEN',
+    'settings.lens':         'Modus',
+    'settings.wheel':        'Rad in der Kamera',
+    'settings.wheelZoom':    'Zoom',
+    'settings.wheelLens':    'Modus',
+    'settings.presets':      'Gespeicherte Prompts',
+    'settings.transfer':     'Import · Export',
+    'settings.backup':       'Alle Einstellungen',
+    'transfer.import':       'IMPORT',
+    'transfer.export':       'EXPORT',
+    'transfer.paste':        'Zuerst JSON in das Feld einfügen',
+    'backup.invalid':        'Das ist kein sleuth-Einstellungsexport',
+    'backup.newer':          'Von einem neueren sleuth exportiert — bitte zuerst aktualisieren',
+    'backup.imported.one':   '{count} Einstellung geändert',
+    'backup.imported.other': '{count} Einstellungen geändert',
+    'backup.exported':       'Einstellungen zum Kopieren bereit',
+    'backup.copied':         'Einstellungen kopiert',
+    'presets.invalid':       'Das ist kein gültiger Prompt',
+    'presets.full':          'Liste voll — höchstens {max}',
+    'presets.none':          'Noch keine Prompts zum Exportieren',
+    'presets.imported.one':  '{count} Prompt importiert',
+    'presets.imported.other': '{count} Prompts importiert',
+    'presets.skipped.one':   '{count} übersprungen',
+    'presets.skipped.other': '{count} übersprungen',
+    'presets.exported':      'Prompts zum Kopieren bereit',
+    'presets.copied':        'Prompts kopiert',
+    'presets.delete':        'Prompt löschen',
+    'presets.edit':          'Prompt bearbeiten',
+    'presets.name':          'Name des Prompts',
+    'presets.prompt':        'Was zum Foto gefragt wird',
+    'presets.new':           'Neuer Prompt',
+    'presets.editing':       '{name} bearbeiten',
+    'presets.save':          'SPEICHERN',
+    'presets.clear':         'NEU',
+    'presets.added':         '{name} hinzugefügt',
+    'presets.updated':       '{name} gespeichert',
+    'presets.needName':      'Gib dem Prompt einen Namen',
+    'presets.needPrompt':    'Schreib, was der Prompt fragt',
+    'presets.taken':         'Ein Prompt mit diesem Namen existiert',
+    'preset.hint':           'PTT · Prompt stellen',
+    'preset.analyzing':      'denkt nach…',
+    'preset.fact':           'mehr',
+    'preset.next':           'mehr',
+
+    'category.technology':    'Technik',
+    'category.kitchenware':   'Küchenutensil',
+    'category.furniture':     'Möbel',
+    'category.lighting':      'Beleuchtung',
+    'category.clothing':      'Kleidung',
+    'category.food':          'Essen',
+    'category.drink':         'Getränk',
+    'category.plant':         'Pflanze',
+    'category.animal':        'Tier',
+    'category.vehicle':       'Fahrzeug',
+    'category.tool':          'Werkzeug',
+    'category.toy':           'Spielzeug',
+    'category.book':          'Buch',
+    'category.art':           'Kunst',
+    'category.building':      'Gebäude',
+    'category.sports':        'Sport',
+    'category.music':         'Musik',
+    'category.personal_care': 'Körperpflege',
+    'category.office':        'Büro',
+    'category.other':         'Sonstiges',
+
+    'lens.standard.label':     'Erkennen',
+    'lens.standard.hint':      'Objekt mittig · PTT zum Erkennen',
+    'lens.standard.analyzing': 'ermittelt…',
+    'lens.standard.fact':      'Wissenswertes',
+    'lens.standard.next':      'Wissenswertes',
+    'lens.plant.label':        'Pflanzenbestimmung',
+    'lens.plant.hint':         'Pflanze mittig · PTT zum Bestimmen',
+    'lens.plant.analyzing':    'ermittelt…',
+    'lens.plant.fact':         'Pflegetipp',
+    'lens.plant.next':         'Pflegetipp',
+    'lens.food.label':         'Kalorienschätzung',
+    'lens.food.hint':          'Teller mittig · PTT zum Schätzen',
+    'lens.food.analyzing':     'rechnet…',
+    'lens.food.fact':          'Nährwerte',
+    'lens.food.next':          'Nährwerte',
+    'lens.landmark.label':     'Sehenswürdigkeit',
+    'lens.landmark.hint':      'Ort einrahmen · PTT zum Erkennen',
+    'lens.landmark.analyzing': 'ermittelt…',
+    'lens.landmark.fact':      'Geschichte',
+    'lens.landmark.next':      'Geschichte',
+    'lens.translate.label':    'Übersetzen',
+    'lens.translate.hint':     'Text einrahmen · PTT zum Übersetzen',
+    'lens.translate.analyzing': 'liest…',
+    'lens.translate.fact':     'Originaltext',
+    'lens.translate.next':     'Original',
+    'lens.product.label':      'Produktsuche',
+    'lens.product.hint':       'Produkt mittig · PTT zum Nachschlagen',
+    'lens.product.analyzing':  'ermittelt…',
+    'lens.product.fact':       'üblicher Preis',
+    'lens.product.next':       'Preis',
+    'lens.multi.label':        'Alles im Bild',
+    'lens.multi.hint':         'Szene einrahmen · PTT zum Auflisten',
+    'lens.multi.analyzing':    'sucht Objekte…',
+    'lens.multi.fact':         'Wissenswertes',
+    'lens.multi.next':         'Wissenswertes',
+    'lens.compare.label':      'Vergleichen',
+    'lens.compare.hint':       'PTT · erstes Objekt aufnehmen',
+    'lens.compare.analyzing':  'vergleicht…',
+    'lens.hotdog.label':       'Hotdog-Modus',
+  },
+
+  ar: {
+    'toggle.on':             'تشغيل',
+    'toggle.off':            'إيقاف',
+    'nav.back':              'رجوع',
+    'nav.close':             'إغلاق',
+    'nav.history':           'السجل',
+    'nav.settings':          'الإعدادات',
+    'nav.outbox':            'صندوق الصادر',
+    'nav.share':             'مشاركة',
+    'analyzing.cancel':      'ضغطة مطوّلة · إلغاء',
+    'camera.auto':           'تلقائي',
+    'camera.rear':           'الخلفية',
+    'camera.front':          'الأمامية',
+    'camera.device':         'الكاميرا {n}',
+    'camera.saved':          'الكاميرا المحفوظة',
+
+    'toast.noResponse':      'لا يوجد رد — إعادة المحاولة ({attempt}/{max})',
+    'toast.sendFailed':      'فشل الإرسال — إعادة المحاولة ({attempt}/{max})',
+    'toast.cancelled':       'أُلغي المسح',
+    'toast.cameraNotReady':  'الكاميرا غير جاهزة — حاول مرة أخرى',
+    'toast.sendAnyway':      '{problem} — اضغط PTT مجددًا للإرسال على أي حال',
+    'toast.queuedDone':      '{icon} مسح منتظر: {name} — في السجل',
+    'toast.noSpeech':        'لا يوجد نطق على هذا الجهاز — تظهر النتائج على الشاشة فقط',
+    'share.saved':           'تم حفظ البطاقة',
+    'share.journal':         'أُرسلت البطاقة إلى يومياتك',
+    'share.failed':          'تعذّر إنشاء البطاقة',
+    'frame.dark':            'مظلمة جدًا',
+    'frame.bright':          'ساطعة جدًا',
+    'frame.blank':           'لا شيء في الإطار',
+    'frame.blurry':          'ضبابية، ثبّت الجهاز',
+
+    'result.unknown':        'غير معروف',
+    'result.objects.one':    '{count} عنصر',
+    'result.objects.other':  '{count} عناصر',
+    'result.back':           '↓ العودة إلى الكاميرا',
+    'result.followUp':       '↓ أسئلة المتابعة',
+    'result.confidence':     'متأكد بنسبة {pct}٪',
+    'alt.title':             'احتمالات أخرى',
+    'alt.pick':              'PTT · صِف هذا بدلًا منه',
+    'result.askHint':        '↓ رجوع · اضغط مطولًا على PTT للسؤال',
+    'hotdog.yes':            'هوت دوغ',
+    'hotdog.no':             'ليس هوت دوغ',
+    'hotdog.classifying':    'جارٍ التصنيف…',
+    'hotdog.hint':           'PTT للتصنيف',
+    'hotdog.back':           'ضغطة مطوّلة · مسح جديد',
+
+    'retry.noAnswer':        'لا يوجد رد',
+    'retry.unreadable':      'تعذّرت القراءة',
+    'retry.hint':            'PTT إعادة · ضغطة مطوّلة · مسح جديد',
+    'retry.hintNewScan':     'ضغطة مطوّلة · مسح جديد',
+    'retry.queued':          'حُفظ في صندوق الصادر لإعادة إرساله لاحقًا.',
+    'nocam.title':           'الكاميرا غير متاحة',
+    'nocam.denied':          'تم رفض الوصول إلى الكاميرا. اسمح به لـ sleuth ثم اضغط PTT.',
+    'nocam.missing':         'لم يتم العثور على كاميرا.',
+    'nocam.lost':            'توقفت الكاميرا عن إرسال الصور.',
+    'nocam.failed':          'تعذّر فتح الكاميرا.',
+    'nocam.starting':        'جارٍ فتح الكاميرا…',
+    'nocam.hint':            'PTT إعادة · ضغط مطوّل · الإعدادات',
+    'compare.hintB':         'PTT · التقط B · اضغط مطولًا · قل الغرض',
+    'compare.need':          'من أجل: {need}',
+    'compare.missed':        'لم أفهم — اضغط مطولًا على PTT وقل الغرض',
+    'compare.drop':          'تجاهل A',
+    'compare.versus':        '{a} مقابل {b}',
+    'compare.differences':   'الفروق',
+    'compare.pros':          'نقاط القوة',
+    'compare.best':          'الأنسب',
+    'compare.either':        'أيٌّ منهما',
+    'failure.unparseable':   'لم يكن الرد بصيغة يفهمها sleuth.',
+    'failure.missing':       'كان الرد ينقصه: {field}.',
+    'failure.type':          'كان نوع القيمة خاطئًا في: {field}.',
+    'failure.empty':         'ترك الرد هذا الحقل فارغًا: {field}.',
+    'failure.enum':          'لم يقدّم الرد قيمة واضحة لـ: {field}.',
+    'failure.timeout':       'لم يرد R1 في الوقت المحدد.',
+    'failure.post-error':    'تعذّر إرسال الطلب إلى R1.',
+    'field.name':            'الاسم',
+    'field.category':        'الفئة',
+    'field.description':     'الوصف',
+    'field.fun_fact':        'معلومة طريفة',
+    'field.objects':         'العناصر',
+    'field.result':          'النتيجة',
+    'field.reason':          'السبب',
+    'field.name_a':          'اسم A',
+    'field.name_b':          'اسم B',
+    'field.differences':     'الفروق',
+
+    'qa.listening':          '🎙 جارٍ الاستماع…',
+    'qa.missed':             'لم أفهم — اضغط مطولًا على PTT للسؤال',
+    'qa.thinking':           'جارٍ التفكير…',
+    'qa.next':               '↓ الإجابة التالية',
+    'qa.noAnswer':           'لا يوجد رد — اضغط مطولًا على PTT للسؤال مجددًا.',
+    'qa.unreadable':         'تعذّرت قراءة الإجابة — اضغط مطولًا على PTT للسؤال مجددًا.',
+
+    'history.title':         'السجل',
+    'history.empty':         'لا توجد عمليات مسح بعد',
+    'history.hint':          'مرّر · PTT للفتح',
+    'time.now':              'الآن',
+    'time.minutes':          'قبل {count} د',
+    'time.hours':            'قبل {count} س',
+    'outbox.title':          'الصادر',
+    'outbox.empty':          'لا شيء في الانتظار',
+    'outbox.hint':           'مرّر · PTT إعادة إرسال · ✕ حذف',
+    'outbox.pending':        'في الانتظار',
+    'outbox.sending':        'جارٍ الإرسال…',
+    'outbox.failed':         'فشل',
+    'outbox.resend':         'إعادة إرسال',
+    'outbox.discard':        'حذف',
+    'outbox.saveFailed':     'تعذر حفظ قائمة الانتظار — ستضيع إذا أُغلق sleuth',
+
+    'settings.title':        'الإعدادات',
+    'settings.voice':        'الرد الصوتي من R1',
+    'settings.auto':         'تعرّف تلقائي',
+    'settings.journal':      'المشاركة في اليوميات',
+    'settings.crop':         'القص إلى الإطار',
+    'settings.imageSize':    'حجم الصورة',
+    'settings.imageSizeFull': 'كامل',
+    'settings.camera':       'الكاميرا',
+    'settings.resolution':   'الدقة',
+    'settings.retries':      'إعادة المحاولة تلقائيًا',
+    'settings.language':     'اللغة',
+    'settings.diagnostics':  'التشخيص',
+    'diag.title':            'التشخيص',
+    'diag.level':            'تصفية المستوى',
+    'diag.levelAll':         'الكل',
+    'diag.empty':            'السجل فارغ',
+    'diag.hint':             'العجلة · PTT تصدير · ضغطة طويلة للرجوع',
+    'diag.on':               'التشخيص مفعّل',
+    'diag.off':              'التشخيص متوقف',
+    'diag.saved':            'حُفظ السجل',
+    'diag.copied':           'نُسخ السجل',
+    'diag.savedCopied':      'حُفظ السجل · نُسخ',
+    'diag.exportFailed':     'تعذر تصدير السجل',
+    'settings.view':         'عرض',
+    'settings.lens':         'العدسة',
+    'settings.wheel':        'العجلة في الكاميرا',
+    'settings.wheelZoom':    'تكبير',
+    'settings.wheelLens':    'العدسة',
+    'settings.presets':      'الأوامر المحفوظة',
+    'settings.transfer':     'استيراد · تصدير',
+    'settings.backup':       'كل الإعدادات',
+    'transfer.import':       'استيراد',
+    'transfer.export':       'تصدير',
+    'transfer.paste':        'الصق JSON في المربع أولًا',
+    'backup.invalid':        'هذا ليس تصديرًا لإعدادات sleuth',
+    'backup.newer':          'تم التصدير من إصدار أحدث من sleuth — حدّث التطبيق أولًا',
+    'backup.imported.one':   'تم تغيير {count} إعداد',
+    'backup.imported.other': 'تم تغيير {count} إعدادات',
+    'backup.exported':       'الإعدادات جاهزة للنسخ',
+    'backup.copied':         'تم نسخ الإعدادات',
+    'presets.invalid':       'هذا ليس أمرًا صالحًا',
+    'presets.full':          'القائمة ممتلئة — الحد الأقصى {max}',
+    'presets.none':          'لا توجد أوامر للتصدير بعد',
+    'presets.imported.one':  'تم استيراد {count} أمر',
+    'presets.imported.other': 'تم استيراد {count} أوامر',
+    'presets.skipped.one':   'تم تخطي {count}',
+    'presets.skipped.other': 'تم تخطي {count}',
+    'presets.exported':      'الأوامر جاهزة للنسخ',
+    'presets.copied':        'تم نسخ الأوامر',
+    'presets.delete':        'حذف الأمر',
+    'presets.edit':          'تعديل الأمر',
+    'presets.name':          'اسم الأمر',
+    'presets.prompt':        'ما الذي يُسأل عن الصورة',
+    'presets.new':           'أمر جديد',
+    'presets.editing':       'تعديل {name}',
+    'presets.save':          'حفظ',
+    'presets.clear':         'جديد',
+    'presets.added':         'أُضيف {name}',
+    'presets.updated':       'حُفظ {name}',
+    'presets.needName':      'أعطِ الأمر اسمًا',
+    'presets.needPrompt':    'اكتب ما يسأله الأمر',
+    'presets.taken':         'يوجد أمر بهذا الاسم',
+    'preset.hint':           'PTT · اطرح سؤالك',
+    'preset.analyzing':      'جارٍ التفكير…',
+    'preset.fact':           'المزيد',
+    'preset.next':           'المزيد',
+
+    'category.technology':    'تقنية',
+    'category.kitchenware':   'أدوات مطبخ',
+    'category.furniture':     'أثاث',
+    'category.lighting':      'إضاءة',
+    'category.clothing':      'ملابس',
+    'category.food':          'طعام',
+    'category.drink':         'مشروب',
+    'category.plant':         'نبات',
+    'category.animal':        'حيوان',
+    'category.vehicle':       'مركبة',
+    'category.tool':          'أداة',
+    'category.toy':           'لعبة',
+    'category.book':          'كتاب',
+    'category.art':           'فن',
+    'category.building':      'مبنى',
+    'category.sports':        'رياضة',
+    'category.music':         'موسيقى',
+    'category.personal_care': 'عناية شخصية',
+    'category.office':        'مكتب',
+    'category.other':         'أخرى',
+
+    'lens.standard.label':     'تعرّف',
+    'lens.standard.hint':      'ضع الشيء في المنتصف · PTT للتعرّف',
+    'lens.standard.analyzing': 'جارٍ البحث…',
+    'lens.standard.fact':      'معلومة طريفة',
+    'lens.standard.next':      'معلومة طريفة',
+    'lens.plant.label':        'تعرّف النباتات',
+    'lens.plant.hint':         'ضع النبات في المنتصف · PTT للتعرّف',
+    'lens.plant.analyzing':    'جارٍ البحث…',
+    'lens.plant.fact':         'نصيحة للعناية',
+    'lens.plant.next':         'العناية',
+    'lens.food.label':         'السعرات الحرارية',
+    'lens.food.hint':          'ضع الطبق في المنتصف · PTT للتقدير',
+    'lens.food.analyzing':     'جارٍ الحساب…',
+    'lens.food.fact':          'التغذية',
+    'lens.food.next':          'التغذية',
+    'lens.landmark.label':     'معلم',
+    'lens.landmark.hint':      'أطّر المكان · PTT للتعرّف',
+    'lens.landmark.analyzing': 'جارٍ البحث…',
+    'lens.landmark.fact':      'التاريخ',
+    'lens.landmark.next':      'التاريخ',
+    'lens.translate.label':    'ترجمة',
+    'lens.translate.hint':     'أطّر النص · PTT للترجمة',
+    'lens.translate.analyzing': 'جارٍ القراءة…',
+    'lens.translate.fact':     'النص الأصلي',
+    'lens.translate.next':     'الأصل',
+    'lens.product.label':      'البحث عن منتج',
+    'lens.product.hint':       'ضع المنتج في المنتصف · PTT للبحث',
+    'lens.product.analyzing':  'جارٍ البحث…',
+    'lens.product.fact':       'السعر المعتاد',
+    'lens.product.next':       'السعر',
+    'lens.multi.label':        'كل ما في الإطار',
+    'lens.multi.hint':         'أطّر المشهد · PTT للسرد',
+    'lens.multi.analyzing':    'جارٍ البحث عن العناصر…',
+    'lens.multi.fact':         'معلومة طريفة',
+    'lens.multi.next':         'معلومة طريفة',
+    'lens.compare.label':      'مقارنة',
+    'lens.compare.hint':       'PTT · التقط العنصر الأول',
+    'lens.compare.analyzing':  'جارٍ المقارنة…',
+    'lens.hotdog.label':       'وضع هوت دوغ',
+  },
+};
+
+// ═══════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════
+
+function languageInfo(code) {
+  return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/** Supported language for a BCP 47 tag ('es-MX' → 'es'), else the default. */
+function matchLanguage(tag) {
+  const code = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Message for `key` in `lang`, then English, then `fallback`,
+ * then the key itself; `{name}` placeholders come from `params`.
+ */
+function translate(lang, key, params, fallback) {
+  const catalog = MESSAGES[lang] || MESSAGES[DEFAULT_LANGUAGE];
+  let text = catalog[key];
+  if (text === undefined) text = MESSAGES[DEFAULT_LANGUAGE][key];
+  if (text === undefined) text = fallback !== undefined ? fallback : key;
+  if (!params) return text;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+/** Counted message: `<key>.one` for 1, `<key>.other` otherwise. */
+function translateCount(lang, key, count) {
+  return translate(lang, key + (count === 1 ? '.one' : '.other'), { count: count });
+}
+
+function categoryKey(value) {
+  return 'category.' + String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Localized label for a category from the fixed English vocabulary;
+ * anything off-list (older history, a model that ignored the list)
+ * is shown as it came.
+ */
+function translateCategory(lang, value) {
+  const key = categoryKey(value);
+  return key in MESSAGES[DEFAULT_LANGUAGE] ? translate(lang, key) : String(value || '');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    MESSAGES,
+    languageInfo,
+    matchLanguage,
+    translate,
+    translateCount,
+    categoryKey,
+    translateCategory,
+  };
+}
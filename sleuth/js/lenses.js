@@ -0,0 +1,603 @@
+/**
+ * sleuth — lenses
+ * Prompts and response schemas for every identification mode.
+ * Pure data plus small helpers: no DOM, safe to load under Node.
+ * Rendering is chosen by the app from `lens.kind`. User prompt
+ * presets become card lenses through presetLens().
+ */
+
+'use strict';
+
+const MULTI_MAX_OBJECTS = 8;   // objects kept from one multi-object reply
+const ALTERNATIVES_MAX  = 3;   // other guesses kept from a standard reply
+const COMPARE_MAX_POINTS = 4;  // differences, and pros per side, kept from a comparison
+const PRESETS_MAX       = 12;  // saved prompt presets
+const PRESET_NAME_MAX   = 32;
+const PRESET_PROMPT_MAX = 1500;
+
+/**
+ * Fixed English vocabulary for "category"; the app shows each one
+ * through its localized label (i18n.js), whatever language the rest
+ * of the answer is in.
+ */
+const CATEGORIES = [
+  'Technology', 'Kitchenware', 'Furniture', 'Lighting', 'Clothing', 'Food', 'Drink',
+  'Plant', 'Animal', 'Vehicle', 'Tool', 'Toy', 'Book', 'Art', 'Building', 'Sports',
+  'Music', 'Personal Care', 'Office', 'Other',
+];
+
+// ═══════════════════════════════════════════
+// PROMPTS
+// ═══════════════════════════════════════════
+
+const PROMPT_STANDARD = `Identify the primary object centered in this image. The surrounding context is useful for identification but focus your answer on the center subject.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name":"","category":"","description":"One to two sentences about what it is.","fun_fact":"One genuinely interesting fact about it.","confidence":0.0,"alternatives":[{"name":"","confidence":0.0}]}
+"category" is exactly one of: ${CATEGORIES.join(', ')}.
+"confidence" is how sure you are of "name", from 0 to 1. "alternatives" lists up to ${ALTERNATIVES_MAX} other things it could be, most likely first; leave it empty when you are sure.`;
+
+const PROMPT_HOTDOG = `Is there a hot dog in this image? A hot dog is specifically a cooked sausage served in a sliced bun.
+Respond with ONLY raw JSON — no markdown, no code fences:
+{"result":"HOT DOG" or "NOT HOT DOG","reason":"One short, blunt sentence in the deadpan style of Jian-Yang from Silicon Valley."}`;
+
+const PROMPT_PLANT = `Identify the plant, flower, tree or fungus centered in this image. Use the surrounding context as a clue but focus on the center subject.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name":"Common name","scientific_name":"Genus species","description":"One to two sentences about the plant and where it grows.","care_tip":"One practical care tip, or a safety warning if it is toxic."}`;
+
+const PROMPT_FOOD = `Identify the food or dish centered in this image and estimate the calories of the portion shown.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name":"","calories":0,"description":"One to two sentences about the dish and its main ingredients.","nutrition":"One short note on its nutrition (protein, sugar, fat)."}`;
+
+const PROMPT_LANDMARK = `Identify the landmark, building or place shown in this image.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name":"","location":"City, Country","description":"One to two sentences about what it is and why it matters.","fun_fact":"One genuinely interesting historical fact about it."}`;
+
+const PROMPT_TRANSLATE = `Transcribe all the readable text in this image (a sign, menu, label or page), keeping its line breaks. Detect its language and translate it to {language}.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"title":"What the text is, in two to four words (e.g. Exit sign, Café menu).","language":"Detected language","translation":"The full {language} translation, with the same line breaks.","original":"The text exactly as written."}
+If the text is already in {language}, repeat it as the translation.`;
+
+const PROMPT_PRODUCT = `Identify the retail product centered in this image, as specifically as possible (brand and model).
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name":"Product name","brand":"","description":"One to two sentences about what it is and who it is for.","price":"Typical retail price range in USD."}`;
+
+const PROMPT_MULTI = `List every distinct object visible in this image, most prominent first, at most ${MULTI_MAX_OBJECTS}.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"objects":[{"name":"","category":"","description":"One sentence about what it is.","fun_fact":"One short, genuinely interesting fact.","box":[x,y,width,height]}]}
+"box" is the approximate bounding box as fractions (0 to 1) of the image width and height, measured from the top-left corner.
+"category" is exactly one of: ${CATEGORIES.join(', ')}.`;
+
+const PROMPT_COMPARE = `Compare the two objects the user photographed: A is in the first image and B in the second, or A on the left half and B on the right half when they arrive as one image.
+Respond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:
+{"name_a":"","name_b":"","summary":"One sentence on what the two are and how they relate.","differences":["One key difference, naming which side is which."],"pros_a":["One strength of A."],"pros_b":["One strength of B."],"best":"A","best_reason":"One sentence on why it fits better."}
+List up to ${COMPARE_MAX_POINTS} differences and up to ${COMPARE_MAX_POINTS} strengths for each side.
+"best" is exactly "A", "B" or "either": whichever fits the user's stated need, or everyday use when none is given.`;
+
+// Appended when the answer language isn't English; {language} is its English name.
+const LANGUAGE_NOTE = 'Write every text value in {language}. Keep the JSON keys in English.';
+const LANGUAGE_NOTE_CATEGORY = 'Write every text value in {language}, except "category", which stays one of the English labels above. Keep the JSON keys in English.';
+
+// ═══════════════════════════════════════════
+// LENSES
+// A lens is one identification mode: its prompt,
+// the response fields it expects, which result
+// screen shows it (`kind`) and how the camera
+// overlay looks.
+// ═══════════════════════════════════════════
+
+/**
+ * Response schema shared by every card lens. A lens overrides
+ * per slot — usually just the JSON `keys` its prompt asks for.
+ */
+const CARD_SCHEMA = {
+  name:        { type: 'string', required: true, max: 80 },
+  category:    { type: 'string', max: 48 },
+  description: { type: 'string', required: true, max: 400 },
+  fun_fact:    { type: 'string', max: 400 },
+};
+
+/**
+ * Card lenses render through the standard result screen.
+ * `fields` is the lens response schema: each card slot lists the
+ * JSON keys that may fill it, in order of preference, and may
+ * override type / required / max or add a display `format`. Slots
+ * beyond the card's own (confidence, alternatives) are kept as given.
+ */
+function cardLens(def) {
+  const fields = {};
+  Object.keys(Object.assign({}, CARD_SCHEMA, def.fields)).forEach((slot) => {
+    fields[slot] = Object.assign({}, CARD_SCHEMA[slot], (def.fields || {})[slot]);
+  });
+  return Object.assign({
+    kind:        'card',
+    unlockedBy:  null,                 // settings flag that must be true to list the lens
+    screens:     { analyzing: 'analyzing', result: 'result' },
+    layout:      'card',               // 'text': unclamped, scrollable pages for transcripts
+    overlay:     null,                 // null → standard #s-camera overlay
+    labels:      { fact: 'fun fact', factIcon: '💡', next: 'fun fact' },
+    analyzing:   'sleuthing…',
+    langNote:    LANGUAGE_NOTE,        // which values to write in a non-English answer
+    categories:  false,                // category slot holds a CATEGORIES entry to localize
+    fromText:    null,                 // plain-text recovery; cards need JSON
+    toHistory:   display => display,
+    fromHistory: entry => entry,
+  }, def, { fields: fields });
+}
+
+const STANDARD_FIELDS = {
+  name:        { keys: ['name', 'object', 'item', 'title'] },
+  category:    { keys: ['category', 'type'] },
+  description: { keys: ['description', 'summary', 'details', 'reason', 'result'] },
+  fun_fact:    { keys: ['fun_fact', 'fact', 'trivia'] },
+};
+
+/** The standard lens also rates its answer and ranks what else it could be. */
+const CONFIDENCE_FIELD = { keys: ['confidence', 'certainty', 'probability'], type: 'confidence' };
+
+const RANKED_FIELDS = {
+  confidence:   CONFIDENCE_FIELD,
+  alternatives: {
+    keys: ['alternatives', 'other_possibilities', 'alternates'],
+    type: 'list',
+    max: ALTERNATIVES_MAX,
+    scalar: 'name',
+    item: {
+      name:       Object.assign({}, CARD_SCHEMA.name, STANDARD_FIELDS.name, { max: 48 }),
+      confidence: CONFIDENCE_FIELD,
+    },
+  },
+};
+
+/** One entry of the multi-object lens's `objects` list. */
+const MULTI_ITEM_FIELDS = {
+  name:        Object.assign({}, CARD_SCHEMA.name, STANDARD_FIELDS.name, { max: 48 }),
+  category:    Object.assign({}, CARD_SCHEMA.category, STANDARD_FIELDS.category),
+  description: Object.assign({}, CARD_SCHEMA.description, STANDARD_FIELDS.description, { max: 240 }),
+  fun_fact:    Object.assign({}, CARD_SCHEMA.fun_fact, STANDARD_FIELDS.fun_fact, { max: 240 }),
+  box:         { keys: ['box', 'bbox', 'bounding_box'], type: 'box' },
+};
+
+/** One difference or strength in a comparison; bare strings fill `text`. */
+const COMPARE_POINT_FIELDS = {
+  text: { keys: ['text', 'point', 'description'], type: 'string', required: true, max: 160 },
+};
+
+const COMPARE_FIELDS = {
+  name_a:      { keys: ['name_a', 'a_name', 'first'], type: 'string', required: true, max: 48 },
+  name_b:      { keys: ['name_b', 'b_name', 'second'], type: 'string', required: true, max: 48 },
+  summary:     { keys: ['summary', 'description'], type: 'string', max: 240 },
+  differences: { keys: ['differences', 'diffs'], type: 'list', required: true, max: COMPARE_MAX_POINTS, scalar: 'text', item: COMPARE_POINT_FIELDS },
+  pros_a:      { keys: ['pros_a', 'a_pros'], type: 'list', max: COMPARE_MAX_POINTS, scalar: 'text', item: COMPARE_POINT_FIELDS },
+  pros_b:      { keys: ['pros_b', 'b_pros'], type: 'list', max: COMPARE_MAX_POINTS, scalar: 'text', item: COMPARE_POINT_FIELDS },
+  best:        { keys: ['best', 'best_fit', 'winner'], type: 'string', oneOf: ['EITHER', 'A', 'B'], leading: true },
+  best_reason: { keys: ['best_reason', 'reason', 'verdict'], type: 'string', max: 240 },
+};
+
+const LENSES = {
+  standard: cardLens({
+    id:     'standard',
+    label:  'Identify',
+    icon:   '🔍',
+    prompt: PROMPT_STANDARD,
+    hint:   'center object · PTT to identify',
+    fields: Object.assign({}, STANDARD_FIELDS, RANKED_FIELDS),
+    langNote: LANGUAGE_NOTE_CATEGORY,
+    categories: true,
+    mock:   '{"name":"Mechanical Keyboard","category":"Technology","description":"A mechanical keyboard uses individual switches beneath each key for tactile feedback. Popular among programmers and gamers.","fun_fact":"The first computer keyboard was derived from the typewriter, which itself was invented in 1868.","confidence":0.9,"alternatives":[{"name":"Membrane Keyboard","confidence":0.07}]}',
+  }),
+
+  plant: cardLens({
+    id:     'plant',
+    label:  'Plant ID',
+    icon:   '🌱',
+    prompt: PROMPT_PLANT,
+    hint:   'center plant · PTT to identify',
+    labels: { fact: 'care tip', factIcon: '🌱', next: 'care tip' },
+    langNote: 'Write every text value except "scientific_name" in {language}. Keep the JSON keys in English.',
+    fields: {
+      name:        { keys: ['name', 'common_name'] },
+      category:    { keys: ['scientific_name', 'species', 'category'] },
+      description: { keys: ['description', 'summary'] },
+      fun_fact:    { keys: ['care_tip', 'care', 'fun_fact'] },
+    },
+    mock:   '{"name":"Swiss Cheese Plant","scientific_name":"Monstera deliciosa","description":"A tropical climbing plant from Central America, famous for its split, hole-filled leaves.","care_tip":"Water when the top few centimetres of soil are dry; the leaves are mildly toxic to pets."}',
+  }),
+
+  food: cardLens({
+    id:     'food',
+    label:  'Food Calories',
+    icon:   '🍽',
+    prompt: PROMPT_FOOD,
+    hint:   'center plate · PTT to estimate',
+    analyzing: 'counting…',
+    labels: { fact: 'nutrition', factIcon: '🥗', next: 'nutrition' },
+    fields: {
+      name:        { keys: ['name', 'dish'] },
+      category:    { keys: ['calories', 'kcal'], type: 'number', format: v => '~' + Math.round(v) + ' kcal' },
+      description: { keys: ['description', 'summary'] },
+      fun_fact:    { keys: ['nutrition', 'fun_fact'] },
+    },
+    mock:   '{"name":"Margherita Pizza","calories":850,"description":"A Neapolitan pizza topped with tomato, mozzarella and fresh basil.","nutrition":"Roughly 35 g of protein, mostly from the cheese, and high in refined carbohydrates."}',
+  }),
+
+  landmark: cardLens({
+    id:     'landmark',
+    label:  'Landmark',
+    icon:   '🏛',
+    prompt: PROMPT_LANDMARK,
+    hint:   'frame the place · PTT to identify',
+    labels: { fact: 'history', factIcon: '📜', next: 'history' },
+    fields: {
+      name:        { keys: ['name', 'landmark'] },
+      category:    { keys: ['location', 'city', 'category'] },
+      description: { keys: ['description', 'summary'] },
+      fun_fact:    { keys: ['fun_fact', 'history', 'fact'] },
+    },
+    mock:   '{"name":"Golden Gate Bridge","location":"San Francisco, USA","description":"A suspension bridge spanning the Golden Gate strait, opened in 1937.","fun_fact":"Its International Orange colour was originally only meant to be a primer."}',
+  }),
+
+  translate: cardLens({
+    id:     'translate',
+    label:  'Translate',
+    icon:   '🔤',
+    prompt: PROMPT_TRANSLATE,
+    hint:   'frame the text · PTT to translate',
+    analyzing: 'reading…',
+    layout: 'text',
+    labels: { fact: 'original text', factIcon: '📝', next: 'original' },
+    langNote: 'Write "title" and "language" in {language} too. Keep "original" exactly as written and the JSON keys in English.',
+    // Page 1 is the translation, page 2 the transcript; a reply
+    // without a title is headed by the start of its translation
+    fields: {
+      name:        { keys: ['title', 'subject', 'translation', 'text'], max: 60 },
+      category:    { keys: ['language', 'source_language', 'detected_language'] },
+      description: { keys: ['translation', 'translated_text', 'text'], max: 2000, join: '\n' },
+      fun_fact:    { keys: ['original', 'original_text', 'transcript'], required: true, max: 2000, join: '\n' },
+    },
+    mock:   '{"title":"Café menu","language":"Spanish","translation":"Coffee — 1.50\\nToast with tomato — 3.00\\nFresh orange juice — 2.80","original":"Café — 1,50\\nTostada con tomate — 3,00\\nZumo de naranja natural — 2,80"}',
+  }),
+
+  product: cardLens({
+    id:     'product',
+    label:  'Product Lookup',
+    icon:   '🏷',
+    prompt: PROMPT_PRODUCT,
+    hint:   'center product · PTT to look up',
+    labels: { fact: 'typical price', factIcon: '💲', next: 'price' },
+    fields: {
+      name:        { keys: ['name', 'product'] },
+      category:    { keys: ['brand', 'manufacturer', 'category'] },
+      description: { keys: ['description', 'summary'] },
+      fun_fact:    { keys: ['price', 'price_range'] },
+    },
+    mock:   '{"name":"AirPods Pro (2nd generation)","brand":"Apple","description":"Wireless noise-cancelling earbuds with a MagSafe charging case.","price":"$189 – $249"}',
+  }),
+
+  multi: {
+    id:          'multi',
+    kind:        'multi',
+    label:       'Everything in View',
+    icon:        '🗂',
+    unlockedBy:  null,
+    prompt:      PROMPT_MULTI,
+    hint:        'frame the scene · PTT to list',
+    analyzing:   'finding objects…',
+    screens:     { analyzing: 'analyzing', result: 'result' },
+    overlay:     null,
+    labels:      { fact: 'fun fact', factIcon: '💡', next: 'fun fact' },
+    langNote:    LANGUAGE_NOTE_CATEGORY,
+    categories:  true,
+    fields:      {
+      objects: { keys: ['objects', 'items', 'results'], type: 'list', required: true, max: MULTI_MAX_OBJECTS, item: MULTI_ITEM_FIELDS },
+    },
+    fromText:    null,
+    toHistory:   display => ({
+      name:        display.objects.length + (display.objects.length === 1 ? ' object' : ' objects'),
+      category:    'everything in view',
+      description: display.objects.map(o => o.name).join(', '),
+      fun_fact:    '',
+      objects:     display.objects,
+    }),
+    fromHistory: entry => ({ objects: entry.objects || [] }),
+    mock:        '{"objects":[{"name":"Mechanical Keyboard","category":"Technology","description":"A keyboard with an individual switch under every key.","fun_fact":"Its layout descends from the 1868 typewriter.","box":[0.1,0.55,0.6,0.35]},{"name":"Coffee Mug","category":"Kitchenware","description":"A ceramic mug, half full.","fun_fact":"The mug handle only became common in the 18th century.","box":[0.72,0.3,0.2,0.3]},{"name":"Desk Lamp","category":"Lighting","description":"An adjustable arm lamp.","fun_fact":"The balanced-arm Anglepoise lamp was designed by a car engineer in 1932.","box":[0.05,0.05,0.3,0.45]}]}',
+  },
+
+  // Two captures, A then B, answered together in one request
+  compare: {
+    id:          'compare',
+    kind:        'compare',
+    label:       'Compare',
+    icon:        '⚖',
+    unlockedBy:  null,
+    prompt:      PROMPT_COMPARE,
+    hint:        'PTT · capture the first object',
+    analyzing:   'comparing…',
+    screens:     { analyzing: 'analyzing', result: 'compare' },
+    overlay:     null,
+    langNote:    'Write every text value in {language}, except "best", which stays "A", "B" or "either". Keep the JSON keys in English.',
+    categories:  false,
+    fields:      COMPARE_FIELDS,
+    fromText:    null,
+    toHistory:   display => ({
+      name:        display.name_a + ' vs ' + display.name_b,
+      category:    'compare',
+      description: display.summary,
+      fun_fact:    display.best_reason,
+      compare:     display,
+    }),
+    fromHistory: entry => entry.compare || {},
+    mock:        '{"name_a":"Chef\'s Knife","name_b":"Santoku Knife","summary":"Two general-purpose kitchen knives with different blade shapes.","differences":["A has a curved blade for rocking cuts; B is flat for straight chops.","A is longer and heavier.","B often has a dimpled edge to stop food sticking."],"pros_a":["Versatile for almost any job","Easy to rock through herbs"],"pros_b":["Light and nimble","Precise thin slices"],"best":"B","best_reason":"For quick vegetable prep in a small kitchen, the lighter santoku is easier to handle."}',
+  },
+
+  // Easter egg — 3 Comma Club
+  hotdog: {
+    id:          'hotdog',
+    kind:        'verdict',
+    label:       'Hot Dog Mode',
+    icon:        '🌭',
+    unlockedBy:  'hotdogUnlocked',
+    prompt:      PROMPT_HOTDOG,
+    screens:     { analyzing: 'hdAnalyzing', result: 'hdResult' },
+    overlay:     'hd-cam-overlay',
+    langNote:    'Keep "result" exactly "HOT DOG" or "NOT HOT DOG" and write "reason" in {language}. Keep the JSON keys in English.',
+    categories:  false,
+    fields:      {
+      result: { keys: ['result', 'verdict'], type: 'string', required: true, oneOf: ['HOT DOG', 'NOT HOT DOG'] },
+      reason: { keys: ['reason', 'explanation'], type: 'string', max: 200 },
+    },
+    fromText:    hotdogFromText,
+    toHistory:   display => ({
+      name:        isHotdogVerdict(display) ? 'HOT DOG' : 'NOT HOT DOG',
+      category:    'hot dog mode',
+      description: display.reason,
+      fun_fact:    '',
+    }),
+    fromHistory: entry => ({ result: entry.name, reason: entry.description }),
+    mock:        '{"result":"NOT HOT DOG","reason":"This is a keyboard. Not a hot dog."}',
+  },
+};
+
+// ═══════════════════════════════════════════
+// PROMPT PRESETS
+// A preset is a user-written card lens: a name,
+// the question to ask, which reply keys fill the
+// result card, and an optional voice override.
+// Presets are stored and shared as plain JSON:
+//   { name, prompt, fields: { name, category,
+//     description, fun_fact }, factLabel, voice }
+// ═══════════════════════════════════════════
+
+const PRESET_PREFIX = 'preset:';   // lens ids of presets
+const PRESET_EXPORT = 'sleuth-presets';
+const PRESET_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]{0,31}$/;
+
+// What the generated reply template asks for in each card slot
+const PRESET_SLOT_HINTS = {
+  name:        'Short answer',
+  category:    'One- or two-word label',
+  description: 'One to two sentences.',
+  fun_fact:    'One more useful detail.',
+};
+
+/**
+ * Check and tidy one preset as imported or stored. Returns
+ * { preset } or { error } naming the first bad part
+ * ('preset' | 'name' | 'prompt' | 'fields').
+ */
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'preset' };
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name || name.length > PRESET_NAME_MAX) return { error: 'name' };
+  const prompt = typeof raw.prompt === 'string' ? raw.prompt.trim() : '';
+  if (!prompt || prompt.length > PRESET_PROMPT_MAX) return { error: 'prompt' };
+
+  // Each card slot maps to one reply key, or several in order of preference
+  const given = raw.fields == null ? {} : raw.fields;
+  if (typeof given !== 'object' || Array.isArray(given)) return { error: 'fields' };
+  const fields = {};
+  for (const slot of Object.keys(given)) {
+    if (!CARD_SCHEMA[slot]) return { error: 'fields' };
+    const keys = [].concat(given[slot]).map(k => String(k).trim()).filter(Boolean);
+    if (!keys.length || !keys.every(k => PRESET_KEY_RE.test(k))) return { error: 'fields' };
+    fields[slot] = keys;
+  }
+  if (!fields.name) fields.name = ['name'];
+  if (!fields.description) fields.description = ['description'];
+
+  const preset = {
+    id:     typeof raw.id === 'string' && PRESET_KEY_RE.test(raw.id) ? raw.id : presetId(name),
+    name:   name,
+    prompt: prompt,
+    fields: fields,
+    voice:  typeof raw.voice === 'boolean' ? raw.voice : null,   // null follows the voice setting
+  };
+  if (typeof raw.factLabel === 'string' && raw.factLabel.trim()) {
+    preset.factLabel = raw.factLabel.trim().slice(0, PRESET_NAME_MAX);
+  }
+  return { preset: preset };
+}
+
+/** Id from the name, so a preset imported on two devices gets the same lens id. */
+function presetId(name) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.toLowerCase().charCodeAt(i)) >>> 0;
+  return 'p' + hash.toString(36);
+}
+
+/** The card lens for a preset; its prompt ends with the reply template its fields ask for. */
+function presetLens(preset) {
+  const fields = {};
+  const template = {};
+  const mock = {};
+  Object.keys(preset.fields).forEach((slot) => {
+    const key = preset.fields[slot][0];
+    fields[slot] = { keys: preset.fields[slot] };
+    template[key] = PRESET_SLOT_HINTS[slot];
+    mock[key] = slot === 'name' ? preset.name : PRESET_SLOT_HINTS[slot];
+  });
+  return cardLens({
+    id:        PRESET_PREFIX + preset.id,
+    label:     preset.name,
+    icon:      '✎',
+    preset:    preset,
+    hint:      null,                   // generic text, localized by the app
+    analyzing: null,
+    labels:    { fact: preset.factLabel || null, factIcon: '💡', next: preset.factLabel || null },
+    voice:     preset.voice,
+    prompt:    preset.prompt +
+               '\nRespond with ONLY raw JSON — no markdown, no code fences, no explanation outside the JSON:\n' +
+               JSON.stringify(template),
+    fields:    fields,
+    mock:      JSON.stringify(mock),
+  });
+}
+
+/** The shareable JSON document for a list of presets. */
+function exportPresets(presets) {
+  return {
+    format:  PRESET_EXPORT,
+    version: 1,
+    presets: presets.map((p) => {
+      const out = { name: p.name, prompt: p.prompt, fields: p.fields };
+      if (p.factLabel) out.factLabel = p.factLabel;
+      if (p.voice !== null) out.voice = p.voice;
+      return out;
+    }),
+  };
+}
+
+/**
+ * Merge presets from JSON text into `existing`: an export document,
+ * a bare array or a single preset. One named like a saved preset
+ * replaces it; a new one gets its id from its name, never from the
+ * file, and is skipped if another preset has that id. Returns
+ * { presets, added, replaced, errors } with an 'index:part' error per
+ * skipped entry, or { error: 'json' | 'empty' | 'full' } when nothing
+ * could be taken.
+ */
+function importPresets(text, existing) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { error: 'json' };
+  }
+  const list = Array.isArray(doc) ? doc : (doc && Array.isArray(doc.presets) ? doc.presets : [doc]);
+  const presets = existing.slice();
+  const errors = [];
+  let added = 0;
+  let replaced = 0;
+  list.forEach((raw, i) => {
+    const checked = normalizePreset(raw);
+    if (checked.error) {
+      errors.push(i + ':' + checked.error);
+      return;
+    }
+    const preset = checked.preset;
+    const at = presets.findIndex(p => p.name.toLowerCase() === preset.name.toLowerCase());
+    if (at !== -1) {
+      preset.id = presets[at].id;
+      presets[at] = preset;
+      replaced++;
+      return;
+    }
+    preset.id = presetId(preset.name);
+    if (presets.some(p => p.id === preset.id)) {
+      errors.push(i + ':id');
+    } else if (presets.length < PRESETS_MAX) {
+      presets.push(preset);
+      added++;
+    } else {
+      errors.push(i + ':full');
+    }
+  });
+  if (!added && !replaced) {
+    return { error: errors.length && errors.every(e => e.endsWith(':full')) ? 'full' : 'empty' };
+  }
+  return { presets: presets, added: added, replaced: replaced, errors: errors };
+}
+
+/**
+ * Save one preset written on the device. With `id` it edits that preset
+ * in place, keeping its id, fields and voice; without, it adds a new one.
+ * Returns { presets, preset } or { error } ('name' | 'prompt' | 'taken' | 'full').
+ */
+function editPreset(existing, raw, id) {
+  const at = id ? existing.findIndex(p => p.id === id) : -1;
+  const base = at !== -1 ? existing[at] : {};
+  const checked = normalizePreset(Object.assign({}, base, { name: raw.name, prompt: raw.prompt }));
+  if (checked.error) return { error: checked.error };
+  const preset = checked.preset;
+  const name = preset.name.toLowerCase();
+  if (existing.some((p, i) => i !== at && (p.name.toLowerCase() === name || (at === -1 && p.id === preset.id)))) {
+    return { error: 'taken' };
+  }
+  const presets = existing.slice();
+  if (at !== -1) {
+    presets[at] = preset;
+  } else if (presets.length < PRESETS_MAX) {
+    presets.push(preset);
+  } else {
+    return { error: 'full' };
+  }
+  return { presets: presets, preset: preset };
+}
+
+function getLens(id) {
+  return LENSES[id] || LENSES.standard;
+}
+
+/**
+ * The lens prompt for answers in `language` (English name, e.g.
+ * 'Spanish'): fills {language} and, for anything but English,
+ * appends the lens's note on which values to write in it.
+ */
+function lensPrompt(lens, language) {
+  const name = language || 'English';
+  let prompt = lens.prompt;
+  if (name !== 'English' && lens.langNote) prompt += '\n' + lens.langNote;
+  return prompt.replace(/\{language\}/g, name);
+}
+
+function hotdogFromText(text) {
+  const upper = String(text || '').toUpperCase();
+  if (!upper.includes('HOT DOG')) return null;
+  return {
+    result: upper.includes('NOT HOT DOG') ? 'NOT HOT DOG' : 'HOT DOG',
+    reason: text,
+  };
+}
+
+function isHotdogVerdict(parsed) {
+  return (parsed.result || '').toUpperCase().includes('HOT DOG') &&
+         !(parsed.result || '').toUpperCase().includes('NOT HOT DOG');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MULTI_MAX_OBJECTS,
+    CATEGORIES,
+    CARD_SCHEMA,
+    STANDARD_FIELDS,
+    RANKED_FIELDS,
+    ALTERNATIVES_MAX,
+    COMPARE_MAX_POINTS,
+    COMPARE_FIELDS,
+    PRESETS_MAX,
+    PRESET_PREFIX,
+    PRESET_EXPORT,
+    MULTI_ITEM_FIELDS,
+    LENSES,
+    cardLens,
+    getLens,
+    lensPrompt,
+    normalizePreset,
+    presetId,
+    presetLens,
+    exportPresets,
+    importPresets,
+    editPreset,
+    hotdogFromText,
+    isHotdogVerdict,
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * sleuth — state machine
+ * Screen states and the hardware-event transition table.
+ * Pure: maps (state, event, context) to an action the app runs,
+ * so it can be exercised under Node without a DOM.
+ */
+
+'use strict';
+
+const STATES = {
+  CAMERA:          'camera',
+  ANALYZING:       'analyzing',
+  RESULT:          'result',
+  RETRY:           'retry',
+  SETTINGS:        'settings',
+  HISTORY:         'history',
+  OUTBOX:          'outbox',
+  DIAGNOSTICS:     'diagnostics',
+  NO_CAMERA:       'no-camera',
+  COMPARE:         'compare',     // compare lens: A is held, the viewfinder waits for B
+};
+
+const HW_EVENTS = ['sideClick', 'longPressStart', 'longPressEnd', 'scrollUp', 'scrollDown'];
+
+/**
+ * What a hardware event should do in the given state.
+ *
+ * ctx describes the bits of app state the table depends on:
+ *   lensKind      kind of the lens on screen ('card' | 'multi' | 'verdict' | 'compare')
+ *   resultPage    current result page (card and compare lenses)
+ *   lastPage      last result page, including follow-up answers
+ *   canScrollUp   the result page has more text above what is showing
+ *   canScrollDown …or below it (long transcripts); on the other-possibilities
+ *                 page, whether the selection can move that way
+ *   canPick       the wheel has selected another possibility for PTT to pick
+ *   listening     PTT is held to speak a follow-up question or a compare need
+ *   canFollowUp   holding PTT may start a follow-up question
+ *   hasSelection  the outbox has a selected item to resend
+ *   wheel         what the wheel does on the camera: 'zoom' | 'lens'
+ *   focusIndex    control the wheel has focused on screen, -1 for none
+ *   focusCount    controls on screen the wheel can focus
+ *   atTop         the result can't scroll or page further up
+ *
+ * Returns an action { type, ...args }, or null when the event is ignored.
+ */
+function hardwareAction(state, event, ctx) {
+  const c = ctx || {};
+  const focused = c.focusIndex >= 0;
+  switch (event) {
+    case 'sideClick':
+      if (focused) return { type: 'activateFocus' };   // PTT does what a tap on it would
+      switch (state) {
+        case STATES.CAMERA:
+        case STATES.COMPARE:     return { type: 'capture' };
+        case STATES.RESULT:      return c.canPick ? { type: 'pickAlternative' } : { type: 'leaveResult' };
+        case STATES.HISTORY:     return { type: 'openHistoryEntry' };
+        case STATES.OUTBOX:      return c.hasSelection ? { type: 'resendOutbox' } : null;
+        case STATES.RETRY:       return { type: 'retryCapture' };
+        case STATES.SETTINGS:    return { type: 'closeSettings' };
+        case STATES.DIAGNOSTICS: return { type: 'exportLog' };
+        case STATES.NO_CAMERA:   return { type: 'retryCamera' };
+      }
+      return null;
+
+    case 'longPressStart':
+      if (focused) return null;
+      if (state === STATES.COMPARE) return { type: 'startListening' };   // what the pair is for
+      return c.canFollowUp ? { type: 'startListening' } : null;
+
+    case 'longPressEnd':
+      if (c.listening) return { type: 'stopListening' };
+      switch (state) {
+        // The camera's top-bar buttons are reached by long press, left by another
+        case STATES.CAMERA:
+          if (focused) return { type: 'clearFocus' };
+          return c.focusCount ? { type: 'moveFocus', delta: 1 } : null;
+        case STATES.ANALYZING:   return { type: 'cancel', reason: 'long-press' };
+        case STATES.RESULT:      return { type: 'leaveResult' };
+        case STATES.SETTINGS:    return { type: 'closeSettings' };
+        case STATES.DIAGNOSTICS: return { type: 'closeDiagnostics' };
+        case STATES.NO_CAMERA:   return { type: 'openSettings' };
+        case STATES.HISTORY:
+        case STATES.OUTBOX:
+        case STATES.RETRY:
+        case STATES.COMPARE:     return { type: 'returnToCamera' };
+      }
+      return null;
+
+    case 'scrollUp':
+    case 'scrollDown': {
+      const dir = event === 'scrollUp' ? -1 : 1;
+      switch (state) {
+        case STATES.CAMERA:
+          if (focused) return { type: 'moveFocus', delta: dir };
+          if (c.wheel === 'lens') return { type: 'cycleLens', delta: dir };
+          return { type: 'zoom', delta: -dir };
+        case STATES.COMPARE:     return { type: 'zoom', delta: -dir };   // A is held for this lens
+        case STATES.ANALYZING:   return { type: 'cancel', reason: 'scroll' };
+        case STATES.HISTORY:     return { type: 'moveHistory', delta: dir };
+        case STATES.OUTBOX:      return { type: 'moveOutbox', delta: dir };
+        case STATES.DIAGNOSTICS: return { type: 'scrollLog', delta: dir };
+        case STATES.SETTINGS:    return c.focusCount ? { type: 'moveFocus', delta: dir } : null;
+        case STATES.RESULT:
+          // The top-bar buttons sit above the result: up past its top focuses
+          // them, down past the last one returns to the result
+          if (focused) {
+            return dir > 0 && c.focusIndex === c.focusCount - 1 ? { type: 'clearFocus' } : { type: 'moveFocus', delta: dir };
+          }
+          if (dir < 0 && c.atTop && c.focusCount) return { type: 'moveFocus', delta: -1 };
+          if (c.lensKind === 'multi') return { type: 'stepMulti', delta: dir };
+          if (c.lensKind && c.lensKind !== 'card' && c.lensKind !== 'compare') return null;
+          if (dir < 0 ? c.canScrollUp : c.canScrollDown) return { type: 'scrollPage', delta: dir };
+          if (dir < 0) return c.resultPage > 1 ? { type: 'showPage', page: c.resultPage - 1 } : null;
+          if (c.resultPage < c.lastPage) return { type: 'showPage', page: c.resultPage + 1 };
+          return { type: 'leaveResult' };
+      }
+      return null;
+    }
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STATES, HW_EVENTS, hardwareAction };
+}
@@ -0,0 +1,504 @@
+/**
+ * sleuth — response parsing
+ * Pure functions from bridge messages to typed lens outcomes.
+ * No DOM and no app state: safe to load under Node.
+ */
+
+'use strict';
+
+// ═══════════════════════════════════════════
+// RESPONSE PARSING
+// Bridge envelope → candidate payload → lens
+// schema check. Every reply ends up as one typed
+// outcome: ok, repaired (usable after fix-ups) or
+// invalid (offer a retry, never show raw JSON).
+// ═══════════════════════════════════════════
+
+const PARSE = {
+  OK:       'ok',
+  REPAIRED: 'repaired',
+  INVALID:  'invalid',
+};
+
+function cleanJSONText(raw) {
+  return String(raw || '')
+    .replace(/^```json\s*/i, '')
+    .replace(/^```\s*/i, '')
+    .replace(/```\s*$/i, '')
+    .trim();
+}
+
+function tryParseJSON(raw) {
+  if (typeof raw !== 'string') return null;
+  const cleaned = cleanJSONText(raw);
+  if (!cleaned) return null;
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    // Fall through to extract-first-object parsing
+  }
+
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Best-effort fix-up of the JSON mistakes LLMs make most: smart quotes,
+ * single quotes, unquoted keys, trailing commas, raw newlines in strings
+ * and output cut off mid-object. Returns { value, repairs } where value
+ * is null when the text still can't be parsed.
+ */
+function repairJSON(raw) {
+  const repairs = [];
+  const note = (r) => { if (repairs.indexOf(r) === -1) repairs.push(r); };
+
+  let text = cleanJSONText(raw);
+  const start = text.indexOf('{');
+  if (start === -1) return { value: null, repairs: repairs };
+  if (start > 0) {
+    text = text.slice(start);
+    note('leading-text');
+  }
+  if (/[“”‘’]/.test(text)) {
+    text = text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+    note('smart-quotes');
+  }
+
+  let out = '';
+  const stack = [];
+  let inString = false;
+  let quote = '';
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) {
+        // \' is not a JSON escape — keep the apostrophe, drop the backslash
+        out = ch === "'" ? out.slice(0, -1) + ch : out + ch;
+        escaped = false;
+      } else if (ch === '\\') {
+        out += ch;
+        escaped = true;
+      } else if (ch === quote) {
+        out += '"';
+        inString = false;
+      } else if (ch === '"') {
+        out += '\\"';               // only reachable inside a single-quoted string
+      } else if (ch === '\n' || ch === '\r') {
+        out += ch === '\n' ? '\\n' : '';
+        note('raw-newline');
+      } else {
+        out += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      if (ch === "'") note('single-quotes');
+      inString = true;
+      quote = ch;
+      out += '"';
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+      out += ch;
+    } else if (ch === '}' || ch === ']') {
+      if (/,\s*$/.test(out)) {
+        out = out.replace(/,\s*$/, '');
+        note('trailing-comma');
+      }
+      stack.pop();
+      out += ch;
+      if (!stack.length) {
+        if (text.slice(i + 1).trim()) note('trailing-text');
+        break;
+      }
+    } else if (/[A-Za-z_$]/.test(ch) && stack[stack.length - 1] === '}' && /[{,]\s*$/.test(out)) {
+      // Bare identifier where a key belongs: {name: "x"}
+      const key = text.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+      out += '"' + key + '"';
+      i += key.length - 1;
+      note('unquoted-keys');
+    } else {
+      out += ch;
+    }
+  }
+
+  if (inString) out += '"';
+  if (inString || stack.length) note('truncated');
+
+  // Close whatever is still open, dropping a dangling key or value first
+  const closers = stack.slice().reverse().join('');
+  const attempts = [
+    out,
+    out.replace(/,\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, ''),
+    out.replace(/,[^,]*$/, ''),
+  ];
+  for (const attempt of attempts) {
+    try {
+      return { value: JSON.parse(attempt.replace(/[,:]\s*$/, '') + closers), repairs: repairs };
+    } catch (e) {
+      // try the next, more aggressive cut
+    }
+  }
+  return { value: null, repairs: repairs };
+}
+
+// Words models use instead of a number for `confidence`
+const CONFIDENCE_WORDS = { 'very high': 0.95, high: 0.85, medium: 0.6, moderate: 0.6, low: 0.3, 'very low': 0.15 };
+
+const GENERIC_RESULT_KEYS = ['name', 'category', 'description', 'fun_fact', 'reason', 'result'];
+
+/**
+ * Keys that mark an object as the LLM's answer rather than a bridge
+ * envelope: the generic ones plus every key the lens schema can read.
+ */
+function lensResultKeys(lens) {
+  const keys = GENERIC_RESULT_KEYS.slice();
+  if (!lens) return keys;
+  Object.keys(lens.fields).forEach((slot) => {
+    const aliases = lens.fields[slot].keys || [slot];
+    aliases.forEach((k) => { if (keys.indexOf(k) === -1) keys.push(k); });
+  });
+  return keys;
+}
+
+/** Keys of the lens's list slots — the multi-object `objects` array. */
+function lensListKeys(lens) {
+  if (!lens) return [];
+  const keys = [];
+  Object.keys(lens.fields).forEach((slot) => {
+    if (lens.fields[slot].type === 'list') keys.push.apply(keys, lens.fields[slot].keys || [slot]);
+  });
+  return keys;
+}
+
+function isResultPayload(value, lens) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const listKeys = lensListKeys(lens);
+  return lensResultKeys(lens).some(k =>
+    typeof value[k] === 'string' || typeof value[k] === 'number' ||
+    (Array.isArray(value[k]) && listKeys.indexOf(k) !== -1));
+}
+
+function extractPlainText(value, depth) {
+  if (depth > 5 || value == null) return '';
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const nested = extractPlainText(item, depth + 1);
+      if (nested) return nested;
+    }
+    return '';
+  }
+  if (typeof value === 'string') return value.trim();
+  if (typeof value !== 'object') return '';
+
+  const keys = ['data', 'message', 'response', 'output', 'content', 'text', 'output_text', 'assistant', 'answer', 'reply', 'transcript'];
+  for (const key of keys) {
+    if (typeof value[key] === 'string' && value[key].trim()) return value[key].trim();
+  }
+  for (const key of keys) {
+    if (value[key] != null && typeof value[key] === 'object') {
+      const nested = extractPlainText(value[key], depth + 1);
+      if (nested) return nested;
+    }
+  }
+
+  // Generic object walk fallback for unknown schemas.
+  for (const key of Object.keys(value)) {
+    const nested = extractPlainText(value[key], depth + 1);
+    if (nested) return nested;
+  }
+  return '';
+}
+
+function extractResultPayload(value, depth, lens) {
+  if (depth > 5 || value == null) return null;
+
+  if (typeof value === 'string') {
+    const parsedString = tryParseJSON(value);
+    return parsedString ? extractResultPayload(parsedString, depth + 1, lens) : null;
+  }
+
+  if (Array.isArray(value)) {
+    // A bare array of results is the list a list lens asked for
+    const listKey = lensListKeys(lens)[0];
+    if (listKey && value.some(item => isResultPayload(item, null))) {
+      const wrapped = {};
+      wrapped[listKey] = value;
+      return wrapped;
+    }
+    for (const item of value) {
+      const nested = extractResultPayload(item, depth + 1, lens);
+      if (nested) return nested;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'object') return null;
+  if (isResultPayload(value, lens)) return value;
+
+  const wrapperKeys = ['data', 'parsedData', 'message', 'response', 'payload', 'result', 'output', 'output_text', 'content', 'text', 'llmResponse', 'assistant'];
+  for (const key of wrapperKeys) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      const nested = extractResultPayload(value[key], depth + 1, lens);
+      if (nested) return nested;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Request id echoed in a reply — on the envelope or inside the JSON
+ * ("rid"), possibly string-escaped. Null when there is none.
+ */
+function extractRequestId(data) {
+  let text = '';
+  try {
+    text = typeof data === 'string' ? data : JSON.stringify(data);
+  } catch (e) {
+    return null;   // unserializable — caller falls back to arrival order
+  }
+  const m = String(text).match(/\\?["'](?:rid|requestId|request_id)\\?["']\s*:\s*\\?["']((?:req|fu|ob|jr)_[a-z0-9_]+)/i);
+  return m ? m[1] : null;
+}
+
+function truncateText(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '') + '…';
+}
+
+/**
+ * Check one field against its schema entry. Returns { value } on
+ * success (possibly with `repair` set) or { error } when unusable.
+ */
+function checkField(raw, spec) {
+  let value = raw;
+  let repair = null;
+
+  if (spec.type === 'list') {
+    if (!Array.isArray(value)) return { error: 'type' };
+    if (!value.length && !spec.required) return { value: [] };   // an optional list may be empty
+    const items = [];
+    value.forEach((item) => {
+      // `scalar` names the slot a bare string fills ("Porcini" → { name: "Porcini" })
+      if (spec.scalar && (typeof item === 'string' || typeof item === 'number')) item = { [spec.scalar]: item };
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+      const checked = validatePayload(item, spec.item);
+      if (checked.errors.length) return;
+      if (checked.repairs.length) repair = 'items';
+      items.push(checked.value);
+    });
+    if (!items.length) return { error: 'empty' };
+    if (items.length < value.length) repair = 'dropped-items';
+    if (spec.max && items.length > spec.max) {
+      items.length = spec.max;
+      repair = 'truncated';
+    }
+    return { value: items, repair: repair };
+  }
+
+  if (spec.type === 'box') {
+    // [x, y, w, h] or {x, y, w|width, h|height}; fractions, or percentages
+    let box = value;
+    if (box && typeof box === 'object' && !Array.isArray(box)) {
+      box = [box.x, box.y, box.w != null ? box.w : box.width, box.h != null ? box.h : box.height];
+    }
+    if (!Array.isArray(box) || box.length !== 4) return { error: 'type' };
+    box = box.map(Number);
+    if (!box.every(isFinite) || box.some(v => v < 0)) return { error: 'type' };
+    const peak = Math.max.apply(null, box);
+    if (peak > 100) return { error: 'type' };
+    if (peak > 1) {
+      box = box.map(v => v / 100);
+      repair = 'scaled';
+    }
+    const round = v => Math.round(v * 1000) / 1000;
+    const x = Math.min(box[0], 1);
+    const y = Math.min(box[1], 1);
+    const w = Math.min(box[2], 1 - x);
+    const h = Math.min(box[3], 1 - y);
+    if (w <= 0 || h <= 0) return { error: 'empty' };
+    return { value: { x: round(x), y: round(y), w: round(w), h: round(h) }, repair: repair };
+  }
+
+  if (spec.type === 'confidence') {
+    // A 0–1 fraction; percentages are scaled and the usual words mapped
+    let n = value;
+    if (typeof n === 'string') {
+      const word = CONFIDENCE_WORDS[n.trim().toLowerCase()];
+      if (word != null) {
+        n = word;
+        repair = 'enum';
+      } else {
+        const m = n.match(/\d+(\.\d+)?/);
+        if (!m) return { error: 'type' };
+        n = parseFloat(m[0]) / (/%/.test(n) ? 100 : 1);
+        repair = 'coerced';
+      }
+    }
+    if (typeof n !== 'number' || !isFinite(n) || n < 0 || n > 100) return { error: 'type' };
+    if (n > 1) {
+      n /= 100;
+      repair = 'scaled';
+    }
+    return { value: Math.round(n * 100) / 100, repair: repair };
+  }
+
+  if (spec.type === 'number') {
+    if (typeof value === 'object') return { error: 'type' };
+    if (typeof value !== 'number') {
+      const m = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+      if (!m) return { error: 'type' };
+      value = parseFloat(m[0]);
+      repair = 'coerced';
+    }
+    if (!isFinite(value)) return { error: 'type' };
+    return { value: value, repair: repair };
+  }
+
+  // type: 'string'
+  if (Array.isArray(value) && value.every(v => typeof v === 'string' || typeof v === 'number')) {
+    value = value.join(spec.join || ', ');
+    repair = 'joined';
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    value = String(value);
+    repair = 'coerced';
+  } else if (typeof value !== 'string') {
+    return { error: 'type' };
+  }
+  value = value.trim();
+  if (!value) return { error: 'empty' };
+
+  if (spec.oneOf) {
+    const upper = value.toUpperCase();
+    // Longest first so "NOT HOT DOG" wins over "HOT DOG"; `leading` options
+    // must open the value as a whole word, so "B" isn't read out of "BOTH"
+    // nor "A" out of "B, because a lighter blade…"
+    const found = spec.leading ? o => new RegExp('^[^A-Z0-9]*' + o + '\\b').test(upper) : o => upper.includes(o);
+    const match = spec.oneOf.slice().sort((x, y) => y.length - x.length).find(found);
+    if (!match) return { error: 'enum' };
+    if (match !== value) repair = 'enum';
+    value = match;
+  }
+  if (spec.max && value.length > spec.max) {
+    value = truncateText(value, spec.max);
+    repair = 'truncated';
+  }
+  return { value: value, repair: repair };
+}
+
+/**
+ * Validate a raw reply object against a lens schema (`lens.fields`).
+ * Each schema slot lists the JSON keys that may fill it, in order of
+ * preference, plus type / required / max / oneOf (`leading`: the first word) / format,
+ * `join` for strings that arrive as an array of lines, and `scalar`
+ * for lists whose items may arrive as bare strings.
+ */
+function validatePayload(payload, fields) {
+  const value = {};
+  const errors = [];
+  const repairs = [];
+
+  Object.keys(fields).forEach((slot) => {
+    const spec = fields[slot];
+    const keys = spec.keys || [slot];
+    const key = keys.find(k => payload[k] != null && payload[k] !== '');
+    const checked = key ? checkField(payload[key], spec) : { error: 'missing' };
+
+    if (checked.error) {
+      if (spec.required) errors.push(checked.error + ':' + slot);
+      else if (key) repairs.push('dropped:' + slot);
+      value[slot] = '';
+      return;
+    }
+    if (checked.repair) repairs.push(checked.repair + ':' + slot);
+    const kept = spec.format ? spec.format(checked.value) : checked.value;
+    value[slot] = typeof kept === 'object' ? kept : String(kept);
+  });
+
+  return { value: value, errors: errors, repairs: repairs };
+}
+
+/**
+ * Turn whatever the bridge delivered into a typed outcome for a lens:
+ *   { status: PARSE.*, value, errors, repairs, source }
+ * `errors: ['empty']` means the message carried nothing to read.
+ */
+function parseLensResponse(data, lens) {
+  const parsedData = (data && typeof data === 'object' && Object.prototype.hasOwnProperty.call(data, 'parsedData'))
+    ? data.parsedData
+    : null;
+  const root = parsedData != null ? parsedData : data;
+  const text = extractPlainText(root, 0) || extractPlainText(data, 0);
+  const repairs = [];
+
+  let source = parsedData != null ? 'parsedData-structured' : 'structured';
+  let payload = extractResultPayload(root, 0, lens);
+
+  if (!payload && text) {
+    const repaired = repairJSON(text);
+    const candidate = extractResultPayload(repaired.value, 0, lens);
+    if (candidate) {
+      payload = candidate;
+      repairs.push.apply(repairs, repaired.repairs.map(r => 'json:' + r));
+      source = 'repaired-json';
+    }
+  }
+  if (!payload && text && lens.fromText) {
+    payload = lens.fromText(text);
+    if (payload) {
+      repairs.push('text:' + lens.id);
+      source = 'plain-text';
+    }
+  }
+  if (!payload) {
+    return { status: PARSE.INVALID, value: null, errors: [text ? 'unparseable' : 'empty'], repairs: repairs, source: 'none' };
+  }
+
+  const checked = validatePayload(payload, lens.fields);
+  repairs.push.apply(repairs, checked.repairs);
+  let status = PARSE.OK;
+  if (checked.errors.length) status = PARSE.INVALID;
+  else if (repairs.length) status = PARSE.REPAIRED;
+
+  return {
+    status:  status,
+    value:   status === PARSE.INVALID ? null : checked.value,
+    errors:  checked.errors,
+    repairs: repairs,
+    source:  source,
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PARSE,
+    cleanJSONText,
+    tryParseJSON,
+    repairJSON,
+    lensResultKeys,
+    lensListKeys,
+    isResultPayload,
+    extractPlainText,
+    extractResultPayload,
+    extractRequestId,
+    truncateText,
+    checkField,
+    validatePayload,
+    parseLensResponse,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * sleuth — scene watcher
+ * Auto mode's trigger. Each sampled frame is reduced to a tiny
+ * greyscale grid; comparing it with the previous sample says whether
+ * the view is moving, and comparing it with the last identified view
+ * says whether a new subject is in frame.
+ * No DOM: safe to load under Node.
+ */
+
+'use strict';
+
+const SCENE_GRID_W       = 16;     // signature cells across…
+const SCENE_GRID_H       = 12;     // …and down
+const SCENE_MOTION_DIFF  = 10;     // mean luma change between samples that counts as movement
+const SCENE_SUBJECT_DIFF = 18;     // mean change from the last identified view that makes a new subject
+const SCENE_STABLE_MS    = 1200;   // held steady this long before identifying
+const SCENE_MIN_GAP_MS   = 5000;   // at most one auto identification per window
+
+/**
+ * Mean luma (0–255) per grid cell of RGBA pixels `px` (w × h),
+ * SCENE_GRID_W × SCENE_GRID_H cells, row by row.
+ */
+function sceneSignature(px, w, h) {
+  const sums = new Float64Array(SCENE_GRID_W * SCENE_GRID_H);
+  const counts = new Uint32Array(sums.length);
+  for (let y = 0; y < h; y++) {
+    const row = Math.min(SCENE_GRID_H - 1, Math.floor(y * SCENE_GRID_H / h)) * SCENE_GRID_W;
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const cell = row + Math.min(SCENE_GRID_W - 1, Math.floor(x * SCENE_GRID_W / w));
+      sums[cell] += 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+      counts[cell]++;
+    }
+  }
+  const sig = new Uint8Array(sums.length);
+  for (let c = 0; c < sig.length; c++) sig[c] = counts[c] ? Math.round(sums[c] / counts[c]) : 0;
+  return sig;
+}
+
+/** Mean absolute difference of two signatures; 255 when either is missing or they differ in size. */
+function sceneDiff(a, b) {
+  if (!a || !b || a.length !== b.length || !a.length) return 255;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length;
+}
+
+/**
+ * Decides when a steady new subject should be identified.
+ * sample() returns one of:
+ *   'moving'    the view changed since the last sample
+ *   'same'      steady on the subject identified last
+ *   'settling'  steady on a new subject, not for long enough yet
+ *   'cooldown'  ready, but the last identification was too recent
+ *   'fire'      identify now; call identified() once the capture goes out,
+ *               or the same view fires again after the gap
+ */
+class SceneWatcher {
+  constructor(opts) {
+    const o = opts || {};
+    this.motionDiff  = o.motionDiff  || SCENE_MOTION_DIFF;
+    this.subjectDiff = o.subjectDiff || SCENE_SUBJECT_DIFF;
+    this.stableMs    = o.stableMs    || SCENE_STABLE_MS;
+    this.minGapMs    = o.minGapMs    || SCENE_MIN_GAP_MS;
+    this.forget();
+  }
+
+  /** Start over on steadiness; the latest sample and last subject are kept. */
+  reset() {
+    this.stableSince = null;
+  }
+
+  /** Also forget every sample and when anything was identified. */
+  forget() {
+    this.reset();
+    this.last = null;
+    this.subject = null;
+    this.firedAt = -Infinity;
+  }
+
+  sample(sig, now) {
+    const prev = this.last;
+    this.last = sig;
+    if (!prev || this.stableSince === null || sceneDiff(prev, sig) > this.motionDiff) {
+      this.stableSince = now;
+      return 'moving';
+    }
+    if (this.subject && sceneDiff(this.subject, sig) <= this.subjectDiff) return 'same';
+    if (now - this.stableSince < this.stableMs) return 'settling';
+    if (now - this.firedAt < this.minGapMs) return 'cooldown';
+    this.firedAt = now;
+    return 'fire';
+  }
+
+  /** The latest sample was identified: a fired or PTT capture that went out. */
+  identified(now) {
+    if (!this.last) return;
+    this.subject = this.last;
+    this.firedAt = now;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCENE_GRID_W,
+    SCENE_GRID_H,
+    SCENE_STABLE_MS,
+    SCENE_MIN_GAP_MS,
+    sceneSignature,
+    sceneDiff,
+    SceneWatcher,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * sleuth — settings
+ * Declarative schema for every user setting: its type, default and
+ * the control that edits it on the settings screen (the app builds
+ * the rows from it). Saves carry a version; older ones are migrated
+ * forward on load, and the same path reads settings export blobs.
+ * No DOM or storage: safe to load under Node.
+ */
+
+'use strict';
+
+const SETTINGS_VERSION = 2;
+const SETTINGS_EXPORT  = 'sleuth-settings';
+
+/**
+ * In screen order. type: 'bool' | 'choice' (one of `options`, or of the
+ * choices the app passes for options: null) | 'string'. control:
+ * 'toggle' | 'cycle', or null for settings edited elsewhere. secure:
+ * kept in the secure storage area and left out of exports.
+ */
+const SETTINGS_SCHEMA = {
+  voice:          { type: 'bool',   default: false,
+                    control: 'toggle', id: 'toggle-voice',     label: 'settings.voice' },
+  auto:           { type: 'bool',   default: false,
+                    control: 'toggle', id: 'toggle-auto',      label: 'settings.auto' },
+  journal:        { type: 'bool',   default: false,
+                    control: 'toggle', id: 'toggle-journal',   label: 'settings.journal' },
+  crop:           { type: 'bool',   default: false,
+                    control: 'toggle', id: 'toggle-crop',      label: 'settings.crop' },
+  // A facing mode or a deviceId, which identifies the hardware
+  camera:         { type: 'string', default: 'environment', secure: true,
+                    control: 'cycle',  id: 'cycle-camera',     label: 'settings.camera' },
+  resolution:     { type: 'choice', default: 480,    options: [480, 720, 1080],
+                    control: 'cycle',  id: 'cycle-resolution', label: 'settings.resolution' },
+  wheel:          { type: 'choice', default: 'zoom', options: ['zoom', 'lens'],
+                    control: 'cycle',  id: 'cycle-wheel',      label: 'settings.wheel' },
+  imageSize:      { type: 'choice', default: 768,    options: [512, 768, 1024, 0],   // 0 = native
+                    control: 'cycle',  id: 'cycle-image-size', label: 'settings.imageSize' },
+  retries:        { type: 'choice', default: 2,      options: [0, 1, 2, 3],
+                    control: 'cycle',  id: 'cycle-retries',    label: 'settings.retries' },
+  language:       { type: 'choice', default: 'en',   options: null,
+                    control: 'cycle',  id: 'cycle-language',   label: 'settings.language' },
+  lens:           { type: 'choice', default: 'standard', options: null, control: null },   // the lens rows
+  hotdogUnlocked: { type: 'bool',   default: false, control: null },   // 3 Comma Club easter egg
+  diagnostics:    { type: 'bool',   default: false, control: null },   // hidden gesture on the title
+};
+
+/**
+ * Steps from each stored version to the next. Version 1 is every
+ * unversioned save under sleuth_v1_settings, including the first
+ * ones that only knew { voice, hotdog }.
+ */
+const SETTINGS_MIGRATIONS = {
+  1: (saved) => {
+    const next = Object.assign({}, saved);
+    if (next.hotdog) {
+      next.hotdogUnlocked = true;
+      if (!next.lens) next.lens = 'hotdog';
+    }
+    delete next.hotdog;
+    return next;
+  },
+};
+
+/** Every setting at its default, with `overrides` (e.g. the device language) on top. */
+function defaultSettings(overrides) {
+  const values = {};
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => { values[key] = SETTINGS_SCHEMA[key].default; });
+  return Object.assign(values, overrides);
+}
+
+/** The stored value if the schema accepts it, else undefined. */
+function settingValue(key, value, choices) {
+  const def = SETTINGS_SCHEMA[key];
+  switch (def.type) {
+    case 'bool':   return typeof value === 'boolean' ? value : undefined;
+    case 'string': return typeof value === 'string' && value ? value : undefined;
+    case 'choice': return (def.options || (choices || {})[key] || []).indexOf(value) !== -1 ? value : undefined;
+  }
+  return undefined;
+}
+
+/**
+ * Bring a decoded save up to SETTINGS_VERSION. Returns { values, from };
+ * a save from a newer version is left as it is for checkSettings to
+ * take what it still understands.
+ */
+function migrateSettings(saved) {
+  const from = typeof saved.version === 'number' ? saved.version : 1;
+  let values = Object.assign({}, saved);
+  for (let v = from; v < SETTINGS_VERSION; v++) {
+    if (SETTINGS_MIGRATIONS[v]) values = SETTINGS_MIGRATIONS[v](values);
+  }
+  delete values.version;
+  return { values: values, from: from };
+}
+
+/** Schema-checked settings: each valid value from `raw`, else the one in `base`. */
+function checkSettings(raw, base, choices) {
+  const values = {};
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    const value = settingValue(key, raw[key], choices);
+    values[key] = value === undefined ? base[key] : value;
+  });
+  return values;
+}
+
+/** What to write where: { plain, secure }, both stamped with the version. */
+function splitSettings(values) {
+  const plain = { version: SETTINGS_VERSION };
+  const secure = { version: SETTINGS_VERSION };
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    (SETTINGS_SCHEMA[key].secure ? secure : plain)[key] = values[key];
+  });
+  return { plain: plain, secure: secure };
+}
+
+/** The shareable blob: every setting except the secure ones. */
+function exportSettings(values) {
+  return { format: SETTINGS_EXPORT, version: SETTINGS_VERSION, settings: splitSettings(values).plain };
+}
+
+/**
+ * Read an export blob over `base`. Returns { values, changed } naming
+ * the keys it changed, or { error: 'json' | 'format' | 'version' }.
+ * Secure settings never come from a blob.
+ */
+function importSettings(text, base, choices) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { error: 'json' };
+  }
+  if (!doc || doc.format !== SETTINGS_EXPORT || !doc.settings || typeof doc.settings !== 'object') {
+    return { error: 'format' };
+  }
+  if (typeof doc.version !== 'number' || doc.version > SETTINGS_VERSION) return { error: 'version' };
+
+  const migrated = migrateSettings(Object.assign({}, doc.settings, { version: doc.version })).values;
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => { if (SETTINGS_SCHEMA[key].secure) delete migrated[key]; });
+  const values = checkSettings(migrated, base, choices);
+  return { values: values, changed: Object.keys(values).filter(key => values[key] !== base[key]) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_VERSION,
+    SETTINGS_EXPORT,
+    SETTINGS_SCHEMA,
+    SETTINGS_MIGRATIONS,
+    defaultSettings,
+    settingValue,
+    migrateSettings,
+    checkSettings,
+    splitSettings,
+    exportSettings,
+    importSettings,
+  };
+}
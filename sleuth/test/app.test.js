@@ -0,0 +1,1248 @@
+/**
+ * Drives the whole app headlessly: captures go to the silent mock
+ * backend, recorded bridge payloads are delivered through
+ * window.onPluginMessage and hardware events are dispatched on window.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp, FakeEvent } = require('./support/sandbox.js');
+const { payloads } = require('./fixtures/bridge-payloads.json');
+
+const URL_SILENT = '?backend=mock&mock=silent';
+const MUG = { data: '{"name":"Coffee Mug","category":"Kitchenware","description":"A ceramic mug.","fun_fact":"Handles caught on in the 18th century."}' };
+const MULTI = { data: JSON.stringify({ objects: [
+  { name: 'Coffee Mug', description: 'A ceramic mug.', fun_fact: 'Handles caught on late.', box: [0.7, 0.3, 0.2, 0.3] },
+  { name: 'Desk Lamp', description: 'An arm lamp.', fun_fact: 'Designed by a car engineer.', box: [0.05, 0.05, 0.3, 0.45] },
+] }) };
+
+async function appWithLens(lensId) {
+  const app = await loadApp({ url: URL_SILENT });
+  app.get('settings.hotdogUnlocked = true; settings.lens = ' + JSON.stringify(lensId) + '; setState(STATES.CAMERA)');
+  return app;
+}
+
+/** PTT from the camera, then the bridge answers with `payload`. */
+async function scan(app, payload) {
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  app.deliver(payload);
+  await app.advance(50);
+}
+
+/** First compare capture: A is held and the viewfinder waits for B. */
+async function holdA(app) {
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.get('state'), 'compare');
+}
+
+// ── Payload corpus ──────────────────────────
+
+for (const fixture of payloads) {
+  test('replay: ' + fixture.name, async () => {
+    const app = await appWithLens(fixture.lens);
+    if (fixture.lens === 'compare') await holdA(app);
+    await scan(app, fixture.payload);
+
+    if (fixture.status === 'invalid' && fixture.errors[0] === 'empty') {
+      // Nothing to read — still waiting for the real answer
+      assert.equal(app.get('state'), 'analyzing');
+      assert.ok(app.get('activeRequest !== null'));
+      return;
+    }
+    if (fixture.status === 'invalid') {
+      assert.equal(app.get('state'), 'retry');
+      assert.ok(app.isActive('s-retry'));
+      assert.equal(app.text('retry-title'), 'couldn’t read that');
+      assert.equal(app.text('retry-detail'), app.get('describeFailure(' + JSON.stringify(fixture.errors) + ')'));
+      assert.equal(app.get('scanHistory.length'), 0);
+      return;
+    }
+
+    assert.equal(app.get('state'), 'result');
+    assert.equal(app.get('scanHistory.length'), 1);
+    const value = fixture.value;
+    switch (fixture.lens) {
+      case 'hotdog':
+        assert.ok(app.isActive('s-hotdog-result'));
+        assert.equal(app.text('hd-verdict'), value.result);
+        if (value.reason) assert.equal(app.text('hd-reason'), value.reason);
+        break;
+      case 'multi': {
+        const n = value.objects.length;
+        assert.ok(app.isActive('s-result'));
+        assert.equal(app.text('result-frame-count'), n + (n === 1 ? ' object' : ' objects'));
+        assert.equal(app.text('result-frame-hint'), '↓ 1 ' + value.objects[0].name);
+        assert.equal(app.el('result-frame-wrap').querySelectorAll('.obj-box').length,
+          value.objects.filter(o => o.box).length);
+        break;
+      }
+      case 'compare':
+        assert.ok(app.isActive('s-compare'));
+        assert.ok(app.text('compare-body').includes(value.name_a));
+        assert.ok(app.text('compare-body').includes(value.name_b));
+        break;
+      default:
+        assert.ok(app.isActive('s-result'));
+        assert.equal(app.text('result-name'), value.name);
+        if (value.category) assert.equal(app.text('result-category'), value.category);
+        if (value.description) assert.equal(app.text('result-description'), value.description);
+        if (value.fun_fact) assert.equal(app.text('result-fact'), value.fun_fact);
+    }
+  });
+}
+
+// ── Hardware event sequences ────────────────
+
+test('card result: wheel pages through, then back to camera', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+  assert.ok(app.el('result-desc-page').classList.contains('active-page'));
+
+  app.fire('scrollUp');                        // above the first page: its top bar
+  assert.equal(app.get('resultPage'), 1);
+  assert.ok(app.el('btn-share-desc').classList.contains('focused'));
+  app.fire('scrollDown');                      // back down to the result
+  assert.equal(app.get('focusIndex'), -1);
+  assert.equal(app.get('resultPage'), 1);
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 2);
+  assert.ok(app.el('result-fact-page').classList.contains('active-page'));
+  assert.equal(app.text('result-fact'), 'Handles caught on in the 18th century.');
+  app.fire('scrollDown');
+  assert.equal(app.get('state'), 'camera');
+  assert.ok(app.isActive('s-camera'));
+});
+
+test('text lens: wheel scrolls a long transcript before paging', async () => {
+  const app = await appWithLens('translate');
+  const lines = Array.from({ length: 30 }, (_, i) => 'Line ' + (i + 1));
+  await scan(app, { data: JSON.stringify({ title: 'Notice', language: 'German',
+    translation: lines.join('\n'), original: lines.map(l => 'Zeile ' + l.slice(5)) }) });
+  assert.ok(app.el('s-result').classList.contains('text-layout'));
+  assert.equal(app.text('result-description'), lines.join('\n'));
+
+  const desc = app.el('result-desc-body');
+  desc.scrollHeight = 600;
+  desc.clientHeight = 200;
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 1);
+  assert.equal(desc.scrollTop, 80);
+  for (let i = 0; i < 4; i++) app.fire('scrollDown');   // to the end of the text
+  assert.equal(desc.scrollTop, 400);
+  assert.equal(app.get('resultPage'), 1);
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 2);
+  assert.equal(app.text('result-fact').split('\n')[0], 'Zeile 1');
+
+  app.fire('scrollUp');                        // back lands at the bottom
+  assert.equal(app.get('resultPage'), 1);
+  assert.equal(desc.scrollTop, 400);
+});
+
+test('PTT on a result returns to the camera; PTT again scans', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'camera');
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+});
+
+test('long press and scroll cancel analysis; the late reply is ignored', async () => {
+  const app = await appWithLens('standard');
+  app.fire('sideClick');
+  await app.advance(50);
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.get('activeRequest'), null);
+  app.deliver(MUG);
+  await app.advance(50);
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.get('scanHistory.length'), 0);
+
+  app.fire('sideClick');
+  await app.advance(50);
+  app.fire('scrollDown');
+  assert.equal(app.get('state'), 'camera');
+});
+
+test('a reply for another request does not land on this one', async () => {
+  const app = await appWithLens('standard');
+  app.fire('sideClick');
+  await app.advance(50);
+  app.deliver({ data: '{"name":"Old Scan","description":"Stale.","rid":"req_old_1"}' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  const rid = app.get('activeRequest.id');
+  app.deliver({ data: '{"name":"Coffee Mug","description":"A mug.","rid":"' + rid + '"}' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+});
+
+test('a cancelled scan that never got a reply does not swallow the next one', async () => {
+  const app = await appWithLens('standard');
+  app.fire('sideClick');
+  await app.advance(50);
+  app.fire('longPressEnd');                    // cancel; no reply ever comes
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.get('inflight.length'), 0);
+  await scan(app, MUG);                        // no rid on the envelope or in the JSON
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+});
+
+test('wheel zooms the camera', async () => {
+  const app = await appWithLens('standard');
+  app.fire('scrollUp');
+  app.fire('scrollUp');
+  assert.equal(app.get('ZOOM_LEVELS[zoomIndex]'), 2);
+  assert.equal(app.text('zoom-badge'), '2×');
+  assert.equal(app.el('zoom-badge').hidden, false);
+  app.fire('scrollDown');
+  app.fire('scrollDown');
+  app.fire('scrollDown');                      // clamps at 1×
+  assert.equal(app.get('ZOOM_LEVELS[zoomIndex]'), 1);
+  assert.equal(app.el('zoom-badge').hidden, true);
+});
+
+test('unreadable reply: PTT resends the same frame, long press gives up', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, { data: 'This looks like a coffee mug.' });
+  assert.equal(app.get('state'), 'retry');
+  assert.equal(app.text('retry-hint'), 'PTT retry · long press · new scan');
+
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  app.deliver(MUG);
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+
+  app.fire('sideClick');
+  await scan(app, { data: '<html>502</html>' });
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+});
+
+test('silence times out after the automatic retries', async () => {
+  const app = await appWithLens('standard');
+  app.fire('sideClick');
+  await app.advance(50);
+  await app.advance(5 * 60 * 1000);
+  assert.equal(app.get('state'), 'retry');
+  assert.equal(app.text('retry-title'), 'no answer');
+  assert.equal(app.get('outbox.length'), 1);
+
+  app.fire('longPressEnd');
+  app.el('btn-outbox').click();
+  assert.equal(app.get('state'), 'outbox');
+  app.el('outbox-discard-0').dispatchEvent(new FakeEvent('touchend'));
+  assert.equal(app.get('outbox.length'), 0);
+  assert.equal(app.el('outbox-empty').hidden, false);
+});
+
+test('outbox: the queue is capped by stored size and a failed save is shown', async () => {
+  const app = await appWithLens('standard');
+  const big = 'enqueueCapture({ lens: LENSES.standard, frame: { image: "data:image/jpeg;base64," + "A".repeat(100000) } }, "timeout")';
+  for (let i = 0; i < 5; i++) app.get(big);
+  await app.advance(10);
+  const stored = app.store[app.get('OUTBOX_KEY')];
+  assert.ok(stored.length <= app.get('OUTBOX_MAX_BYTES'));
+  assert.equal(app.get('outbox.length'), 3);
+  assert.equal(app.get('decodeStored')(stored).length, 3);
+
+  app.window.creationStorage.plain.setItem = async () => { throw new Error('QuotaExceededError'); };
+  app.get(big);
+  await app.advance(10);
+  assert.equal(app.text('error-toast'), 'Couldn’t store the queue — it is lost if sleuth closes');
+  assert.equal(app.get('outbox.length'), 3);
+});
+
+test('outbox: a capture queued during a resend never evicts the item being sent', async () => {
+  const app = await appWithLens('standard');
+  const big = 'enqueueCapture({ lens: LENSES.standard, frame: { image: "data:image/jpeg;base64," + "A".repeat(100000) } }, "timeout")';
+  for (let i = 0; i < 3; i++) app.get(big);
+  const ids = app.get('outbox.map(o => o.id)');
+  app.get('flushOutbox()');
+  assert.equal(app.get('outboxSend.item.id'), ids[0]);
+
+  app.get(big);
+  await app.advance(10);
+  const left = app.get('outbox.map(o => o.id)');
+  assert.equal(left.length, 3);
+  assert.equal(left[0], ids[0]);
+  assert.ok(!left.includes(ids[1]));
+  assert.equal(app.get('outboxSend.item.id'), ids[0]);
+
+  app.deliver(MUG);
+  await app.advance(50);
+  assert.equal(app.get('outboxSend'), null);
+  assert.equal(app.get('scanHistory[0].name'), 'Coffee Mug');
+  assert.ok(!app.get('outbox.map(o => o.id)').includes(ids[0]));
+});
+
+test('multi-object result: wheel walks each object, then out', async () => {
+  const app = await appWithLens('multi');
+  await scan(app, MULTI);
+  assert.equal(app.get('resultPage'), 0);
+  assert.equal(app.text('result-frame-count'), '2 objects');
+
+  app.fire('scrollDown');                      // object 1, description
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+  assert.equal(app.text('result-desc-num'), '1 / 2');
+  app.fire('scrollDown');                      // object 1, fact
+  assert.equal(app.get('resultPage'), 2);
+  assert.equal(app.text('result-end-hint'), '↓ 2 Desk Lamp');
+  app.fire('scrollDown');                      // object 2, description
+  assert.equal(app.text('result-name'), 'Desk Lamp');
+  assert.equal(app.text('result-desc-num'), '2 / 2');
+  app.fire('scrollUp');
+  app.fire('scrollUp');
+  app.fire('scrollUp');                        // back to the frame
+  assert.equal(app.get('resultPage'), 0);
+  assert.equal(app.text('result-frame-hint'), '↓ 1 Coffee Mug');
+
+  for (let i = 0; i < 5; i++) app.fire('scrollDown');
+  assert.equal(app.get('state'), 'camera');
+});
+
+test('hot dog verdict does not page; long press leaves', async () => {
+  const app = await appWithLens('hotdog');
+  await scan(app, { data: '{"result":"HOT DOG","reason":"A sausage in a bun."}' });
+  assert.equal(app.text('hd-icon'), '🌭');
+  app.fire('scrollDown');
+  app.fire('scrollUp');
+  assert.equal(app.get('state'), 'result');
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.el('hd-cam-overlay').classList.contains('hidden'), false);
+});
+
+test('history: wheel selects, PTT opens, leaving returns to the list', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  app.fire('sideClick');
+  await scan(app, { data: '{"name":"Desk Lamp","description":"An arm lamp."}' });
+  app.fire('sideClick');
+
+  app.el('btn-history').click();
+  assert.equal(app.get('state'), 'history');
+  assert.equal(app.text('history-count'), '1 / 2');
+  app.fire('scrollDown');
+  assert.equal(app.text('history-count'), '2 / 2');
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'history');
+
+  // A tap on the R1 screen is a touchend, like every other control
+  app.el('history-row-0').dispatchEvent(new FakeEvent('touchend'));
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Desk Lamp');
+  app.fire('longPressEnd');
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+});
+
+test('settings: PTT and long press both close', async () => {
+  const app = await appWithLens('standard');
+  app.el('btn-settings').click();
+  assert.equal(app.get('state'), 'settings');
+  app.fire('scrollDown');
+  assert.equal(app.get('state'), 'settings');
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'camera');
+  app.el('btn-settings').click();
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+});
+
+test('voice: the result is read from the screen and the wheel stops it', async () => {
+  const spoken = [];
+  const synth = { speak: u => spoken.push(u), cancel: () => spoken.push('cancel') };
+  const app = await loadApp({
+    url: URL_SILENT,
+    globals: { speechSynthesis: synth, SpeechSynthesisUtterance: function (text) { this.text = text; } },
+  });
+  app.el('btn-settings').click();
+  app.el('toggle-voice').click();
+  app.el('btn-close-settings').click();
+  await scan(app, MUG);
+  assert.equal(spoken[0].text, 'Coffee Mug. A ceramic mug. ' + app.text('result-fact-label') + ': ' + app.text('result-fact'));
+  assert.equal(spoken[0].lang, 'en-US');
+  app.fire('scrollDown');
+  assert.equal(spoken[spoken.length - 1], 'cancel');
+  assert.equal(app.get('speechActive'), false);
+});
+
+test('voice: a browser backend without speech synthesis says so and shows only', async () => {
+  const sent = [];
+  const app = await loadApp({ url: URL_SILENT, globals: { PluginMessageHandler: { postMessage: m => sent.push(m) } } });
+  app.el('btn-settings').click();
+  app.el('toggle-voice').click();
+  assert.equal(app.text('error-toast'), 'No speech on this device — results stay on screen only');
+  app.el('btn-close-settings').click();
+  await scan(app, MUG);
+  assert.equal(app.get('state'), 'result');
+  assert.equal(sent.length, 0);
+  assert.equal(app.get('inflight.length'), 0);
+});
+
+test('voice: on the R1 the request asks the device to read the reply', async () => {
+  const posted = [];
+  const app = await loadApp({ globals: { PluginMessageHandler: { postMessage: m => posted.push(JSON.parse(m)) } } });
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(posted[0].wantsR1Response, false);
+  app.fire('longPressEnd');
+
+  app.el('btn-settings').click();
+  app.el('toggle-voice').click();
+  assert.notEqual(app.text('error-toast'), 'No speech on this device — results stay on screen only');
+  app.el('btn-close-settings').click();
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(posted[1].wantsR1Response, true);
+  assert.equal(app.get('activeRequest.speech'), 'r1');
+});
+
+test('wheel focus: settings are worked from the wheel, the top bar from a long press', async () => {
+  const app = await appWithLens('standard');
+  app.fire('longPressEnd');                    // top bar: history first (the outbox is empty)
+  assert.ok(app.el('btn-history').classList.contains('focused'));
+  app.fire('scrollDown');
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'settings');
+  assert.equal(app.get('focusIndex'), -1);     // a new screen starts unfocused
+
+  app.fire('scrollDown');                      // close, then the schema rows
+  app.fire('scrollDown');
+  assert.ok(app.el('toggle-voice').classList.contains('focused'));
+  assert.equal(app.el('btn-close-settings').classList.contains('focused'), false);
+  app.fire('sideClick');
+  assert.equal(app.get('settings.voice'), true);
+  assert.equal(app.get('state'), 'settings');
+  assert.ok(app.el('toggle-voice').classList.contains('focused'));
+  app.fire('scrollUp');
+  app.fire('scrollUp');                        // stays on the first control
+  assert.ok(app.el('btn-close-settings').classList.contains('focused'));
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.el('btn-close-settings').classList.contains('focused'), false);
+
+  app.fire('longPressEnd');                    // in and straight out of the top bar
+  app.fire('longPressEnd');
+  assert.equal(app.get('focusIndex'), -1);
+  app.fire('scrollUp');                        // the wheel zooms again
+  assert.equal(app.get('ZOOM_LEVELS[zoomIndex]'), 1.5);
+});
+
+test('wheel focus: up from the top of a result reaches its share button', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  app.fire('scrollUp');
+  assert.ok(app.el('btn-share-desc').classList.contains('focused'));
+  app.fire('sideClick');
+  await app.advance(2000);
+  assert.equal(app.get('decodeStored')(app.store[app.get('CARDS_KEY')]).length, 1);
+  assert.equal(app.get('state'), 'result');
+
+  const hd = await appWithLens('hotdog');
+  await scan(hd, { data: '{"result":"NOT HOT DOG","reason":"A mug."}' });
+  hd.fire('scrollUp');
+  assert.ok(hd.el('btn-share-hd').classList.contains('focused'));
+  hd.fire('scrollDown');                       // past the last control: back to the verdict
+  assert.equal(hd.get('focusIndex'), -1);
+  hd.fire('longPressEnd');
+  assert.equal(hd.get('state'), 'camera');
+});
+
+test('auto mode: a steady new subject is identified once, then rate limited', async () => {
+  const app = await appWithLens('standard');
+  app.el('btn-settings').click();
+  app.el('toggle-auto').click();
+  assert.equal(app.get('settings.auto'), true);
+  app.fire('sideClick');                       // close settings
+  const target = app.get('targetRect()');
+  assert.ok(target.classList.contains('auto-armed'));
+  assert.equal(app.el('auto-badge').hidden, false);
+
+  await app.advance(700);                      // still settling
+  assert.equal(app.get('state'), 'camera');
+  assert.ok(target.classList.contains('auto-locking'));
+  await app.advance(1000);
+  assert.equal(app.get('state'), 'analyzing');
+  assert.ok(!target.classList.contains('auto-armed'));
+  app.deliver(MUG);
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+
+  app.fire('sideClick');                       // same view: not identified again
+  await app.advance(8000);
+  assert.equal(app.get('state'), 'camera');
+
+  app.fire('sideClick');                       // PTT still works; it counts towards the limit
+  await app.advance(50);
+  app.deliver(MUG);
+  await app.advance(50);
+  app.fire('sideClick');
+  app.get('sampleScene = () => new Uint8Array(SCENE_GRID_W * SCENE_GRID_H).fill(30)');
+  await app.advance(3000);
+  assert.equal(app.get('state'), 'camera');
+  await app.advance(2500);
+  assert.equal(app.get('state'), 'analyzing');
+  assert.equal(app.get('scanHistory.length'), 2);
+});
+
+test('auto mode: a view skipped as too dark is tried again after the gap', async () => {
+  const app = await appWithLens('standard');
+  app.get('settings.auto = true; setState(STATES.CAMERA)');
+  const assess = app.get('assessFrame');
+  app.get('assessFrame = () => ({ problem: "dark" })');
+  await app.advance(4500);
+  assert.equal(app.get('state'), 'camera');    // fired, skipped silently
+  assert.ok(app.get('sceneWatcher.firedAt') > 0);
+  assert.equal(app.get('sceneWatcher.subject'), null);
+  app.window.assessFrame = assess;             // the light comes on; same view
+  await app.advance(5500);
+  assert.equal(app.get('state'), 'analyzing');
+});
+
+test('share: the result card is saved to storage', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  app.el('btn-share-fact').click();
+  app.el('btn-share-fact').click();            // ignored while the first is drawn
+  await app.advance(2000);                     // the frame never loads here; drawn without it
+  const cards = app.get('decodeStored')(app.store[app.get('CARDS_KEY')]);
+  assert.equal(cards.length, 1);
+  assert.equal(cards[0].name, 'Coffee Mug');
+  assert.equal(cards[0].entryId, app.get('scanHistory[0].id'));
+  assert.ok(cards[0].image.startsWith('data:image/jpeg;base64,'));
+  assert.equal(app.text('error-toast'), 'Card saved');
+  assert.equal(app.get('state'), 'result');
+});
+
+test('share: with the journal on, the card goes through the bridge', async () => {
+  const sent = [];
+  const app = await loadApp({
+    url: URL_SILENT,
+    store: { sleuth_v1_settings: Buffer.from(JSON.stringify({ journal: true })).toString('base64') },
+    globals: { PluginMessageHandler: { postMessage: m => sent.push(JSON.parse(m)) } },
+  });
+  assert.equal(app.el('toggle-journal').textContent, 'ON');
+  await scan(app, MUG);
+  app.el('btn-share-desc').click();
+  await app.advance(2000);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].wantsJournalEntry, true);
+  assert.ok(sent[0].imageBase64.startsWith('data:image/jpeg'));
+  assert.ok(sent[0].message.includes('Coffee Mug — Kitchenware'));
+  assert.equal(app.text('error-toast'), 'Card sent to your journal');
+  assert.equal(app.store[app.get('CARDS_KEY')], undefined);
+
+  // Its acknowledgement can't take the next scan's reply
+  assert.ok(/^jr_/.test(sent[0].requestId));
+  app.fire('longPressEnd');
+  app.fire('sideClick');
+  await app.advance(50);
+  app.deliver({ data: '{"rid":"' + sent[0].requestId + '"}' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  app.deliver(MUG);
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.get('inflight.length'), 0);
+});
+
+test('share: a journal ack without an id is not taken for the next scan\'s reply', async () => {
+  const sent = [];
+  const app = await loadApp({
+    url: URL_SILENT,
+    store: { sleuth_v1_settings: Buffer.from(JSON.stringify({ journal: true })).toString('base64') },
+    globals: { PluginMessageHandler: { postMessage: m => sent.push(JSON.parse(m)) } },
+  });
+  await scan(app, MUG);
+  app.el('btn-share-desc').click();
+  await app.advance(2000);
+  app.fire('longPressEnd');
+  app.fire('sideClick');
+  await app.advance(50);
+  const ids = app.get('inflight.map(f => f.requestId)');
+  assert.equal(ids.length, 2);
+  assert.ok(/^jr_/.test(ids[0]) && /^req_/.test(ids[1]));
+
+  app.deliver({ data: 'Saved to your journal.' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  assert.equal(app.get('inflight[0].requestId'), ids[1]);
+  app.deliver({ data: JSON.stringify({ name: 'Teapot', category: 'Kitchenware', description: 'A pot.' }) });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Teapot');
+});
+
+test('unsure result: confidence beside the pill, then other possibilities to pick from', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, { data: JSON.stringify({
+    name: 'Porcini', category: 'Food', description: 'A prized wild mushroom.', fun_fact: 'Gathered since Roman times.',
+    confidence: 0.55, alternatives: [{ name: 'Bay Bolete', confidence: 0.25 }, 'Bitter Bolete'],
+  }) });
+  assert.equal(app.text('result-confidence'), '55% sure');
+  assert.ok(app.el('result-confidence').classList.contains('medium'));
+  assert.equal(app.text('result-desc-num'), '1 / 3');
+  assert.equal(app.text('result-end-hint'), '↓ other possibilities');
+
+  app.fire('scrollDown');
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 3);
+  assert.ok(app.el('result-alt-page').classList.contains('active-page'));
+  const rows = () => app.el('result-alt-list').children;
+  assert.deepEqual(rows().map(r => r.textContent), ['Bay Bolete25%', 'Bitter Bolete']);
+  assert.equal(rows().some(r => r.classList.contains('selected')), false);
+  assert.equal(app.el('result-alt-pick').hidden, true);
+  app.fire('scrollDown');                      // selects, stays on the page
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 3);
+  assert.ok(rows()[1].classList.contains('selected'));
+  assert.equal(app.el('result-alt-pick').hidden, false);
+
+  // PTT re-runs the same frame as the pick
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'analyzing');
+  assert.equal(app.get('activeRequest.subject'), 'Bitter Bolete');
+  assert.ok(app.get('buildPrompt(activeRequest.lens, "req_1", null, activeRequest.subject)')
+    .includes('The user says the subject is "Bitter Bolete"'));
+  app.deliver({ data: JSON.stringify({ name: 'Bitter Bolete', category: 'Food', description: 'A bitter lookalike.', confidence: 0.8, alternatives: [] }) });
+  await app.advance(50);
+  assert.equal(app.text('result-name'), 'Bitter Bolete');
+  assert.ok(app.el('result-confidence').classList.contains('high'));
+  assert.equal(app.text('result-desc-num'), '1 / 2');
+  assert.equal(app.get('scanHistory.length'), 2);
+  assert.equal(app.get('scanHistory[1].alternatives.length'), 2);
+
+  // From history the list is there to read, but there is no frame to resend
+  app.fire('longPressEnd');
+  app.el('btn-history').click();
+  app.fire('scrollDown');
+  app.fire('sideClick');
+  assert.equal(app.text('result-name'), 'Porcini');
+  app.fire('scrollDown');
+  app.fire('scrollDown');
+  assert.ok(app.el('result-alt-page').classList.contains('active-page'));
+  assert.equal(app.el('result-alt-pick').hidden, true);
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'history');
+});
+
+test('other possibilities: PTT leaves until the wheel selects a row; a tap picks', async () => {
+  const unsure = { data: JSON.stringify({
+    name: 'Porcini', category: 'Food', description: 'A prized wild mushroom.',
+    confidence: 0.55, alternatives: ['Bay Bolete', 'Bitter Bolete'],
+  }) };
+  const app = await appWithLens('standard');
+  await scan(app, unsure);
+  app.fire('scrollDown');
+  app.fire('scrollDown');
+  assert.equal(app.get('resultPage'), 3);
+  app.fire('sideClick');                       // done reading: no re-scan
+  assert.equal(app.get('state'), 'camera');
+
+  await scan(app, unsure);
+  app.fire('scrollDown');
+  app.fire('scrollDown');
+  app.el('alt-1').click();
+  assert.equal(app.get('state'), 'analyzing');
+  assert.equal(app.get('activeRequest.subject'), 'Bitter Bolete');
+});
+
+test('compare: A is held, the need is spoken, and the pair goes out as one request', async () => {
+  const app = await appWithLens('compare');
+  await holdA(app);
+  assert.ok(app.isActive('s-camera'));
+  assert.equal(app.el('compare-held').hidden, false);
+  assert.equal(app.text('cam-hint'), 'PTT · capture B · hold PTT · say what it’s for');
+
+  // Holding PTT says what the pair is for
+  app.fire('longPressStart');
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'compare');
+  assert.equal(app.text('compare-need'), 'for: Chopping vegetables in a small kitchen');
+
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+  assert.equal(app.get('compareHold'), null);
+  assert.equal(app.get('activeRequest.imageCount'), 2);
+  assert.equal(app.get('activeRequest.frameMeta.crop'), 'pair');
+  assert.equal(app.get('activeRequest.frameMeta.parts.length'), 2);
+  assert.ok(app.get('buildPrompt(activeRequest.lens, "req_1", activeRequest.frame)')
+    .includes('The user needs it for: "Chopping vegetables in a small kitchen"'));
+
+  app.deliver({ data: app.get('LENSES.compare.mock') });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+  assert.ok(app.isActive('s-compare'));
+  assert.equal(app.text('compare-num'), '1 / 4');
+  assert.equal(app.text('compare-hint'), '↓ differences');
+  app.fire('scrollDown');
+  assert.equal(app.el('compare-body').querySelector('.compare-list').children.length, 3);
+  app.fire('scrollDown');
+  assert.equal(app.text('compare-hint'), '↓ best fit');
+  app.fire('scrollDown');
+  assert.ok(app.text('compare-body').includes('for: Chopping vegetables in a small kitchen'));
+  assert.equal(app.el('compare-body').querySelector('.result-name').textContent, 'Santoku Knife');
+  assert.equal(app.text('compare-hint'), '↓ back to camera');
+
+  assert.equal(app.get('historyRowText(scanHistory[0]).name'), 'Chef\'s Knife vs Santoku Knife');
+  assert.equal(app.get('scanHistory[0].compare.need'), 'Chopping vegetables in a small kitchen');
+  app.fire('scrollDown');
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.el('compare-held').hidden, true);
+});
+
+test('compare: a refused B keeps A; leaving the viewfinder drops it', async () => {
+  const app = await appWithLens('compare');
+  await holdA(app);
+  app.get('video.videoWidth = 0');
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'compare');
+  assert.ok(app.get('compareHold !== null'));
+  app.get('video.videoWidth = 640');
+
+  app.el('btn-settings').click();
+  assert.equal(app.get('compareHold'), null);
+  app.fire('sideClick');
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.el('compare-held').hidden, true);
+
+  await holdA(app);
+  app.el('btn-compare-drop').click();
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.get('compareHold'), null);
+});
+
+test('compare: the http backend gets A and B as separate images', async () => {
+  const bodies = [];
+  const mock = require('../js/lenses.js').LENSES.compare.mock;
+  const fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return { ok: true, json: async () => ({ choices: [{ message: { content: mock } }] }) };
+  };
+  const app = await loadApp({ url: '?backend=http', globals: { fetch: fetch } });
+  app.get('settings.lens = "compare"; setState(STATES.CAMERA)');
+  await holdA(app);
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.deepEqual(bodies[0].messages[0].content.map(c => c.type), ['text', 'image_url', 'image_url']);
+  assert.equal(app.get('state'), 'result');
+  assert.ok(app.isActive('s-compare'));
+});
+
+const WINE_PRESET = {
+  name: 'Wine pairing',
+  prompt: 'Suggest a wine for the dish in the photo.',
+  fields: { name: 'wine', category: 'color', description: 'why', fun_fact: 'serve' },
+  factLabel: 'serving',
+  voice: true,
+};
+
+test('presets: imported in settings, picked as a lens, kept across reloads and deleted', async () => {
+  const app = await loadApp({ url: URL_SILENT });
+  app.el('btn-settings').click();
+  app.el('btn-presets-import').click();
+  await app.advance(10);
+  assert.equal(app.text('error-toast'), 'Paste JSON in the box first');
+
+  app.el('transfer-json').value = JSON.stringify({ format: 'sleuth-presets', version: 1, presets: [WINE_PRESET, { name: 'Broken' }] });
+  app.el('btn-presets-import').click();
+  await app.advance(10);
+  assert.equal(app.text('error-toast'), '1 preset imported · 1 skipped');
+  assert.equal(app.el('transfer-json').value, '');
+  const id = app.get('LENSES[Object.keys(LENSES).pop()].id');
+  assert.ok(id.startsWith('preset:'));
+  assert.ok(app.store.sleuth_v1_presets);
+
+  app.el('lens-' + id).click();
+  app.el('btn-close-settings').click();
+  assert.equal(app.text('lens-badge'), '✎ Wine pairing');
+  assert.equal(app.text('cam-hint'), 'PTT · ask your prompt');
+  assert.ok(app.get('buildPrompt(currentLens(), "req_1", null)').startsWith(WINE_PRESET.prompt));
+
+  await scan(app, { data: '{"wine":"Riesling","color":"White","why":"Cuts the spice.","serve":"Chill it well."}' });
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Riesling');
+  assert.equal(app.text('result-fact-label'), 'serving');
+  // The preset speaks even with the voice setting off
+  assert.equal(app.get('settings.voice'), false);
+  assert.equal(app.get('voiceWanted(viewLens)'), true);
+
+  const reloaded = await loadApp({ url: URL_SILENT, store: app.store });
+  assert.equal(reloaded.get('settings.lens'), id);
+  assert.equal(reloaded.get('currentLens().label'), 'Wine pairing');
+
+  reloaded.el('btn-settings').click();
+  reloaded.el('btn-presets-export').click();
+  await reloaded.advance(10);
+  assert.equal(JSON.parse(reloaded.el('transfer-json').value).presets[0].prompt, WINE_PRESET.prompt);
+  reloaded.el('preset-drop-' + id.slice('preset:'.length)).click();
+  await reloaded.advance(10);
+  assert.equal(reloaded.get('settings.lens'), 'standard');
+  assert.equal(reloaded.get('presets.length'), 0);
+  assert.equal(reloaded.get('LENSES[' + JSON.stringify(id) + ']'), undefined);
+});
+
+test('presets: written and edited on the device from the lens list', async () => {
+  const app = await loadApp({ url: URL_SILENT });
+  app.el('btn-settings').click();
+  app.el('preset-prompt').value = 'Which tea is this?';
+  app.el('btn-preset-save').click();
+  assert.equal(app.text('error-toast'), 'Give the preset a name');
+  assert.equal(app.get('presets.length'), 0);
+
+  app.el('preset-name').value = '  Tea  ';
+  app.el('btn-preset-save').click();
+  await app.advance(10);
+  assert.equal(app.text('error-toast'), 'Tea added');
+  const pid = app.get('presets[0].id');
+  assert.equal(app.get('presets[0].prompt'), 'Which tea is this?');
+  assert.ok(app.store.sleuth_v1_presets);
+  assert.equal(app.el('preset-name').value, '');
+  assert.equal(app.text('preset-editing'), 'New Preset');
+  app.el('lens-preset:' + pid).click();
+  assert.equal(app.get('settings.lens'), 'preset:' + pid);
+
+  // ✎ loads it; a rename keeps the lens id, so the selection holds
+  app.el('preset-edit-' + pid).click();
+  assert.equal(app.el('preset-name').value, 'Tea');
+  assert.equal(app.text('preset-editing'), 'Editing Tea');
+  assert.equal(app.el('btn-preset-clear').hidden, false);
+  app.el('preset-name').value = 'Loose tea';
+  app.el('preset-prompt').value = 'Name the loose-leaf tea.';
+  app.el('btn-preset-save').click();
+  await app.advance(10);
+  assert.equal(app.text('error-toast'), 'Loose tea saved');
+  assert.equal(app.get('presets.length'), 1);
+  assert.equal(app.get('presets[0].id'), pid);
+  assert.equal(app.get('currentLens().label'), 'Loose tea');
+  assert.ok(app.get('buildPrompt(currentLens(), "req_1", null)').startsWith('Name the loose-leaf tea.'));
+
+  // A second preset can't take a name already in use
+  app.el('preset-name').value = 'loose TEA';
+  app.el('preset-prompt').value = 'x';
+  app.el('btn-preset-save').click();
+  assert.equal(app.text('error-toast'), 'A preset with that name exists');
+  assert.equal(app.get('presets.length'), 1);
+});
+
+test('presets: the wheel can step through lenses on the camera instead of zooming', async () => {
+  const app = await loadApp({ url: URL_SILENT, store: {
+    sleuth_v1_presets: Buffer.from(JSON.stringify([WINE_PRESET])).toString('base64'),
+  } });
+  app.el('btn-settings').click();
+  app.el('cycle-wheel').click();
+  await app.advance(10);
+  assert.equal(app.text('cycle-wheel'), 'lens');
+  app.el('btn-close-settings').click();
+
+  app.fire('scrollDown');
+  assert.equal(app.get('settings.lens'), 'plant');
+  assert.equal(app.get('zoomIndex'), 0);
+  app.fire('scrollUp');
+  app.fire('scrollUp');
+  assert.equal(app.get('settings.lens'), app.get('LENSES[Object.keys(LENSES).pop()].id'));
+  assert.equal(app.text('cam-hint'), 'PTT · ask your prompt');
+
+  const reloaded = await loadApp({ url: URL_SILENT, store: app.store });
+  assert.equal(reloaded.get('settings.wheel'), 'lens');
+});
+
+const stored = value => Buffer.from(JSON.stringify(value)).toString('base64');
+const decoded = raw => JSON.parse(Buffer.from(raw, 'base64').toString());
+
+test('settings: rows come from the schema and an old save is migrated on load', async () => {
+  const app = await loadApp({ url: URL_SILENT, store: {
+    sleuth_v1_settings: stored({ voice: true, hotdog: true, camera: 'cam-7', retries: 7 }),
+  } });
+  assert.equal(app.get('settings.lens'), 'hotdog');
+  assert.equal(app.get('settings.hotdogUnlocked'), true);
+  assert.equal(app.get('settings.retries'), 2);
+  assert.equal(app.get('settings.camera'), 'cam-7');
+  await app.advance(10);
+  // Rewritten at the current version, with the camera moved to the secure area
+  const plain = decoded(app.store.sleuth_v1_settings);
+  assert.equal(plain.version, app.get('SETTINGS_VERSION'));
+  assert.equal('camera' in plain, false);
+  assert.equal(decoded(app.store['secure:sleuth_v1_settings']).camera, 'cam-7');
+
+  const rows = app.el('settings-rows').children;
+  assert.equal(rows.length, app.get('Object.values(SETTINGS_SCHEMA).filter(d => d.control).length'));
+  assert.equal(app.text('toggle-voice-label'), 'R1 Voice Response');
+  assert.equal(app.text('toggle-voice'), 'ON');
+  app.el('btn-settings').click();
+  app.el('toggle-voice').click();
+  app.el('cycle-retries').click();
+  await app.advance(10);
+  assert.equal(app.text('toggle-voice'), 'OFF');
+  assert.equal(app.text('cycle-retries'), '3×');
+
+  const reloaded = await loadApp({ url: URL_SILENT, store: app.store });
+  assert.equal(reloaded.get('settings.voice'), false);
+  assert.equal(reloaded.get('settings.retries'), 3);
+  assert.equal(reloaded.get('settings.camera'), 'cam-7');
+});
+
+test('settings: exported through the JSON box and imported on another device', async () => {
+  const app = await loadApp({ url: URL_SILENT });
+  app.el('btn-settings').click();
+  app.el('cycle-wheel').click();
+  app.el('cycle-language').click();
+  app.el('btn-settings-export').click();
+  await app.advance(10);
+  const blob = app.el('transfer-json').value;
+  assert.equal(JSON.parse(blob).settings.wheel, 'lens');
+
+  const other = await loadApp({ url: URL_SILENT });
+  other.el('btn-settings').click();
+  other.el('transfer-json').value = '{"format":"something-else"}';
+  other.el('btn-settings-import').click();
+  await other.advance(10);
+  assert.equal(other.text('error-toast'), 'That isn’t a sleuth settings export');
+
+  other.el('transfer-json').value = blob;
+  other.el('btn-settings-import').click();
+  await other.advance(10);
+  assert.equal(other.get('settings.wheel'), 'lens');
+  assert.equal(other.get('settings.language'), 'es');
+  assert.equal(other.text('error-toast'), '2 ajustes cambiados');
+  assert.equal(other.text('cycle-language'), 'Español');
+  assert.equal(decoded(other.store.sleuth_v1_settings).wheel, 'lens');
+});
+
+test('camera: a new pick opens when settings close, replacing the old tracks', async () => {
+  const devices = [
+    { kind: 'audioinput', deviceId: 'mic-1', label: 'Mic' },
+    { kind: 'videoinput', deviceId: 'usb-1', label: 'USB Camera' },
+  ];
+  const app = await loadApp({ url: URL_SILENT, devices: devices });
+  const last = () => app.media.constraints[app.media.constraints.length - 1].video;
+  assert.equal(last().facingMode, 'environment');
+  assert.equal(last().height.ideal, 480);
+  assert.equal(app.text('cycle-camera'), 'Rear');
+
+  app.el('btn-settings').click();
+  app.el('cycle-camera').click();
+  assert.equal(app.text('cycle-camera'), 'Front');
+  app.fire('sideClick');                       // close settings
+  await app.advance(2500);
+  assert.equal(last().facingMode, 'user');
+  assert.deepEqual(app.media.tracks.map(t => t.readyState), ['ended', 'live']);
+
+  app.el('btn-settings').click();
+  app.el('cycle-camera').click();
+  app.el('cycle-resolution').click();
+  app.fire('sideClick');
+  await app.advance(2500);
+  assert.equal(app.text('cycle-camera'), 'USB Camera');
+  assert.equal(app.text('cycle-resolution'), '720p');
+  assert.equal(last().deviceId.exact, 'usb-1');
+  assert.equal(last().height.ideal, 720);
+  assert.equal(app.media.tracks.filter(t => t.readyState === 'live').length, 1);
+  assert.ok(app.el('video').srcObject);
+
+  // Saved with the other settings and used on the next start
+  const reloaded = await loadApp({ url: URL_SILENT, devices: devices, store: app.store });
+  assert.equal(reloaded.media.constraints[0].video.deviceId.exact, 'usb-1');
+  assert.equal(reloaded.text('cycle-camera'), 'USB Camera');
+});
+
+test('camera: released in settings and while hidden, reopened on return', async () => {
+  const app = await loadApp({ url: URL_SILENT });
+  const live = () => app.media.tracks.filter(t => t.readyState === 'live').length;
+  assert.equal(app.get('cameraStatus'), 'live');
+  assert.equal(live(), 1);
+
+  app.el('btn-settings').click();
+  assert.equal(live(), 0);
+  assert.equal(app.get('cameraStatus'), 'paused');
+  app.fire('sideClick');
+  await app.advance(2500);
+  assert.equal(app.media.tracks.length, 2);
+  assert.equal(live(), 1);
+  assert.equal(app.get('cameraStatus'), 'live');
+
+  app.setHidden(true);
+  assert.equal(live(), 0);
+  app.setHidden(false);
+  await app.advance(2500);
+  assert.equal(live(), 1);
+
+  // Back into settings before the reopen lands: the late stream is dropped
+  app.el('btn-settings').click();
+  app.fire('sideClick');
+  app.el('btn-settings').click();
+  await app.advance(2500);
+  assert.equal(live(), 0);
+  assert.equal(app.el('video').srcObject, null);
+});
+
+test('camera: lost streams reconnect, then give way to the no-camera screen until PTT', async () => {
+  const app = await loadApp({ url: URL_SILENT });
+  const last = () => app.media.tracks[app.media.tracks.length - 1];
+
+  app.media.tracks[0].dispatchEvent(new FakeEvent('ended'));
+  assert.equal(app.get('cameraStatus'), 'reconnecting');
+  await app.advance(1000 + 2500);
+  assert.equal(app.media.tracks.length, 2);
+  assert.equal(app.get('cameraStatus'), 'live');
+
+  // A picture that stops moving counts as lost too
+  app.el('video').currentTime = 5;
+  await app.advance(10000);
+  assert.equal(app.media.tracks.length, 3);
+  assert.equal(last().readyState, 'live');
+  app.el('video').currentTime = undefined;
+
+  // Every reopen fails: back off, then show the no-camera screen
+  app.media.fail = 'NotReadableError';
+  last().dispatchEvent(new FakeEvent('ended'));
+  await app.advance(1000 + 2000 + 4000 + 8000);
+  assert.equal(app.get('state'), 'no-camera');
+  assert.ok(app.isActive('s-no-camera'));
+  assert.equal(app.text('nocam-detail'), 'The camera stopped sending pictures.');
+  app.fire('scrollUp');
+  assert.equal(app.get('state'), 'no-camera');
+
+  app.media.fail = null;
+  app.fire('sideClick');
+  assert.equal(app.text('nocam-detail'), 'Opening the camera…');
+  await app.advance(2500);
+  assert.equal(app.get('state'), 'camera');
+  assert.equal(app.get('cameraStatus'), 'live');
+
+  // Refused on the way back from settings; long press returns there
+  app.media.fail = 'NotAllowedError';
+  app.el('btn-settings').click();
+  app.fire('sideClick');
+  await app.advance(100);
+  assert.equal(app.get('state'), 'no-camera');
+  assert.match(app.text('nocam-detail'), /denied/);
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'settings');
+});
+
+test('diagnostics: hidden gesture, wheel scroll, PTT export', async () => {
+  const app = await appWithLens('standard');
+  assert.equal(app.el('row-diagnostics').hidden, true);
+  assert.equal(app.get('diagLog.entries().some(e => e.level === "debug")'), false);
+
+  app.el('btn-settings').click();
+  for (let i = 0; i < 5; i++) app.el('settings-title').click();
+  await app.advance(10);
+  assert.equal(app.get('settings.diagnostics'), true);
+  assert.equal(app.el('row-diagnostics').hidden, false);
+
+  app.el('btn-diagnostics').click();
+  assert.equal(app.get('state'), 'diagnostics');
+  assert.ok(app.el('diag-list').children.length > 0);
+  app.el('diag-list').scrollTop = 200;
+  app.fire('scrollUp');
+  assert.equal(app.el('diag-list').scrollTop, 140);
+
+  app.fire('sideClick');
+  await app.advance(10);
+  const report = JSON.parse(Buffer.from(app.store.sleuth_v1_diagnostics, 'base64').toString());
+  assert.equal(report.snapshot.state, 'diagnostics');
+  assert.ok(report.log.some(line => line.includes('snapshot/dom-ready')));
+  assert.equal(app.text('error-toast'), 'log saved');
+
+  app.fire('longPressEnd');
+  assert.equal(app.get('state'), 'settings');
+});
+
+test('diagnostics: ?diag=1 turns it on without saving', async () => {
+  const app = await loadApp({ url: URL_SILENT + '&diag=1' });
+  assert.equal(app.el('row-diagnostics').hidden, false);
+  assert.equal(app.get('settings.diagnostics'), false);
+  assert.ok(app.logs.length > 0);   // mirrored to the console
+});
+
+// ── Language ────────────────────────────────
+
+/** Markup element carrying data-i18n="key". */
+function keyed(app, key) {
+  return app.document.querySelectorAll('[data-i18n]').find(el => el.dataset.i18n === key);
+}
+
+test('language: follows the device and localizes markup, lens text and direction', async () => {
+  const app = await loadApp({ url: URL_SILENT, language: 'ar-EG' });
+  assert.equal(app.get('settings.language'), 'ar');
+  assert.equal(app.document.documentElement.dir, 'rtl');
+  assert.equal(app.document.documentElement.lang, 'ar');
+  assert.equal(app.text('cam-hint'), 'ضع الشيء في المنتصف · PTT للتعرّف');
+  assert.equal(keyed(app, 'history.empty').textContent, 'لا توجد عمليات مسح بعد');
+  assert.equal(app.el('btn-history').getAttribute('aria-label'), 'السجل');
+  assert.equal(app.text('toggle-voice'), 'إيقاف');
+  assert.equal(app.text('cycle-language'), 'العربية');
+});
+
+test('language: the setting cycles, persists and reaches the prompt', async () => {
+  const app = await appWithLens('standard');
+  assert.equal(app.get('settings.language'), 'en');
+  assert.ok(!app.get('buildPrompt(LENSES.standard, "req_1", null)').includes('Write every text value'));
+
+  app.el('btn-settings').click();
+  app.el('cycle-language').click();
+  await app.advance(10);
+  assert.equal(app.get('settings.language'), 'es');
+  assert.equal(app.text('cycle-language'), 'Español');
+  assert.equal(app.text('cycle-language-label'), 'Idioma');
+  assert.equal(app.document.documentElement.dir, 'ltr');
+
+  const prompt = app.get('buildPrompt(LENSES.standard, "req_1", null)');
+  assert.ok(prompt.includes('Write every text value in Spanish, except "category"'));
+  assert.ok(prompt.endsWith('"rid":"req_1" in the JSON.'));
+  assert.ok(app.get('buildPrompt(LENSES.translate, "req_2", null)').includes('translate it to Spanish'));
+
+  const reloaded = await loadApp({ url: URL_SILENT, store: app.store });
+  assert.equal(reloaded.get('settings.language'), 'es');
+});
+
+test('language: the category comes back in English and shows localized', async () => {
+  const app = await appWithLens('standard');
+  app.get('settings.language = "de"; applyLanguage(); setState(STATES.CAMERA)');
+  assert.equal(app.text('cam-hint'), 'Objekt mittig · PTT zum Erkennen');
+
+  await scan(app, MUG);
+  assert.equal(app.text('result-category'), 'Küchenutensil');
+  assert.equal(app.text('result-name'), 'Coffee Mug');
+  assert.equal(app.text('result-fact-label'), 'Wissenswertes');
+
+  // Off-list categories and other lenses' category slot pass through untouched
+  assert.equal(app.get('categoryLabel("Stationery")'), 'Stationery');
+  app.fire('sideClick');
+  app.el('btn-history').click();
+  assert.equal(app.el('history-list').children[0].textContent, 'Coffee MugKüchenutensil · gerade eben');
+});
+
+// ── Bridge channels ─────────────────────────
+
+/** App on the R1 backend, with the host bridge recording what was posted. */
+async function appOnBridge() {
+  const posted = [];
+  const app = await loadApp({ globals: { PluginMessageHandler: { postMessage: m => posted.push(JSON.parse(m)) } } });
+  app.posted = posted;
+  return app;
+}
+
+test('bridge: a reply seen on several channels is delivered once and locks the channel', async () => {
+  const app = await appOnBridge();
+  app.fire('sideClick');
+  await app.advance(50);
+  assert.equal(app.posted.length, 1);
+
+  app.deliver(MUG);
+  app.deliver(MUG);
+  app.window.dispatchEvent(new FakeEvent('message', { data: JSON.stringify(MUG) }));
+  app.document.dispatchEvent(new FakeEvent('pluginMessage', { detail: MUG }));
+  await app.advance(50);
+
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.get('scanHistory.length'), 1);
+  const report = JSON.parse(app.get('JSON.stringify(r1MessagingClient.report())'));
+  assert.equal(report.channel, 'onPluginMessage');
+  assert.equal(report.pending, 0);
+  assert.deepEqual(report.channels.onPluginMessage, { received: 2, delivered: 1, duplicate: 1, ignored: 0 });
+  assert.equal(report.channels['window.message'].ignored, 1);
+  assert.equal(report.channels['document.pluginMessage'].ignored, 1);
+  assert.ok(app.get('diagLog.entries().some(e => e.text === "bridge/locked")'));
+});
+
+test('bridge: once locked, another channel only gets through with a pending request id', async () => {
+  const app = await appOnBridge();
+  app.fire('sideClick');
+  await app.advance(50);
+  app.window.dispatchEvent(new FakeEvent('pluginMessage', { detail: MUG }));
+  await app.advance(50);
+  assert.equal(app.get('r1MessagingClient.channel'), 'window.pluginMessage');
+
+  app.fire('sideClick');
+  app.fire('sideClick');
+  await app.advance(50);
+  app.deliver({ data: '{"name":"Desk Lamp","description":"An arm lamp."}' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'analyzing');
+
+  const rid = app.posted[1].requestId;
+  app.window.onR1Message({ data: '{"name":"Desk Lamp","description":"An arm lamp.","rid":"' + rid + '"}' });
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+  assert.equal(app.text('result-name'), 'Desk Lamp');
+  assert.equal(app.get('r1MessagingClient.channel'), 'onR1Message');
+});
+
+test('bridge: a voice transcript gets through on another channel without moving the lock', async () => {
+  const posted = [];
+  const voice = [];
+  const app = await loadApp({ globals: {
+    PluginMessageHandler: { postMessage: m => posted.push(JSON.parse(m)) },
+    CreationVoiceHandler: { postMessage: m => voice.push(m) },
+  } });
+  app.fire('sideClick');
+  await app.advance(50);
+  app.window.dispatchEvent(new FakeEvent('pluginMessage', { detail: MUG }));
+  await app.advance(50);
+  assert.equal(app.get('state'), 'result');
+
+  app.fire('longPressStart');
+  app.fire('longPressEnd');
+  assert.deepEqual(voice, ['start', 'stop']);
+  app.window.onR1Message({ type: 'sttEnded', transcript: 'Is it dishwasher safe?' });
+  await app.advance(50);
+  assert.ok(app.get('followUp'));
+  assert.ok(posted[posted.length - 1].message.includes('Is it dishwasher safe?'));
+  assert.equal(app.get('r1MessagingClient.channel'), 'window.pluginMessage');
+});
+
+test('follow-up: empty messages are ignored until the answer or the timeout', async () => {
+  const app = await appWithLens('standard');
+  await scan(app, MUG);
+  app.get('askFollowUp("Is it dishwasher safe?")');
+  assert.ok(app.get('followUp'));
+  app.deliver({ data: '' });
+  app.deliver({ data: { message: '  ' } });
+  await app.advance(50);
+  assert.ok(app.get('followUp'));
+  assert.equal(app.get('resultContext.thread[0].status'), 'pending');
+  app.deliver({ data: '{"answer":"Yes, on the top rack."}' });
+  await app.advance(50);
+  assert.equal(app.get('followUp'), null);
+  assert.equal(app.get('resultContext.thread[0].status'), 'ok');
+  assert.equal(app.get('resultContext.thread[0].a'), 'Yes, on the top rack.');
+
+  app.get('askFollowUp("Is it microwave safe?")');
+  app.deliver({ data: '' });
+  await app.advance(app.get('RESPONSE_TIMEOUT_MS') + 50);
+  assert.equal(app.get('resultContext.thread[1].status'), 'failed');
+  assert.equal(app.get('resultContext.thread[1].a'), app.get('t("qa.noAnswer")'));
+});
+
+test('bridge: nothing locks while no send is pending', async () => {
+  const app = await appOnBridge();
+  app.window.dispatchEvent(new FakeEvent('message', { data: 'hello from some iframe' }));
+  await app.advance(50);
+  assert.equal(app.get('r1MessagingClient.channel'), null);
+  assert.equal(app.get('state'), 'camera');
+});
@@ -0,0 +1,76 @@
+/**
+ * Share card text wrapping and layout.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CARD_WIDTH, wrapLines, layoutShareCard, drawShareCard } = require('../js/card.js');
+
+const measure10 = s => s.length * 10;          // every character 10px wide
+const measure = (font, s) => s.length * 10;
+
+const MUG = {
+  name: 'Coffee Mug',
+  category: 'Kitchenware',
+  description: 'A ceramic mug.',
+  factLabel: 'fun fact',
+  fact: 'Handles caught on in the 18th century.',
+  footer: 'Jan 1, 2025 · Identify',
+};
+
+test('wraps on spaces, keeps line breaks and cuts overlong words', () => {
+  assert.deepEqual(wrapLines('one two three four', 90, measure10), ['one two', 'three', 'four']);
+  assert.deepEqual(wrapLines('SALIDA\nEMERGENCIA', 200, measure10), ['SALIDA', 'EMERGENCIA']);
+  assert.deepEqual(wrapLines('abcdefghij', 40, measure10), ['abcd', 'efgh', 'ij']);
+  assert.deepEqual(wrapLines('', 100, measure10), []);
+});
+
+test('overflow ends the last kept line with an ellipsis', () => {
+  assert.deepEqual(wrapLines('one two three four five', 90, measure10, 2), ['one two', 'three…']);
+  const cut = wrapLines('aaaa bbbb cccc', 50, measure10, 1);
+  assert.equal(cut.length, 1);
+  assert.ok(measure10(cut[0]) <= 50);
+  assert.ok(cut[0].endsWith('…'));
+});
+
+test('layout stacks photo, pill, name, text and footer', () => {
+  const layout = layoutShareCard(MUG, { width: 640, height: 360 }, measure);
+  const types = layout.items.map(i => i.type + (i.style ? ':' + i.style : ''));
+  assert.deepEqual(types, ['photo', 'pill:pill', 'text:name', 'text:body', 'text:label', 'text:fact',
+    'rule', 'text:brand', 'text:meta']);
+  assert.equal(layout.width, CARD_WIDTH);
+  const photo = layout.items[0];
+  assert.equal(photo.h, Math.round(photo.w * 360 / 640));
+  assert.equal(layout.items[1].text, 'KITCHENWARE');
+  const ys = layout.items.map(i => i.y);
+  assert.deepEqual(ys.slice(0, 8), ys.slice(0, 8).slice().sort((a, b) => a - b));
+  assert.ok(layout.height > ys[ys.length - 1]);
+});
+
+test('missing parts leave no gaps; right-to-left mirrors', () => {
+  const bare = layoutShareCard({ name: 'Coffee Mug' }, null, measure);
+  assert.deepEqual(bare.items.map(i => i.type), ['text', 'rule', 'text']);
+  assert.ok(bare.height < layoutShareCard(MUG, null, measure).height);
+
+  const rtl = layoutShareCard(Object.assign({}, MUG, { dir: 'rtl' }), null, measure);
+  const name = rtl.items.find(i => i.style === 'name');
+  assert.equal(name.align, 'right');
+  assert.equal(name.x, CARD_WIDTH - 24);
+  const pill = rtl.items.find(i => i.type === 'pill');
+  assert.equal(pill.x + pill.w, CARD_WIDTH - 24);
+});
+
+test('draws every text item', () => {
+  const layout = layoutShareCard(MUG, { width: 4, height: 3 }, measure);
+  const drawn = [];
+  const ctx = new Proxy({}, {
+    get: (target, key) => key in target ? target[key]
+      : key === 'fillText' ? (text => drawn.push(text)) : () => {},
+  });
+  drawShareCard(ctx, layout, null);
+  assert.deepEqual(drawn, layout.items.filter(i => i.text).map(i => i.text));
+});
@@ -0,0 +1,72 @@
+/**
+ * Session log: ring buffer, levels and redaction.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DiagnosticsLog, redact, redactText, formatLogEntry, buildDiagnosticsExport } = require('../js/diagnostics.js');
+
+const entry = (text, level) => ({ t: Date.UTC(2025, 0, 1, 12), level: level || 'info', state: 'camera', text: text });
+
+test('ring buffer keeps the newest entries in order', () => {
+  const log = new DiagnosticsLog(3);
+  ['a', 'b', 'c', 'd', 'e'].forEach(t => log.add(entry(t)));
+  assert.deepEqual(log.entries().map(e => e.text), ['c', 'd', 'e']);
+  assert.deepEqual(log.entries().map(e => e.seq), [3, 4, 5]);
+  assert.equal(log.size, 3);
+  assert.equal(log.dropped, 2);
+  log.clear();
+  assert.equal(log.size, 0);
+});
+
+test('level filter keeps that level and above', () => {
+  const log = new DiagnosticsLog(10);
+  log.add(entry('d', 'debug'));
+  log.add(entry('i', 'info'));
+  log.add(entry('w', 'warn'));
+  log.add(entry('e', 'error'));
+  assert.deepEqual(log.entries('warn').map(e => e.text), ['w', 'e']);
+  assert.equal(log.entries().length, 4);
+});
+
+test('image data and prompts never reach the log', () => {
+  const image = 'data:image/webp;base64,' + 'A'.repeat(4096);
+  const out = redact({
+    id: 'req_1',
+    prompt: 'Identify the primary object…',
+    image: image,
+    nested: [{ thumb: image }, { note: 'frame ' + image + ' attached' }],
+    count: 3,
+    ok: true,
+  });
+  assert.equal(out.id, 'req_1');
+  assert.equal(out.prompt, '[prompt 28 chars]');
+  assert.equal(out.image, '[image 3KB]');
+  assert.equal(out.nested[0].thumb, '[thumb 3KB]');
+  assert.equal(out.nested[1].note, 'frame [image/webp 3KB] attached');
+  assert.equal(out.count, 3);
+  assert.equal(out.ok, true);
+});
+
+test('overlong text is cut', () => {
+  const text = redactText('x'.repeat(2000));
+  assert.ok(text.length < 700);
+  assert.ok(text.endsWith('…[2000 chars]'));
+});
+
+test('entry line and export', () => {
+  const log = new DiagnosticsLog(5);
+  log.add(Object.assign(entry('request/timeout', 'warn'), { data: { id: 'req_1' } }));
+  assert.equal(formatLogEntry(log.entries()[0]), '12:00:00.000 W [camera] request/timeout {"id":"req_1"}');
+
+  const report = buildDiagnosticsExport(log, { state: 'camera', image: 'data:image/jpeg;base64,AAAA' }, { backend: 'mock' });
+  assert.equal(report.version, 1);
+  assert.equal(report.backend, 'mock');
+  assert.equal(report.entries, 1);
+  assert.equal(report.snapshot.image, '[image 1KB]');
+  assert.deepEqual(report.log, ['12:00:00.000 W [camera] request/timeout {"id":"req_1"}']);
+});
@@ -0,0 +1,92 @@
+/**
+ * Message catalogs, lookup fallbacks and language-aware prompts.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LANGUAGES, MESSAGES, matchLanguage, translate, translateCount, translateCategory } = require('../js/i18n.js');
+const { LENSES, CATEGORIES, lensPrompt } = require('../js/lenses.js');
+
+const MARKUP = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+const markupKeys = () => [...MARKUP.matchAll(/data-i18n(?:-label|-placeholder)?="([^"]+)"/g)].map(m => m[1]);
+
+const placeholders = text => (String(text).match(/\{\w+\}/g) || []).sort();
+
+/** Keys every non-English catalog must carry: the English ones plus each lens string. */
+function requiredKeys() {
+  const keys = Object.keys(MESSAGES.en);
+  Object.values(LENSES).forEach((lens) => {
+    ['label', 'hint', 'analyzing'].forEach((f) => { if (lens[f]) keys.push('lens.' + lens.id + '.' + f); });
+    ['fact', 'next'].forEach((f) => { if (lens.labels && lens.labels[f]) keys.push('lens.' + lens.id + '.' + f); });
+  });
+  return keys;
+}
+
+test('every language has a complete catalog with matching placeholders', () => {
+  const required = requiredKeys();
+  Object.keys(LANGUAGES).filter(code => code !== 'en').forEach((code) => {
+    const catalog = MESSAGES[code];
+    assert.ok(catalog, code);
+    assert.deepEqual(required.filter(k => !(k in catalog)), [], code + ' missing');
+    assert.deepEqual(Object.keys(catalog).filter(k => !required.includes(k)), [], code + ' unknown');
+    Object.keys(MESSAGES.en).forEach((k) => {
+      assert.deepEqual(placeholders(catalog[k]), placeholders(MESSAGES.en[k]), code + ' ' + k);
+    });
+  });
+});
+
+test('every key the markup and diagnostics name is in the catalogs', () => {
+  const diag = ['diag.title', 'diag.level', 'diag.levelAll', 'diag.empty', 'diag.hint',
+    'diag.on', 'diag.off', 'diag.saved', 'diag.copied', 'diag.savedCopied', 'diag.exportFailed'];
+  const keys = markupKeys();
+  ['diag.title', 'diag.level', 'diag.empty', 'diag.hint'].forEach(k => assert.ok(keys.includes(k), 'markup ' + k));
+  Object.keys(LANGUAGES).forEach((code) => {
+    assert.deepEqual(keys.concat(diag).filter(k => !(k in MESSAGES[code])), [], code + ' missing');
+  });
+  assert.equal(translate('de', 'diag.empty'), 'Protokoll ist leer');
+});
+
+test('every prompt category has a label', () => {
+  CATEGORIES.forEach((c) => {
+    assert.equal(translateCategory('en', c), c);
+    Object.keys(LANGUAGES).forEach(code => assert.notEqual(translateCategory(code, c), '', code + ' ' + c));
+  });
+  assert.equal(translateCategory('es', 'kitchenware'), 'Menaje de cocina');
+  assert.equal(translateCategory('fr', ' Personal Care '), 'Soin personnel');
+  assert.equal(translateCategory('de', 'Stationery'), 'Stationery');
+});
+
+test('lookup falls back to English, then the given text, then the key', () => {
+  assert.equal(translate('fr', 'toast.cancelled'), 'Analyse annulée');
+  assert.equal(translate('xx', 'toast.cancelled'), 'Scan cancelled');
+  assert.equal(translate('en', 'lens.plant.label', null, 'Plant ID'), 'Plant ID');
+  assert.equal(translate('de', 'no.such.key'), 'no.such.key');
+  assert.equal(translate('es', 'toast.noResponse', { attempt: 2, max: 3 }), 'Sin respuesta — reintentando (2/3)');
+  assert.equal(translateCount('en', 'result.objects', 1), '1 object');
+  assert.equal(translateCount('de', 'result.objects', 4), '4 Objekte');
+});
+
+test('device language picks a supported catalog', () => {
+  assert.equal(matchLanguage('es-MX'), 'es');
+  assert.equal(matchLanguage('fr_CA'), 'fr');
+  assert.equal(matchLanguage('ja-JP'), 'en');
+  assert.equal(matchLanguage(undefined), 'en');
+  assert.equal(LANGUAGES.ar.dir, 'rtl');
+});
+
+test('prompts ask for the answer language but keep keys and fixed values', () => {
+  assert.equal(lensPrompt(LENSES.standard, 'English'), LENSES.standard.prompt);
+  assert.ok(LENSES.standard.prompt.includes('"category" is exactly one of: Technology,'));
+  assert.ok(lensPrompt(LENSES.translate, 'English').includes('translate it to English'));
+
+  const es = lensPrompt(LENSES.standard, 'Spanish');
+  assert.ok(es.endsWith('Write every text value in Spanish, except "category", which stays one of the English labels above. Keep the JSON keys in English.'));
+  assert.ok(lensPrompt(LENSES.hotdog, 'German').includes('Keep "result" exactly "HOT DOG" or "NOT HOT DOG"'));
+  assert.ok(!lensPrompt(LENSES.translate, 'French').includes('{language}'));
+});
@@ -0,0 +1,154 @@
+/**
+ * Hardware-event transition table.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { STATES, HW_EVENTS, hardwareAction } = require('../js/machine.js');
+
+const card = { lensKind: 'card', resultPage: 1, lastPage: 2 };
+
+test('PTT click per state', () => {
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'sideClick', {}), { type: 'capture' });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'sideClick', card), { type: 'leaveResult' });
+  assert.deepEqual(hardwareAction(STATES.HISTORY, 'sideClick', {}), { type: 'openHistoryEntry' });
+  assert.deepEqual(hardwareAction(STATES.RETRY, 'sideClick', {}), { type: 'retryCapture' });
+  assert.deepEqual(hardwareAction(STATES.SETTINGS, 'sideClick', {}), { type: 'closeSettings' });
+  assert.deepEqual(hardwareAction(STATES.OUTBOX, 'sideClick', { hasSelection: true }), { type: 'resendOutbox' });
+  assert.equal(hardwareAction(STATES.OUTBOX, 'sideClick', { hasSelection: false }), null);
+  assert.equal(hardwareAction(STATES.ANALYZING, 'sideClick', {}), null);
+});
+
+test('long press cancels, leaves or closes', () => {
+  assert.deepEqual(hardwareAction(STATES.ANALYZING, 'longPressEnd', {}), { type: 'cancel', reason: 'long-press' });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'longPressEnd', card), { type: 'leaveResult' });
+  assert.deepEqual(hardwareAction(STATES.SETTINGS, 'longPressEnd', {}), { type: 'closeSettings' });
+  [STATES.HISTORY, STATES.OUTBOX, STATES.RETRY].forEach((s) => {
+    assert.deepEqual(hardwareAction(s, 'longPressEnd', {}), { type: 'returnToCamera' }, s);
+  });
+  assert.equal(hardwareAction(STATES.CAMERA, 'longPressEnd', {}), null);
+});
+
+test('holding PTT records a follow-up only when one is allowed', () => {
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'longPressStart', { canFollowUp: true }), { type: 'startListening' });
+  assert.equal(hardwareAction(STATES.RESULT, 'longPressStart', { canFollowUp: false }), null);
+  // Releasing stops the recording instead of leaving the result
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'longPressEnd', Object.assign({ listening: true }, card)), { type: 'stopListening' });
+});
+
+test('wheel zooms the camera and cancels analysis', () => {
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'scrollUp', {}), { type: 'zoom', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'scrollDown', {}), { type: 'zoom', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.ANALYZING, 'scrollDown', {}), { type: 'cancel', reason: 'scroll' });
+});
+
+test('wheel can switch lenses on the camera instead of zooming', () => {
+  const lensWheel = { wheel: 'lens' };
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'scrollDown', lensWheel), { type: 'cycleLens', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'scrollUp', lensWheel), { type: 'cycleLens', delta: -1 });
+  // Switching away would drop a held capture A
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'scrollUp', lensWheel), { type: 'zoom', delta: 1 });
+});
+
+test('wheel moves list selections', () => {
+  assert.deepEqual(hardwareAction(STATES.HISTORY, 'scrollUp', {}), { type: 'moveHistory', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.HISTORY, 'scrollDown', {}), { type: 'moveHistory', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.OUTBOX, 'scrollDown', {}), { type: 'moveOutbox', delta: 1 });
+  assert.equal(hardwareAction(STATES.SETTINGS, 'scrollDown', {}), null);
+});
+
+test('wheel pages a card result and leaves after the last page', () => {
+  assert.equal(hardwareAction(STATES.RESULT, 'scrollUp', card), null);
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', card), { type: 'showPage', page: 2 });
+  const last = Object.assign({}, card, { resultPage: 2 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', last), { type: 'showPage', page: 1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', last), { type: 'leaveResult' });
+  // Follow-up answers extend the pages
+  const asked = Object.assign({}, card, { resultPage: 2, lastPage: 3 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', asked), { type: 'showPage', page: 3 });
+});
+
+test('wheel scrolls a long page before turning it', () => {
+  const long = Object.assign({}, card, { canScrollDown: true });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', long), { type: 'scrollPage', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', long), null);
+  const middle = Object.assign({}, card, { resultPage: 2, canScrollUp: true });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', middle), { type: 'scrollPage', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', middle), { type: 'leaveResult' });
+});
+
+test('wheel steps a multi-object result and ignores a verdict', () => {
+  const multi = { lensKind: 'multi', resultPage: 0, lastPage: 2 };
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', multi), { type: 'stepMulti', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', multi), { type: 'stepMulti', delta: -1 });
+  assert.equal(hardwareAction(STATES.RESULT, 'scrollDown', { lensKind: 'verdict' }), null);
+});
+
+test('diagnostics screen: wheel scrolls, PTT exports, long press goes back', () => {
+  assert.deepEqual(hardwareAction(STATES.DIAGNOSTICS, 'scrollUp', {}), { type: 'scrollLog', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.DIAGNOSTICS, 'scrollDown', {}), { type: 'scrollLog', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.DIAGNOSTICS, 'sideClick', {}), { type: 'exportLog' });
+  assert.deepEqual(hardwareAction(STATES.DIAGNOSTICS, 'longPressEnd', {}), { type: 'closeDiagnostics' });
+});
+
+test('other possibilities: wheel moves the selection, PTT picks it', () => {
+  const alts = { lensKind: 'card', resultPage: 3, lastPage: 3, canScrollUp: true, canScrollDown: true, canPick: true };
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', alts), { type: 'scrollPage', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'sideClick', alts), { type: 'pickAlternative' });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'sideClick', Object.assign({}, alts, { canPick: false })), { type: 'leaveResult' });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', Object.assign({}, alts, { canScrollUp: false })),
+    { type: 'showPage', page: 2 });
+});
+
+test('no-camera screen: PTT retries, long press opens settings, wheel does nothing', () => {
+  assert.deepEqual(hardwareAction(STATES.NO_CAMERA, 'sideClick', {}), { type: 'retryCamera' });
+  assert.deepEqual(hardwareAction(STATES.NO_CAMERA, 'longPressEnd', {}), { type: 'openSettings' });
+  assert.equal(hardwareAction(STATES.NO_CAMERA, 'scrollUp', {}), null);
+  assert.equal(hardwareAction(STATES.NO_CAMERA, 'scrollDown', {}), null);
+});
+
+test('compare: PTT takes B, holding says what it is for, long press drops A', () => {
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'sideClick', {}), { type: 'capture' });
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'longPressStart', {}), { type: 'startListening' });
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'longPressEnd', { listening: true }), { type: 'stopListening' });
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'longPressEnd', {}), { type: 'returnToCamera' });
+  assert.deepEqual(hardwareAction(STATES.COMPARE, 'scrollUp', {}), { type: 'zoom', delta: 1 });
+  // The comparison pages like a card
+  const compared = { lensKind: 'compare', resultPage: 1, lastPage: 4 };
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', compared), { type: 'showPage', page: 2 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', Object.assign({}, compared, { resultPage: 4 })),
+    { type: 'leaveResult' });
+});
+
+test('wheel focus: the wheel moves it, PTT activates, long press leaves', () => {
+  const settings = { focusIndex: -1, focusCount: 5 };
+  assert.deepEqual(hardwareAction(STATES.SETTINGS, 'scrollDown', settings), { type: 'moveFocus', delta: 1 });
+  const onToggle = { focusIndex: 2, focusCount: 5 };
+  assert.deepEqual(hardwareAction(STATES.SETTINGS, 'sideClick', onToggle), { type: 'activateFocus' });
+  assert.deepEqual(hardwareAction(STATES.SETTINGS, 'longPressEnd', onToggle), { type: 'closeSettings' });
+  // The camera's top bar is entered and left by long press
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'longPressEnd', { focusIndex: -1, focusCount: 2 }), { type: 'moveFocus', delta: 1 });
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'scrollUp', { focusIndex: 0, focusCount: 2 }), { type: 'moveFocus', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.CAMERA, 'longPressEnd', { focusIndex: 0, focusCount: 2 }), { type: 'clearFocus' });
+  // A result's buttons sit above its top; down past the last goes back to paging
+  const top = Object.assign({ focusIndex: -1, focusCount: 2, atTop: true }, card);
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollUp', top), { type: 'moveFocus', delta: -1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', top), { type: 'showPage', page: 2 });
+  const last = Object.assign({}, top, { focusIndex: 1 });
+  assert.deepEqual(hardwareAction(STATES.RESULT, 'scrollDown', last), { type: 'clearFocus' });
+  assert.equal(hardwareAction(STATES.RESULT, 'longPressStart', Object.assign({ canFollowUp: true }, last)), null);
+});
+
+test('every state answers every event without throwing', () => {
+  Object.values(STATES).forEach((s) => {
+    HW_EVENTS.forEach((e) => {
+      const action = hardwareAction(s, e, card);
+      assert.ok(action === null || typeof action.type === 'string', s + '/' + e);
+    });
+  });
+  assert.equal(hardwareAction(STATES.CAMERA, 'unknownEvent', {}), null);
+});
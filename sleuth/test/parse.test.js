@@ -0,0 +1,68 @@
+/**
+ * Replays the recorded bridge payload corpus through the parser.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getLens } = require('../js/lenses.js');
+const { PARSE, parseLensResponse, extractRequestId, repairJSON } = require('../js/parse.js');
+const { payloads } = require('./fixtures/bridge-payloads.json');
+
+/** Every key in `expected` matches `actual`, recursing into objects and arrays. */
+function assertSubset(actual, expected, path) {
+  if (expected && typeof expected === 'object') {
+    assert.ok(actual && typeof actual === 'object', path + ' should be an object');
+    Object.keys(expected).forEach(k => assertSubset(actual[k], expected[k], path + '.' + k));
+    return;
+  }
+  assert.equal(actual, expected, path);
+}
+
+for (const fixture of payloads) {
+  test('payload: ' + fixture.name, () => {
+    const outcome = parseLensResponse(fixture.payload, getLens(fixture.lens));
+
+    assert.equal(outcome.status, fixture.status);
+    if (fixture.source) assert.equal(outcome.source, fixture.source);
+    assert.deepEqual(outcome.errors, fixture.errors || []);
+    (fixture.repairs || []).forEach(r => assert.ok(outcome.repairs.includes(r), 'repairs include ' + r));
+
+    if (fixture.status === PARSE.INVALID) {
+      assert.equal(outcome.value, null);
+    } else {
+      assertSubset(outcome.value, fixture.value, 'value');
+    }
+  });
+}
+
+test('valid outcomes fill every schema slot', () => {
+  payloads.filter(f => f.status !== PARSE.INVALID).forEach((fixture) => {
+    const lens = getLens(fixture.lens);
+    const outcome = parseLensResponse(fixture.payload, lens);
+    assert.deepEqual(Object.keys(outcome.value).sort(), Object.keys(lens.fields).sort(), fixture.name);
+  });
+});
+
+test('request id from the envelope, the JSON or an escaped string', () => {
+  assert.equal(extractRequestId({ requestId: 'req_abc_1', data: '{}' }), 'req_abc_1');
+  assert.equal(extractRequestId('{"name":"Mug","rid":"req_abc_2"}'), 'req_abc_2');
+  assert.equal(extractRequestId({ data: '{"name":"Mug","rid":"fu_abc_3"}' }), 'fu_abc_3');
+  assert.equal(extractRequestId({ data: '{"rid":"ob_abc_4"}', requestId: 'ob_abc_4' }), 'ob_abc_4');
+  assert.equal(extractRequestId('{"rid":"jr_abc"}'), 'jr_abc');
+  assert.equal(extractRequestId({ data: '{"rid":"other_5"}' }), null);
+  assert.equal(extractRequestId({ data: '{"name":"Mug"}' }), null);
+
+  const circular = {};
+  circular.self = circular;
+  assert.equal(extractRequestId(circular), null);
+});
+
+test('repairJSON closes what a cut-off reply left open', () => {
+  const { value, repairs } = repairJSON('{"objects":[{"name":"Mug","box":[0.1,0.2');
+  assert.deepEqual(value, { objects: [{ name: 'Mug', box: [0.1, 0.2] }] });
+  assert.ok(repairs.includes('truncated'));
+});
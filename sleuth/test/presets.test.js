@@ -0,0 +1,133 @@
+/**
+ * Prompt presets: checking, the lens they become, export and import.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PRESETS_MAX, PRESET_PREFIX, PRESET_EXPORT, normalizePreset, presetId, presetLens, exportPresets, importPresets,
+  editPreset, lensPrompt } = require('../js/lenses.js');
+const { parseLensResponse } = require('../js/parse.js');
+
+const WINE = {
+  name: 'Wine pairing',
+  prompt: 'Suggest a wine for the dish in the photo.',
+  fields: { name: 'wine', category: ['style', 'color'], description: 'why', fun_fact: 'serve' },
+  factLabel: 'serving',
+  voice: true,
+};
+
+test('a preset is checked and tidied', () => {
+  const { preset } = normalizePreset(Object.assign({}, WINE, { name: '  Wine pairing ' }));
+  assert.equal(preset.name, 'Wine pairing');
+  assert.deepEqual(preset.fields.category, ['style', 'color']);
+  assert.deepEqual(preset.fields.name, ['wine']);
+  assert.match(preset.id, /^p[0-9a-z]+$/);
+  assert.equal(normalizePreset(Object.assign({}, WINE, { name: 'WINE PAIRING' })).preset.id, preset.id);
+
+  const bare = normalizePreset({ name: 'Bare', prompt: 'What is it?' }).preset;
+  assert.deepEqual(bare.fields, { name: ['name'], description: ['description'] });
+  assert.equal(bare.voice, null);
+  assert.equal('factLabel' in bare, false);
+});
+
+test('a bad preset names the part that is wrong', () => {
+  assert.deepEqual(normalizePreset('text'), { error: 'preset' });
+  assert.deepEqual(normalizePreset({ prompt: 'x' }), { error: 'name' });
+  assert.deepEqual(normalizePreset({ name: 'x'.repeat(40), prompt: 'x' }), { error: 'name' });
+  assert.deepEqual(normalizePreset({ name: 'x', prompt: ' ' }), { error: 'prompt' });
+  assert.deepEqual(normalizePreset({ name: 'x', prompt: 'x', fields: { title: 'a' } }), { error: 'fields' });
+  assert.deepEqual(normalizePreset({ name: 'x', prompt: 'x', fields: { name: 'two words' } }), { error: 'fields' });
+  assert.deepEqual(normalizePreset({ name: 'x', prompt: 'x', fields: ['name'] }), { error: 'fields' });
+});
+
+test('the preset lens asks for its keys and fills the card from them', () => {
+  const lens = presetLens(normalizePreset(WINE).preset);
+  assert.equal(lens.id.indexOf(PRESET_PREFIX), 0);
+  assert.equal(lens.kind, 'card');
+  assert.equal(lens.label, 'Wine pairing');
+  assert.equal(lens.voice, true);
+  assert.equal(lens.labels.fact, 'serving');
+  assert.ok(lens.prompt.startsWith(WINE.prompt + '\nRespond with ONLY raw JSON'));
+  assert.deepEqual(Object.keys(JSON.parse(lens.prompt.slice(lens.prompt.indexOf('{')))),
+    ['wine', 'style', 'why', 'serve']);
+  assert.ok(lensPrompt(lens, 'German').includes('Write every text value in German'));
+
+  const card = parseLensResponse(JSON.stringify({ wine: 'Riesling', color: 'White', why: 'Cuts the spice.' }), lens);
+  assert.equal(card.value.name, 'Riesling');
+  assert.equal(card.value.category, 'White');
+  assert.equal(card.value.description, 'Cuts the spice.');
+  assert.equal(parseLensResponse(lens.mock, lens).value.name, 'Wine pairing');
+});
+
+test('export writes a document import reads back', () => {
+  const saved = [normalizePreset(WINE).preset, normalizePreset({ name: 'Bare', prompt: 'What is it?' }).preset];
+  const doc = exportPresets(saved);
+  assert.equal(doc.format, PRESET_EXPORT);
+  assert.equal('id' in doc.presets[0], false);
+  assert.equal('voice' in doc.presets[1], false);
+
+  const back = importPresets(JSON.stringify(doc), []);
+  assert.equal(back.added, 2);
+  assert.deepEqual(back.presets, saved);
+  // A bare array or a single preset works too
+  assert.equal(importPresets(JSON.stringify([WINE]), []).added, 1);
+  assert.equal(importPresets(JSON.stringify(WINE), []).presets[0].name, 'Wine pairing');
+});
+
+test('import replaces by name, skips bad entries and stops at the limit', () => {
+  const existing = [Object.assign(normalizePreset(WINE).preset, { id: 'pkept' })];
+  const merged = importPresets(JSON.stringify([
+    Object.assign({}, WINE, { name: 'wine PAIRING', prompt: 'Pick a wine.' }),
+    { name: 'No prompt' },
+    { name: 'Tea', prompt: 'Which tea?' },
+  ]), existing);
+  assert.equal(merged.replaced, 1);
+  assert.equal(merged.added, 1);
+  assert.deepEqual(merged.errors, ['1:prompt']);
+  assert.equal(merged.presets[0].id, 'pkept');
+  assert.equal(merged.presets[0].prompt, 'Pick a wine.');
+  assert.equal(existing[0].prompt, WINE.prompt);
+
+  // Ids come from the name: a file can't make two presets share one lens
+  const twins = importPresets(JSON.stringify([
+    { id: 'same', name: 'Tea', prompt: 'Which tea?' },
+    { id: 'same', name: 'Coffee', prompt: 'Which roast?' },
+  ]), []);
+  assert.deepEqual(twins.presets.map(p => p.id), [presetId('Tea'), presetId('Coffee')]);
+  const taken = [Object.assign(normalizePreset(WINE).preset, { id: presetId('Tea') })];
+  assert.deepEqual(importPresets(JSON.stringify({ name: 'Tea', prompt: 'x' }), taken), { error: 'empty' });
+  assert.deepEqual(importPresets(JSON.stringify([{ name: 'Tea', prompt: 'x' }, { name: 'Mate', prompt: 'x' }]), taken).errors, ['0:id']);
+
+  assert.deepEqual(importPresets('{not json', []), { error: 'json' });
+  assert.deepEqual(importPresets('[{"name":"x"}]', []), { error: 'empty' });
+  const full = Array.from({ length: PRESETS_MAX }, (_, i) => normalizePreset({ name: 'P' + i, prompt: 'x' }).preset);
+  assert.deepEqual(importPresets(JSON.stringify({ name: 'One more', prompt: 'x' }), full), { error: 'full' });
+});
+
+test('a preset written on the device is added, or edited in place keeping the rest', () => {
+  const wine = Object.assign(normalizePreset(WINE).preset, { id: 'pkept' });
+  const added = editPreset([wine], { name: ' Tea ', prompt: 'Which tea?' });
+  assert.equal(added.presets.length, 2);
+  assert.deepEqual(added.preset, normalizePreset({ name: 'Tea', prompt: 'Which tea?' }).preset);
+
+  const edited = editPreset([wine], { name: 'Wine match', prompt: 'Pick a wine.' }, 'pkept');
+  assert.equal(edited.presets.length, 1);
+  assert.equal(edited.preset.id, 'pkept');
+  assert.equal(edited.preset.name, 'Wine match');
+  assert.equal(edited.preset.prompt, 'Pick a wine.');
+  assert.deepEqual(edited.preset.fields, wine.fields);
+  assert.equal(edited.preset.voice, true);
+  assert.equal(wine.prompt, WINE.prompt);
+
+  assert.deepEqual(editPreset([wine], { name: '', prompt: 'x' }), { error: 'name' });
+  assert.deepEqual(editPreset([wine], { name: 'Tea', prompt: ' ' }), { error: 'prompt' });
+  assert.deepEqual(editPreset([wine], { name: 'WINE pairing', prompt: 'x' }), { error: 'taken' });
+  assert.deepEqual(editPreset(added.presets, { name: 'tea', prompt: 'x' }, 'pkept'), { error: 'taken' });
+  const full = Array.from({ length: PRESETS_MAX }, (_, i) => normalizePreset({ name: 'P' + i, prompt: 'x' }).preset);
+  assert.deepEqual(editPreset(full, { name: 'One more', prompt: 'x' }), { error: 'full' });
+  assert.equal(editPreset(full, { name: 'P0', prompt: 'y' }, full[0].id).preset.prompt, 'y');
+});
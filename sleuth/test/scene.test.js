@@ -0,0 +1,72 @@
+/**
+ * Auto mode's scene signatures and trigger.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCENE_GRID_W, SCENE_GRID_H, sceneSignature, sceneDiff, SceneWatcher } = require('../js/scene.js');
+
+/** w × h RGBA pixels, grey `left` on the left half and `right` on the right. */
+function split(w, h, left, right) {
+  const px = new Uint8ClampedArray(w * h * 4);
+  for (let i = 0; i < w * h; i++) {
+    const v = i % w < w / 2 ? left : right;
+    px.set([v, v, v, 255], i * 4);
+  }
+  return px;
+}
+
+const sig = v => new Uint8Array(SCENE_GRID_W * SCENE_GRID_H).fill(v);
+
+test('signature is the mean luma of each grid cell', () => {
+  const s = sceneSignature(split(32, 24, 40, 200), 32, 24);
+  assert.equal(s.length, SCENE_GRID_W * SCENE_GRID_H);
+  assert.equal(s[0], 40);
+  assert.equal(s[SCENE_GRID_W - 1], 200);
+  assert.equal(s[s.length - 1], 200);
+  assert.equal(sceneDiff(s, sceneSignature(split(32, 24, 40, 200), 32, 24)), 0);
+  assert.equal(sceneDiff(s, sceneSignature(split(32, 24, 200, 40), 32, 24)), 160);
+  assert.equal(sceneDiff(s, null), 255);
+});
+
+test('fires once the view holds still, then not again on the same subject', () => {
+  const w = new SceneWatcher({ stableMs: 1000, minGapMs: 3000 });
+  assert.equal(w.sample(sig(100), 0), 'moving');
+  assert.equal(w.sample(sig(103), 500), 'settling');
+  assert.equal(w.sample(sig(101), 1000), 'fire');
+  w.identified(1000);
+  assert.equal(w.sample(sig(100), 1500), 'same');
+  assert.equal(w.sample(sig(104), 9000), 'same');
+});
+
+test('movement restarts the wait and identifications are rate limited', () => {
+  const w = new SceneWatcher({ stableMs: 1000, minGapMs: 3000 });
+  w.sample(sig(100), 0);
+  assert.equal(w.sample(sig(100), 1000), 'fire');
+  assert.equal(w.sample(sig(160), 1200), 'moving');
+  assert.equal(w.sample(sig(160), 1800), 'settling');
+  assert.equal(w.sample(sig(160), 2200), 'cooldown');
+  assert.equal(w.sample(sig(160), 4000), 'fire');
+});
+
+test('a fire that was not identified (a refused frame) fires again after the gap', () => {
+  const w = new SceneWatcher({ stableMs: 1000, minGapMs: 3000 });
+  w.sample(sig(100), 0);
+  assert.equal(w.sample(sig(100), 1000), 'fire');
+  assert.equal(w.sample(sig(100), 2000), 'cooldown');
+  assert.equal(w.sample(sig(100), 4000), 'fire');
+});
+
+test('a PTT capture counts as identified; forget() clears it', () => {
+  const w = new SceneWatcher({ stableMs: 1000, minGapMs: 3000 });
+  w.sample(sig(80), 0);
+  w.identified(100);
+  assert.equal(w.sample(sig(80), 5000), 'same');
+  w.forget();
+  assert.equal(w.sample(sig(80), 5100), 'moving');
+  assert.equal(w.sample(sig(80), 6100), 'fire');
+});
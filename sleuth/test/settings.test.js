@@ -0,0 +1,87 @@
+/**
+ * Settings schema, stored-version migrations and export blobs.
+ * Run: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SETTINGS_VERSION, SETTINGS_EXPORT, SETTINGS_SCHEMA, defaultSettings, migrateSettings, checkSettings,
+  splitSettings, exportSettings, importSettings } = require('../js/settings.js');
+
+const CHOICES = { language: ['en', 'es'], lens: ['standard', 'plant', 'hotdog'] };
+const DEFAULTS = defaultSettings({ language: 'es' });
+
+test('defaults come from the schema; every control has an id and a label', () => {
+  assert.equal(DEFAULTS.language, 'es');
+  assert.equal(DEFAULTS.imageSize, 768);
+  assert.equal(DEFAULTS.voice, false);
+  assert.deepEqual(Object.keys(DEFAULTS), Object.keys(SETTINGS_SCHEMA));
+  Object.values(SETTINGS_SCHEMA).filter(def => def.control).forEach((def) => {
+    assert.ok(def.id && def.label.startsWith('settings.'), def.id);
+  });
+});
+
+test('the first saves, { voice, hotdog }, migrate to the hot dog lens', () => {
+  const migrated = migrateSettings({ voice: true, hotdog: true });
+  assert.equal(migrated.from, 1);
+  const values = checkSettings(migrated.values, DEFAULTS, CHOICES);
+  assert.equal(values.voice, true);
+  assert.equal(values.lens, 'hotdog');
+  assert.equal(values.hotdogUnlocked, true);
+  assert.equal('hotdog' in values, false);
+});
+
+test('unversioned flat saves keep their values; versioned ones pass through', () => {
+  const flat = { voice: false, lens: 'plant', hotdogUnlocked: true, retries: 3, camera: 'cam-7', language: 'en' };
+  const values = checkSettings(migrateSettings(flat).values, DEFAULTS, CHOICES);
+  assert.equal(values.lens, 'plant');
+  assert.equal(values.retries, 3);
+  assert.equal(values.camera, 'cam-7');
+  assert.equal(values.language, 'en');
+
+  const current = migrateSettings({ version: SETTINGS_VERSION, wheel: 'lens', hotdog: true });
+  assert.equal(current.from, SETTINGS_VERSION);
+  assert.deepEqual(current.values, { wheel: 'lens', hotdog: true });
+});
+
+test('values the schema does not accept keep the base value', () => {
+  const values = checkSettings({ retries: 9, imageSize: '768', language: 'xx', lens: 'gone', voice: 'yes', camera: '' },
+    DEFAULTS, CHOICES);
+  ['retries', 'imageSize', 'language', 'lens', 'voice', 'camera'].forEach(key => assert.equal(values[key], DEFAULTS[key], key));
+  assert.equal(checkSettings({ imageSize: 0 }, DEFAULTS, CHOICES).imageSize, 0);
+});
+
+test('secure settings are stored apart and never exported', () => {
+  const values = Object.assign({}, DEFAULTS, { camera: 'cam-7', voice: true });
+  const parts = splitSettings(values);
+  assert.deepEqual(parts.secure, { version: SETTINGS_VERSION, camera: 'cam-7' });
+  assert.equal(parts.plain.version, SETTINGS_VERSION);
+  assert.equal(parts.plain.voice, true);
+  assert.equal('camera' in parts.plain, false);
+
+  const doc = exportSettings(values);
+  assert.equal(doc.format, SETTINGS_EXPORT);
+  assert.equal('camera' in doc.settings, false);
+});
+
+test('import reads an export over the current values and names what changed', () => {
+  const current = Object.assign({}, DEFAULTS, { camera: 'cam-7' });
+  const doc = exportSettings(Object.assign({}, DEFAULTS, { voice: true, retries: 0 }));
+  doc.settings.camera = 'someone-elses-camera';
+  const result = importSettings(JSON.stringify(doc), current, CHOICES);
+  assert.deepEqual(result.changed.sort(), ['retries', 'voice']);
+  assert.equal(result.values.camera, 'cam-7');
+
+  // An export from before versioned saves still migrates
+  const old = importSettings(JSON.stringify({ format: SETTINGS_EXPORT, version: 1, settings: { hotdog: true } }),
+    current, CHOICES);
+  assert.equal(old.values.lens, 'hotdog');
+
+  assert.deepEqual(importSettings('nope', current, CHOICES), { error: 'json' });
+  assert.deepEqual(importSettings('{"voice":true}', current, CHOICES), { error: 'format' });
+  assert.deepEqual(importSettings(JSON.stringify(Object.assign(doc, { version: SETTINGS_VERSION + 1 })), current, CHOICES),
+    { error: 'version' });
+});
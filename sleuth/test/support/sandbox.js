@@ -0,0 +1,417 @@
+/**
+ * Loads the app's scripts into a Node `vm` context with just enough
+ * DOM, timers and R1 host globals to drive it headlessly.
+ *
+ *   const app = await loadApp({ url: '?backend=mock&mock=silent' });
+ *   app.fire('sideClick');
+ *   await app.advance(100);
+ *   app.text('result-name');
+ *   app.get('state');
+ *
+ * Options: url (query string), store (storage contents), language
+ * (navigator.language), devices (enumerateDevices list), globals
+ * (extra window globals), settle (ms).
+ *
+ * index.html is loaded as an element tree (tags and attributes, no
+ * text); any other id the app asks for is created on first lookup.
+ * Timers only run when the test advances the fake clock.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// ── Events ──────────────────────────────────
+
+class FakeEvent {
+  constructor(type, init) {
+    this.type = type;
+    this.detail = init && init.detail;
+    this.data = init && init.data;
+    this.defaultPrevented = false;
+  }
+  preventDefault() { this.defaultPrevented = true; }
+  stopPropagation() {}
+}
+
+function eventTarget(obj) {
+  const listeners = {};
+  obj.addEventListener = (type, fn) => {
+    (listeners[type] = listeners[type] || []).push(fn);
+  };
+  obj.removeEventListener = (type, fn) => {
+    listeners[type] = (listeners[type] || []).filter(f => f !== fn);
+  };
+  obj.dispatchEvent = (event) => {
+    event.target = event.target || obj;
+    (listeners[event.type] || []).slice().forEach(fn => fn.call(obj, event));
+    return !event.defaultPrevented;
+  };
+  return obj;
+}
+
+// ── Elements ────────────────────────────────
+
+/** Canvas pixels with enough texture to pass the frame check. */
+function textured(w, h) {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37) % 255;
+  return { data: data, width: w, height: h };
+}
+
+class FakeElement {
+  constructor(tag, doc) {
+    eventTarget(this);
+    this.tagName = String(tag || 'div').toUpperCase();
+    this.ownerDocument = doc;
+    this.id = '';
+    this.className = '';
+    this.children = [];
+    this.parentNode = null;
+    this.style = {};
+    this.dataset = {};
+    this.attributes = {};
+    this.hidden = false;
+    this.disabled = false;
+    this.scrollTop = 0;
+    this.scrollHeight = 0;
+    this.offsetTop = 0;
+    this.offsetHeight = 0;
+    this.clientWidth = 0;
+    this.clientHeight = 0;
+    this.width = 0;
+    this.height = 0;
+    this._text = '';
+    const el = this;
+    this.classList = {
+      add:      (...names) => names.forEach(n => el._setClass(n, true)),
+      remove:   (...names) => names.forEach(n => el._setClass(n, false)),
+      toggle:   (n, force) => el._setClass(n, force === undefined ? !el.classList.contains(n) : !!force),
+      contains: n => el.className.split(/\s+/).includes(n),
+    };
+    if (this.tagName === 'VIDEO') {
+      this.videoWidth = 640;
+      this.videoHeight = 480;
+      this.paused = true;
+      this.play = () => { this.paused = false; return Promise.resolve(); };
+    }
+  }
+
+  _setClass(name, on) {
+    const names = this.className.split(/\s+/).filter(n => n && n !== name);
+    if (on) names.push(name);
+    this.className = names.join(' ');
+    return on;
+  }
+
+  get textContent() {
+    return this._text + this.children.map(c => c.textContent).join('');
+  }
+  set textContent(value) {
+    this._text = value == null ? '' : String(value);
+    this.children.forEach(c => { c.parentNode = null; });
+    this.children = [];
+  }
+  get innerHTML() { return this.textContent; }
+  set innerHTML(value) { this.textContent = value; }
+
+  appendChild(child) {
+    if (child.parentNode) child.remove();
+    child.parentNode = this;
+    this.children.push(child);
+    if (this.ownerDocument && this.ownerDocument.contains(this)) this.ownerDocument.adopt(child);
+    return child;
+  }
+  removeChild(child) {
+    this.children = this.children.filter(c => c !== child);
+    child.parentNode = null;
+    return child;
+  }
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  setAttribute(name, value) { this.attributes[name] = String(value); }
+  getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+  removeAttribute(name) { delete this.attributes[name]; }
+
+  /** Descendants in document order matching `.class` or a tag name — all the app uses on elements. */
+  querySelectorAll(selector) {
+    const cls = selector.startsWith('.') ? selector.slice(1) : null;
+    const tag = selector.toUpperCase();
+    const found = [];
+    const walk = (el) => el.children.forEach((c) => {
+      if (cls ? c.classList.contains(cls) : c.tagName === tag) found.push(c);
+      walk(c);
+    });
+    walk(this);
+    return found;
+  }
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: 240, bottom: 282, width: 240, height: 282, x: 0, y: 0 };
+  }
+  scrollIntoView() {}
+  focus() {}
+  blur() {}
+  click() { this.dispatchEvent(new FakeEvent('click')); }
+
+  // Canvas
+  getContext() {
+    return {
+      drawImage() {},
+      getImageData: (x, y, w, h) => textured(w, h),
+      fillRect() {}, strokeRect() {}, fillText() {}, measureText: t => ({ width: String(t).length * 6 }),
+      beginPath() {}, closePath() {}, moveTo() {}, lineTo() {}, arc() {}, arcTo() {}, rect() {},
+      fill() {}, stroke() {}, save() {}, restore() {}, clip() {}, setTransform() {},
+    };
+  }
+  toDataURL(type) {
+    return 'data:' + (type || 'image/png') + ';base64,' + 'A'.repeat(Math.max(64, (this.width * this.height / 40) | 0));
+  }
+}
+
+function createDocument() {
+  const byId = new Map();
+  const doc = eventTarget({ readyState: 'loading', hidden: false });
+  doc.createElement = tag => new FakeElement(tag, doc);
+  doc.getElementById = (id) => {
+    if (!byId.has(id)) {
+      const tag = id === 'video' ? 'video' : id === 'canvas' ? 'canvas' : 'div';
+      const el = new FakeElement(tag, doc);
+      el.id = id;
+      byId.set(id, el);
+    }
+    return byId.get(id);
+  };
+  /** In the page: under <body>, or under an element looked up by id. Detached ones aren't found by id yet. */
+  doc.contains = (el) => {
+    let top = el;
+    while (top.parentNode) top = top.parentNode;
+    return top === doc.body || (!!top.id && byId.get(top.id) === top);
+  };
+  /** An appended element (and its subtree) is what its id now finds. */
+  doc.adopt = (el) => {
+    if (el.id) byId.set(el.id, el);
+    el.children.forEach(doc.adopt);
+  };
+  doc.querySelector = (selector) => {
+    const id = selector.match(/^#([\w-]+)$/);
+    if (id) return doc.getElementById(id[1]);
+    return doc.getElementById('__query:' + selector);
+  };
+  doc.body = new FakeElement('body', doc);
+  doc.documentElement = new FakeElement('html', doc);
+  // Attribute selectors ('[data-i18n]') match the tags index.html marks up with them
+  const markup = markupElements(doc);
+  doc.querySelectorAll = (selector) => {
+    const attr = selector.match(/^\[([\w-]+)\]$/);
+    return attr ? markup.filter(el => el.getAttribute(attr[1]) !== null) : [];
+  };
+  return doc;
+}
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/**
+ * The <body> of index.html as elements under doc.body, with attributes,
+ * classes, dataset and `hidden`; returns them all in document order.
+ */
+function markupElements(doc) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const body = html.slice(html.indexOf('<body'), html.lastIndexOf('</body>'));
+  const all = [];
+  const stack = [doc.body];
+  for (const m of body.matchAll(/<(\/?)(\w+)([^>]*)>/g)) {
+    const tag = m[2].toLowerCase();
+    if (tag === 'body') continue;
+    if (m[1]) {
+      stack.pop();
+      continue;
+    }
+    const attrs = {};
+    for (const a of m[3].matchAll(/([\w-]+)(?:="([^"]*)")?/g)) attrs[a[1]] = a[2] === undefined ? '' : a[2];
+    const el = new FakeElement(tag, doc);
+    Object.keys(attrs).forEach((name) => {
+      el.setAttribute(name, attrs[name]);
+      const data = name.match(/^data-(.+)$/);
+      if (data) el.dataset[data[1].replace(/-(\w)/g, (x, c) => c.toUpperCase())] = attrs[name];
+    });
+    if (attrs.id) el.id = attrs.id;
+    if (attrs.class) el.className = attrs.class;
+    el.hidden = 'hidden' in attrs;
+    stack[stack.length - 1].appendChild(el);
+    all.push(el);
+    if (VOID_TAGS.indexOf(tag) === -1 && !/\/\s*$/.test(m[3])) stack.push(el);
+  }
+  return all;
+}
+
+// ── Timers ──────────────────────────────────
+
+function createClock(start) {
+  const clock = { now: start, timers: new Map(), nextId: 1 };
+  const add = (fn, ms, repeat, args) => {
+    const id = clock.nextId++;
+    const delay = Math.max(0, Number(ms) || 0);
+    clock.timers.set(id, { fn: fn, at: clock.now + delay, every: repeat ? Math.max(1, delay) : 0, args: args });
+    return id;
+  };
+  clock.setTimeout = (fn, ms, ...args) => add(fn, ms, false, args);
+  clock.setInterval = (fn, ms, ...args) => add(fn, ms, true, args);
+  clock.clearTimeout = clock.clearInterval = (id) => { clock.timers.delete(id); };
+  clock.next = (until) => {
+    let best = null;
+    clock.timers.forEach((t, id) => {
+      if (t.at <= until && (!best || t.at < best.t.at || (t.at === best.t.at && id < best.id))) best = { id: id, t: t };
+    });
+    return best;
+  };
+  return clock;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// ── App loader ──────────────────────────────
+
+/** Script paths in the order index.html loads them. */
+function pageScripts() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+}
+
+async function loadApp(opts) {
+  const options = opts || {};
+  const clock = createClock(Date.UTC(2025, 0, 1, 12));
+  const store = Object.assign({}, options.store);
+  const logs = [];
+  const document = createDocument();
+
+  const area = prefix => ({
+    getItem:    async k => (prefix + k in store ? store[prefix + k] : null),
+    setItem:    async (k, v) => { store[prefix + k] = String(v); },
+    removeItem: async (k) => { delete store[prefix + k]; },
+    clear:      async () => {},
+  });
+
+  const RealDate = Date;
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(clock.now);
+    }
+    static now() { return clock.now; }
+  }
+
+  // Every getUserMedia call gets its own track, so stops can be checked
+  // and 'ended' / 'mute' dispatched. Set media.fail to an error name
+  // ('NotAllowedError', …) to make opens reject.
+  const media = { constraints: [], tracks: [], devices: options.devices || [], fail: null };
+  const getUserMedia = async (constraints) => {
+    media.constraints.push(constraints);
+    if (media.fail) {
+      const err = new Error('getUserMedia: ' + media.fail);
+      err.name = media.fail;
+      throw err;
+    }
+    const track = eventTarget({ kind: 'video', readyState: 'live', stop() { this.readyState = 'ended'; } });
+    media.tracks.push(track);
+    return { getVideoTracks: () => [track], getTracks: () => [track] };
+  };
+  const sandbox = eventTarget({
+    console:         { log: (...a) => logs.push(a.join(' ')), error: (...a) => logs.push('ERR ' + a.join(' ')), warn: (...a) => logs.push('WARN ' + a.join(' ')) },
+    document:        document,
+    location:        { href: new URL(options.url || '', 'http://localhost/index.html').href },
+    navigator:       {
+      language:     options.language || 'en-US',
+      userAgent:    'node',
+      mediaDevices: eventTarget({ getUserMedia: getUserMedia, enumerateDevices: async () => media.devices }),
+    },
+    creationStorage: { plain: area(''), secure: area('secure:') },
+    Event:           FakeEvent,
+    CustomEvent:     FakeEvent,
+    Date:            FakeDate,
+    URL:             URL,
+    btoa:            s => Buffer.from(s, 'binary').toString('base64'),
+    atob:            s => Buffer.from(s, 'base64').toString('binary'),
+    setTimeout:      clock.setTimeout,
+    clearTimeout:    clock.clearTimeout,
+    setInterval:     clock.setInterval,
+    clearInterval:   clock.clearInterval,
+  });
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  if (options.globals) Object.assign(sandbox, options.globals);
+
+  const context = vm.createContext(sandbox);
+  pageScripts().forEach((src) => {
+    const file = path.join(ROOT, src);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+
+  const app = {
+    context: context,
+    window:  sandbox,
+    document: document,
+    store:   store,
+    logs:    logs,
+    clock:   clock,
+    media:   media,
+
+    /** Evaluate an expression against the app's globals (`state`, `settings`, …). */
+    get: expr => vm.runInContext(expr, context),
+
+    el:   id => document.getElementById(id),
+    text: id => document.getElementById(id).textContent,
+
+    /** Screen ids carrying the `active` class. */
+    isActive: id => document.getElementById(id).classList.contains('active'),
+
+    /** Dispatch an R1 hardware event (sideClick, longPressEnd, scrollUp, …). */
+    fire(type) {
+      sandbox.dispatchEvent(new FakeEvent(type));
+    },
+
+    /** Hide or show the page, as switching apps on the R1 does. */
+    setHidden(hidden) {
+      document.hidden = hidden;
+      document.dispatchEvent(new FakeEvent('visibilitychange'));
+    },
+
+    /** Deliver a bridge payload the way the R1 host does. */
+    deliver(payload) {
+      sandbox.onPluginMessage(payload);
+    },
+
+    /** Run due timers in order, letting promises settle between them. */
+    async advance(ms) {
+      const until = clock.now + (ms || 0);
+      await flush();
+      for (let due = clock.next(until); due; due = clock.next(until)) {
+        clock.now = Math.max(clock.now, due.t.at);
+        if (due.t.every) due.t.at += due.t.every;
+        else clock.timers.delete(due.id);
+        due.t.fn.apply(null, due.t.args);
+        await flush();
+      }
+      clock.now = until;
+      await flush();
+    },
+  };
+
+  document.readyState = 'complete';
+  document.dispatchEvent(new FakeEvent('DOMContentLoaded'));
+  await app.advance(options.settle == null ? 2500 : options.settle);
+  return app;
+}
+
+module.exports = { loadApp, FakeEvent };